@@ -2,7 +2,7 @@
  * Audio Manager Class
  * Manages all audio effects in the application
  */
-class AudioManager {
+export class AudioManager {
     /**
      * Constructor - private, use getInstance() instead
      */
@@ -18,12 +18,21 @@ class AudioManager {
                 duration: 150,  // milliseconds
                 volume: 0.1
             },
+            planetCollision: {
+                frequency: 220, // Low note for a dull thud
+                duration: 300,  // milliseconds
+                volume: 0.3
+            },
             sunCollision: {
                 frequency: 50,  // Very low frequency for explosion sound
                 duration: 800,  // milliseconds
                 volume: 1.0     // Maximum volume
             }
         };
+        
+        // Noise buffers and distortion curves made so far (reused by every sound with the same parameters)
+        this.noiseBuffers = new Map();
+        this.distortionCurves = new Map();
     }
     
     /**
@@ -50,8 +59,9 @@ class AudioManager {
     /**
      * Play a sound with specified parameters or using a preset
      * @param {string|Object} preset - Preset name or custom sound parameters
+     * @param {number} volumeScale - Factor applied to the volume (the result is capped at 1)
      */
-    playSound(preset) {
+    playSound(preset, volumeScale = 1) {
         // Initialize audio context if needed (for browsers that require user interaction)
         this.initAudio();
         
@@ -70,7 +80,8 @@ class AudioManager {
             soundParams = preset;
         }
         
-        const { frequency, duration, volume } = soundParams;
+        const { frequency, duration } = soundParams;
+        const volume = Math.min(soundParams.volume * volumeScale, 1);
         
         // Check if this is a sun collision sound (low frequency explosion)
         if (frequency === this.soundPresets.sunCollision.frequency) {
@@ -97,21 +108,9 @@ class AudioManager {
         oscillator.type = 'triangle'; // Triangle wave for softer sound
         oscillator.frequency.value = frequency;
         
-        // Create noise for the "pop" effect
-        const bufferSize = this.audioContext.sampleRate * durationSec;
-        const buffer = this.audioContext.createBuffer(1, bufferSize, this.audioContext.sampleRate);
-        const data = buffer.getChannelData(0);
-        
-        // Fill the buffer with noise that fades out quickly
-        for (let i = 0; i < bufferSize; i++) {
-            // Exponential decay for quick fade out
-            const decay = Math.exp(-10 * i / bufferSize);
-            data[i] = (Math.random() * 2 - 1) * decay;
-        }
-        
-        // Create noise source
+        // Create noise for the "pop" effect (fading out quickly)
         const noise = this.audioContext.createBufferSource();
-        noise.buffer = buffer;
+        noise.buffer = this.getNoiseBuffer(durationSec, 10);
         
         // Create gain nodes for volume control with envelope
         const mainGain = this.audioContext.createGain();
@@ -160,21 +159,9 @@ class AudioManager {
         const currentTime = this.audioContext.currentTime;
         const durationSec = duration / 1000;
         
-        // Create noise buffer for explosion base
-        const bufferSize = this.audioContext.sampleRate * durationSec;
-        const noiseBuffer = this.audioContext.createBuffer(1, bufferSize, this.audioContext.sampleRate);
-        const data = noiseBuffer.getChannelData(0);
-        
-        // Fill buffer with noise
-        for (let i = 0; i < bufferSize; i++) {
-            // Random noise with decay
-            const decay = Math.exp(-3 * i / bufferSize);
-            data[i] = (Math.random() * 2 - 1) * decay;
-        }
-        
-        // Create noise source
+        // Create noise source for explosion base
         const noise = this.audioContext.createBufferSource();
-        noise.buffer = noiseBuffer;
+        noise.buffer = this.getNoiseBuffer(durationSec, 3);
         
         // Create low frequency oscillators for rumble effect
         const lfo1 = this.audioContext.createOscillator();
@@ -217,7 +204,7 @@ class AudioManager {
         
         // Create distortion for more aggressive sound
         const distortion = this.audioContext.createWaveShaper();
-        distortion.curve = this.makeDistortionCurve(50); // High distortion
+        distortion.curve = this.getDistortionCurve(50); // High distortion
         
         // Connect nodes
         noise.connect(noiseGain);
@@ -243,6 +230,39 @@ class AudioManager {
         lfo2.stop(currentTime + durationSec);
     }
     
+    /**
+     * Get a buffer of noise decaying exponentially (made on first use and cached)
+     * @param {number} durationSec - Duration in seconds
+     * @param {number} decayRate - Number of e-foldings of the decay over the duration
+     * @returns {AudioBuffer} Noise buffer
+     */
+    getNoiseBuffer(durationSec, decayRate) {
+        const key = `${durationSec}/${decayRate}`;
+        let buffer = this.noiseBuffers.get(key);
+        if (!buffer) {
+            const bufferSize = this.audioContext.sampleRate * durationSec;
+            buffer = this.audioContext.createBuffer(1, bufferSize, this.audioContext.sampleRate);
+            const data = buffer.getChannelData(0);
+            for (let i = 0; i < bufferSize; i++) {
+                data[i] = (Math.random() * 2 - 1) * Math.exp(-decayRate * i / bufferSize);
+            }
+            this.noiseBuffers.set(key, buffer);
+        }
+        return buffer;
+    }
+    
+    /**
+     * Get a distortion curve (made on first use and cached)
+     * @param {number} amount - Amount of distortion
+     * @returns {Float32Array} Distortion curve
+     */
+    getDistortionCurve(amount) {
+        if (!this.distortionCurves.has(amount)) {
+            this.distortionCurves.set(amount, this.makeDistortionCurve(amount));
+        }
+        return this.distortionCurves.get(amount);
+    }
+    
     /**
      * Create distortion curve for explosion sound
      * @param {number} amount - Amount of distortion
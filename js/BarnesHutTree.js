@@ -0,0 +1,411 @@
+import { PhysicsConstants, BarnesHutConstants } from './Constants.js';
+import { pairPotential } from './Gravity.js';
+
+/**
+ * Barnes-Hut Tree Class
+ * Octree that approximates the gravity of distant groups of bodies by their center of mass,
+ * reducing the cost of a force evaluation from O(n^2) to O(n log n)
+ */
+export class BarnesHutTree {
+    /**
+     * Constructor
+     */
+    constructor() {
+        this.nodeCount = 0;
+        this.capacity = 0;
+        this.bodyCapacity = 0;
+        this.gravityFactor = PhysicsConstants.G / (PhysicsConstants.DISTANCE_SCALE * PhysicsConstants.DISTANCE_SCALE);
+        this.minDistanceSquared = PhysicsConstants.MIN_DISTANCE * PhysicsConstants.MIN_DISTANCE;
+        this.allocateNodes(256);
+        this.allocateBodies(256);
+    }
+    
+    /**
+     * Allocate node storage (keeps existing nodes)
+     * @param {number} capacity - Number of nodes
+     */
+    allocateNodes(capacity) {
+        const grow = (array, Type) => {
+            const grown = new Type(capacity);
+            if (array) grown.set(array.subarray(0, this.nodeCount));
+            return grown;
+        };
+        
+        // Cubic cell of each node
+        this.centerX = grow(this.centerX, Float64Array);
+        this.centerY = grow(this.centerY, Float64Array);
+        this.centerZ = grow(this.centerZ, Float64Array);
+        this.halfSize = grow(this.halfSize, Float64Array);
+        
+        // Total mass and center of mass of each node
+        this.mass = grow(this.mass, Float64Array);
+        this.comX = grow(this.comX, Float64Array);
+        this.comY = grow(this.comY, Float64Array);
+        this.comZ = grow(this.comZ, Float64Array);
+        
+        // First of eight children (-1 for a leaf) and first body of a leaf (-1 if empty)
+        this.firstChild = grow(this.firstChild, Int32Array);
+        this.firstBody = grow(this.firstBody, Int32Array);
+        
+        this.capacity = capacity;
+    }
+    
+    /**
+     * Allocate per-body storage
+     * @param {number} capacity - Number of bodies
+     */
+    allocateBodies(capacity) {
+        // Linked list of bodies sharing a leaf (only at maximum depth)
+        this.nextBody = new Int32Array(capacity);
+        this.stack = new Int32Array(8 * BarnesHutConstants.MAX_DEPTH + 8);
+        this.bodyCapacity = capacity;
+    }
+    
+    /**
+     * Create a leaf node
+     * @param {number} centerX - X coordinate of cell center
+     * @param {number} centerY - Y coordinate of cell center
+     * @param {number} centerZ - Z coordinate of cell center
+     * @param {number} halfSize - Half of the cell width
+     * @returns {number} Node index
+     */
+    createNode(centerX, centerY, centerZ, halfSize) {
+        if (this.nodeCount === this.capacity) {
+            this.allocateNodes(this.capacity * 2);
+        }
+        
+        const node = this.nodeCount++;
+        this.centerX[node] = centerX;
+        this.centerY[node] = centerY;
+        this.centerZ[node] = centerZ;
+        this.halfSize[node] = halfSize;
+        this.mass[node] = 0;
+        this.comX[node] = 0;
+        this.comY[node] = 0;
+        this.comZ[node] = 0;
+        this.firstChild[node] = -1;
+        this.firstBody[node] = -1;
+        return node;
+    }
+    
+    /**
+     * Split a leaf into eight children (in octant order: bit 0 for +x, bit 1 for +y, bit 2 for +z)
+     * @param {number} node - Node index
+     */
+    split(node) {
+        const half = this.halfSize[node] / 2;
+        const cx = this.centerX[node];
+        const cy = this.centerY[node];
+        const cz = this.centerZ[node];
+        
+        // Children are created consecutively, so only the first index is stored
+        this.firstChild[node] = this.nodeCount;
+        for (let octant = 0; octant < 8; octant++) {
+            this.createNode(
+                cx + (octant & 1 ? half : -half),
+                cy + (octant & 2 ? half : -half),
+                cz + (octant & 4 ? half : -half),
+                half
+            );
+        }
+    }
+    
+    /**
+     * Get the child of a node that contains a point
+     * @param {number} node - Node index
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @param {number} z - Z coordinate
+     * @returns {number} Child node index
+     */
+    childFor(node, x, y, z) {
+        const octant = (x >= this.centerX[node] ? 1 : 0) + (y >= this.centerY[node] ? 2 : 0) + (z >= this.centerZ[node] ? 4 : 0);
+        return this.firstChild[node] + octant;
+    }
+    
+    /**
+     * Build the tree for the given bodies
+     * @param {Float64Array} x - X coordinates of the bodies
+     * @param {Float64Array} y - Y coordinates of the bodies
+     * @param {Float64Array} z - Z coordinates of the bodies
+     * @param {Float64Array} mass - Masses of the bodies
+     */
+    build(x, y, z, mass) {
+        const count = x.length;
+        if (count > this.bodyCapacity) {
+            this.allocateBodies(Math.max(count, this.bodyCapacity * 2));
+        }
+        
+        this.nodeCount = 0;
+        if (count === 0) return;
+        
+        // Cubic cell at the root enclosing every body
+        let minX = Infinity, minY = Infinity, minZ = Infinity, maxX = -Infinity, maxY = -Infinity, maxZ = -Infinity;
+        for (let i = 0; i < count; i++) {
+            minX = Math.min(minX, x[i]);
+            minY = Math.min(minY, y[i]);
+            minZ = Math.min(minZ, z[i]);
+            maxX = Math.max(maxX, x[i]);
+            maxY = Math.max(maxY, y[i]);
+            maxZ = Math.max(maxZ, z[i]);
+        }
+        const halfSize = Math.max(maxX - minX, maxY - minY, maxZ - minZ) / 2 + 1e-9;
+        this.createNode((minX + maxX) / 2, (minY + maxY) / 2, (minZ + maxZ) / 2, halfSize);
+        
+        // Insert bodies one by one
+        for (let i = 0; i < count; i++) {
+            this.insert(i, x, y, z);
+        }
+        
+        // Accumulate mass and center of mass from the leaves up
+        // (children always have larger indices than their parent)
+        for (let node = this.nodeCount - 1; node >= 0; node--) {
+            let nodeMass = 0, sumX = 0, sumY = 0, sumZ = 0;
+            if (this.firstChild[node] === -1) {
+                for (let i = this.firstBody[node]; i !== -1; i = this.nextBody[i]) {
+                    nodeMass += mass[i];
+                    sumX += mass[i] * x[i];
+                    sumY += mass[i] * y[i];
+                    sumZ += mass[i] * z[i];
+                }
+            } else {
+                for (let c = this.firstChild[node]; c < this.firstChild[node] + 8; c++) {
+                    nodeMass += this.mass[c];
+                    sumX += this.mass[c] * this.comX[c];
+                    sumY += this.mass[c] * this.comY[c];
+                    sumZ += this.mass[c] * this.comZ[c];
+                }
+            }
+            this.mass[node] = nodeMass;
+            if (nodeMass > 0) {
+                this.comX[node] = sumX / nodeMass;
+                this.comY[node] = sumY / nodeMass;
+                this.comZ[node] = sumZ / nodeMass;
+            }
+        }
+    }
+    
+    /**
+     * Insert a body into the tree
+     * @param {number} i - Body index
+     * @param {Float64Array} x - X coordinates of the bodies
+     * @param {Float64Array} y - Y coordinates of the bodies
+     * @param {Float64Array} z - Z coordinates of the bodies
+     */
+    insert(i, x, y, z) {
+        let node = 0;
+        let depth = 0;
+        this.nextBody[i] = -1;
+        
+        while (true) {
+            // Descend through internal nodes
+            if (this.firstChild[node] !== -1) {
+                node = this.childFor(node, x[i], y[i], z[i]);
+                depth++;
+                continue;
+            }
+            
+            // Empty leaf: store the body here
+            if (this.firstBody[node] === -1) {
+                this.firstBody[node] = i;
+                return;
+            }
+            
+            // Bodies at (almost) the same position share a leaf at maximum depth
+            if (depth >= BarnesHutConstants.MAX_DEPTH) {
+                this.nextBody[i] = this.firstBody[node];
+                this.firstBody[node] = i;
+                return;
+            }
+            
+            // Occupied leaf: split it and move the existing body down, then retry
+            const existing = this.firstBody[node];
+            this.firstBody[node] = -1;
+            this.split(node);
+            this.firstBody[this.childFor(node, x[existing], y[existing], z[existing])] = existing;
+        }
+    }
+    
+    /**
+     * Walk the tree for one body and call back for every node or body that interacts with it
+     * @param {number} i - Body index
+     * @param {Float64Array} x - X coordinates of the bodies
+     * @param {Float64Array} y - Y coordinates of the bodies
+     * @param {Float64Array} z - Z coordinates of the bodies
+     * @param {Float64Array} mass - Masses of the bodies
+     * @param {number} theta - Opening angle (smaller is more accurate)
+     * @param {Function} interact - Callback (sourceMass, dx, dy, dz) with dx/dy/dz pointing from the body to the source
+     * @param {number} period - Side of the periodic domain in X and Y (sources are seen at their nearest image), or 0
+     */
+    walk(i, x, y, z, mass, theta, interact, period = 0) {
+        const nearest = d => period > 0 ? d - period * Math.round(d / period) : d;
+        const stack = this.stack;
+        let top = 0;
+        stack[top++] = 0;
+        
+        while (top > 0) {
+            const node = stack[--top];
+            if (this.mass[node] === 0) continue;
+            
+            // Leaf: interact with each body directly
+            if (this.firstChild[node] === -1) {
+                for (let j = this.firstBody[node]; j !== -1; j = this.nextBody[j]) {
+                    if (j !== i) {
+                        interact(mass[j], nearest(x[j] - x[i]), nearest(y[j] - y[i]), z[j] - z[i]);
+                    }
+                }
+                continue;
+            }
+            
+            // Distant cell (size / distance < theta) not containing the body: use its center of mass
+            const dx = nearest(this.comX[node] - x[i]);
+            const dy = nearest(this.comY[node] - y[i]);
+            const dz = this.comZ[node] - z[i];
+            const size = 2 * this.halfSize[node];
+            const containsBody = Math.abs(x[i] - this.centerX[node]) <= this.halfSize[node] &&
+                Math.abs(y[i] - this.centerY[node]) <= this.halfSize[node] &&
+                Math.abs(z[i] - this.centerZ[node]) <= this.halfSize[node];
+            
+            // In a periodic domain, the bodies of a cell reaching the point opposite the body are seen through different images
+            const straddlesImages = period > 0 &&
+                (Math.abs(nearest(this.centerX[node] - x[i])) + this.halfSize[node] > period / 2 ||
+                Math.abs(nearest(this.centerY[node] - y[i])) + this.halfSize[node] > period / 2);
+            if (!containsBody && !straddlesImages && size * size < theta * theta * (dx * dx + dy * dy + dz * dz)) {
+                interact(this.mass[node], dx, dy, dz);
+                continue;
+            }
+            
+            // Otherwise open the cell
+            for (let c = this.firstChild[node]; c < this.firstChild[node] + 8; c++) {
+                stack[top++] = c;
+            }
+        }
+    }
+    
+    /**
+     * Calculate accelerations of every body (the tree must be built for the same positions)
+     * @param {Float64Array} x - X coordinates of the bodies
+     * @param {Float64Array} y - Y coordinates of the bodies
+     * @param {Float64Array} z - Z coordinates of the bodies
+     * @param {Float64Array} mass - Masses of the bodies
+     * @param {number} theta - Opening angle
+     * @param {Float64Array} ax - Array of X-direction accelerations
+     * @param {Float64Array} ay - Array of Y-direction accelerations
+     * @param {Float64Array} az - Array of Z-direction accelerations
+     * @param {number} period - Side of the periodic domain in X and Y (sources are seen at their nearest image), or 0
+     */
+    computeAccelerations(x, y, z, mass, theta, ax, ay, az, period = 0) {
+        const minDistanceSquared = this.minDistanceSquared;
+        const gravityFactor = this.gravityFactor;
+        const thetaSquared = theta * theta;
+        const stack = this.stack;
+        
+        // Same traversal as walk(), inlined because this is the hot path of every step
+        for (let i = 0; i < x.length; i++) {
+            const xi = x[i];
+            const yi = y[i];
+            const zi = z[i];
+            let accelX = 0;
+            let accelY = 0;
+            let accelZ = 0;
+            let top = 0;
+            stack[top++] = 0;
+            
+            while (top > 0) {
+                const node = stack[--top];
+                if (this.mass[node] === 0) continue;
+                
+                let sourceMass, dx, dy, dz;
+                if (this.firstChild[node] === -1) {
+                    // Leaf: interact with each body directly
+                    for (let j = this.firstBody[node]; j !== -1; j = this.nextBody[j]) {
+                        if (j === i) continue;
+                        dx = x[j] - xi;
+                        dy = y[j] - yi;
+                        dz = z[j] - zi;
+                        if (period > 0) {
+                            dx -= period * Math.round(dx / period);
+                            dy -= period * Math.round(dy / period);
+                        }
+                        const r2 = dx * dx + dy * dy + dz * dz;
+                        const effectiveR2 = r2 < minDistanceSquared ? minDistanceSquared : r2;
+                        const factor = gravityFactor * mass[j] / (effectiveR2 * Math.sqrt(effectiveR2));
+                        accelX += factor * dx;
+                        accelY += factor * dy;
+                        accelZ += factor * dz;
+                    }
+                    continue;
+                }
+                
+                // Distant cell (size / distance < theta) not containing the body: use its center of mass
+                dx = this.comX[node] - xi;
+                dy = this.comY[node] - yi;
+                dz = this.comZ[node] - zi;
+                if (period > 0) {
+                    dx -= period * Math.round(dx / period);
+                    dy -= period * Math.round(dy / period);
+                }
+                const r2 = dx * dx + dy * dy + dz * dz;
+                const halfSize = this.halfSize[node];
+                let mustOpen = Math.abs(xi - this.centerX[node]) <= halfSize &&
+                    Math.abs(yi - this.centerY[node]) <= halfSize &&
+                    Math.abs(zi - this.centerZ[node]) <= halfSize;
+                if (period > 0 && !mustOpen) {
+                    // Cells reaching the point opposite the body are opened too (see walk())
+                    const cx = this.centerX[node] - xi;
+                    const cy = this.centerY[node] - yi;
+                    mustOpen = Math.abs(cx - period * Math.round(cx / period)) + halfSize > period / 2 ||
+                        Math.abs(cy - period * Math.round(cy / period)) + halfSize > period / 2;
+                }
+                if (!mustOpen && 4 * halfSize * halfSize < thetaSquared * r2) {
+                    // Same softened law as direct summation: a = G * m * d / max(r, MIN_DISTANCE)^3
+                    sourceMass = this.mass[node];
+                    const effectiveR2 = r2 < minDistanceSquared ? minDistanceSquared : r2;
+                    const factor = gravityFactor * sourceMass / (effectiveR2 * Math.sqrt(effectiveR2));
+                    accelX += factor * dx;
+                    accelY += factor * dy;
+                    accelZ += factor * dz;
+                    continue;
+                }
+                
+                // Otherwise open the cell
+                const firstChild = this.firstChild[node];
+                for (let c = firstChild; c < firstChild + 8; c++) {
+                    stack[top++] = c;
+                }
+            }
+            
+            ax[i] += accelX;
+            ay[i] += accelY;
+            az[i] += accelZ;
+        }
+    }
+    
+    /**
+     * Calculate total potential energy (the tree must be built for the same positions)
+     * @param {Float64Array} x - X coordinates of the bodies
+     * @param {Float64Array} y - Y coordinates of the bodies
+     * @param {Float64Array} z - Z coordinates of the bodies
+     * @param {Float64Array} mass - Masses of the bodies
+     * @param {number} theta - Opening angle
+     * @param {number} period - Side of the periodic domain in X and Y (sources are seen at their nearest image), or 0
+     * @returns {number} Potential energy
+     */
+    computePotentialEnergy(x, y, z, mass, theta, period = 0) {
+        let potential = 0;
+        let energy = 0;
+        
+        const interact = (sourceMass, dx, dy, dz) => {
+            potential += pairPotential(this.gravityFactor * sourceMass, Math.sqrt(dx * dx + dy * dy + dz * dz));
+        };
+        
+        // Every pair is counted from both sides, hence the factor 1/2
+        for (let i = 0; i < x.length; i++) {
+            potential = 0;
+            this.walk(i, x, y, z, mass, theta, interact, period);
+            energy += 0.5 * mass[i] * potential;
+        }
+        
+        return energy;
+    }
+}
@@ -0,0 +1,128 @@
+import { ScenarioConstants, SunConstants, TimeConstants } from './Constants.js';
+import { colorToHex } from './Snapshot.js';
+
+// Velocity shown in the panel per world unit of velocity (AU per year)
+const VELOCITY_FACTOR = TimeConstants.YEAR / ScenarioConstants.AU;
+
+/**
+ * Body Panel Class
+ * Shows the selected body and edits its name, mass, velocity and color (or a star's temperature), pins it in place or deletes it
+ */
+export class BodyPanel {
+    /**
+     * Constructor
+     * @param {Object} elements - Panel elements: panel, name, mass, vx, vy, vz, color, temperatureLabel, temperature, pinned,
+     *     deleteButton, closeButton
+     * @param {PhysicsEngine} physicsEngine - Physics engine the edits are sent to
+     * @param {Function} onClose - Called when the panel is closed or the body is deleted (to clear the selection)
+     */
+    constructor(elements, physicsEngine, onClose) {
+        this.elements = elements;
+        this.physicsEngine = physicsEngine;
+        this.onClose = onClose;
+        
+        // ID of the body shown (null while the panel is hidden)
+        this.id = null;
+        
+        this.setupEventListeners();
+    }
+    
+    /**
+     * Set up event listeners
+     */
+    setupEventListeners() {
+        const elements = this.elements;
+        
+        elements.name.addEventListener('input', () => {
+            this.physicsEngine.setBodyName(this.id, elements.name.value.trim());
+        });
+        
+        // Invalid values are not sent (the next update shows the body's value again)
+        elements.mass.addEventListener('change', () => {
+            const mass = parseFloat(elements.mass.value);
+            if (mass > 0 && isFinite(mass)) {
+                this.physicsEngine.editBody(this.id, { mass });
+            }
+        });
+        
+        // Only the component edited is sent (the others are shown rounded)
+        for (const field of ['vx', 'vy', 'vz']) {
+            elements[field].addEventListener('change', () => {
+                const velocity = parseFloat(elements[field].value);
+                if (isFinite(velocity)) {
+                    this.physicsEngine.editBody(this.id, { [field]: velocity / VELOCITY_FACTOR });
+                }
+            });
+        }
+        
+        elements.color.addEventListener('input', () => {
+            this.physicsEngine.editBody(this.id, { color: parseInt(elements.color.value.slice(1), 16) });
+        });
+        
+        // The star's color follows its temperature (choosing a color directly clears the temperature)
+        elements.temperature.addEventListener('change', () => {
+            const temperature = parseFloat(elements.temperature.value);
+            if (temperature >= SunConstants.MIN_TEMPERATURE && temperature <= SunConstants.MAX_TEMPERATURE) {
+                this.physicsEngine.editBody(this.id, { temperature });
+            }
+        });
+        
+        elements.pinned.addEventListener('change', () => {
+            this.physicsEngine.editBody(this.id, { pinned: elements.pinned.checked ? 1 : 0 });
+        });
+        
+        elements.deleteButton.addEventListener('click', () => {
+            this.physicsEngine.deleteBody(this.id);
+            this.onClose();
+        });
+        
+        elements.closeButton.addEventListener('click', () => {
+            this.onClose();
+        });
+    }
+    
+    /**
+     * Show a body, or hide the panel
+     * (fields being edited keep what is typed into them)
+     * @param {Object|null} body - Star or planet view (id, vx, vy, vz, color, pinned, getMass(); temperature for stars),
+     *     or null to hide the panel
+     * @param {string} defaultName - Name shown when the body has none (e.g. "Planet 3")
+     */
+    update(body, defaultName) {
+        const elements = this.elements;
+        elements.panel.hidden = body === null;
+        if (!body) {
+            this.id = null;
+            return;
+        }
+        
+        // Fields of a newly selected body are all rewritten
+        const selectionChanged = body.id !== this.id;
+        this.id = body.id;
+        const set = (element, value) => {
+            if (selectionChanged || document.activeElement !== element) {
+                element.value = value;
+            }
+        };
+        
+        elements.name.placeholder = defaultName;
+        set(elements.name, this.physicsEngine.getBodyName(body.id));
+        set(elements.mass, Number(body.getMass().toPrecision(6)));
+        set(elements.vx, Number((body.vx * VELOCITY_FACTOR).toPrecision(4)));
+        set(elements.vy, Number((body.vy * VELOCITY_FACTOR).toPrecision(4)));
+        set(elements.vz, Number((body.vz * VELOCITY_FACTOR).toPrecision(4)));
+        set(elements.color, colorToHex(body.color));
+        
+        // Only stars have a temperature (empty for a star colored directly)
+        const isStar = body.temperature !== undefined;
+        elements.temperatureLabel.hidden = !isStar;
+        elements.temperature.hidden = !isStar;
+        set(elements.temperature, isStar && body.temperature > 0 ? Math.round(body.temperature) : '');
+        elements.pinned.checked = body.pinned;
+        
+        // A pinned body has no velocity to edit
+        for (const input of [elements.vx, elements.vy, elements.vz]) {
+            input.disabled = body.pinned;
+        }
+    }
+}
@@ -0,0 +1,162 @@
+import { PhysicsConstants, BoundaryConstants } from './Constants.js';
+import { BodyKind } from './SimulationState.js';
+
+/**
+ * Boundary System Class
+ * Decides what happens to bodies far from the system with the selected policy:
+ * remove them past the screen, past an escape radius or once they are unbound, keep them, or wrap them around
+ */
+export class BoundarySystem {
+    /**
+     * Constructor
+     */
+    constructor() {
+        this.policy = BoundaryConstants.DEFAULT_POLICY;
+        this.radius = BoundaryConstants.RADIUS;
+        this.gravityFactor = PhysicsConstants.G / (PhysicsConstants.DISTANCE_SCALE * PhysicsConstants.DISTANCE_SCALE);
+    }
+    
+    /**
+     * Select the boundary policy
+     * @param {string} policy - Key of BoundaryPolicies
+     */
+    setPolicy(policy) {
+        this.policy = policy;
+    }
+    
+    /**
+     * Get the boundary policy
+     * @returns {string} Key of BoundaryPolicies
+     */
+    getPolicy() {
+        return this.policy;
+    }
+    
+    /**
+     * Set the size of the boundary
+     * @param {number} radius - Escape radius, or half the side of the periodic domain, in world units
+     */
+    setRadius(radius) {
+        this.radius = radius;
+    }
+    
+    /**
+     * Get the size of the boundary
+     * @returns {number} Escape radius, or half the side of the periodic domain, in world units
+     */
+    getRadius() {
+        return this.radius;
+    }
+    
+    /**
+     * Get the side of the periodic domain
+     * @returns {number} Side of the square domain in world units (periodic in X and Y), or 0 if space is not periodic
+     */
+    getPeriod() {
+        return this.policy === 'wrap' ? 2 * this.radius : 0;
+    }
+    
+    /**
+     * Apply the boundary after a step: wrap positions into the periodic domain, or find the planets that are lost
+     * @param {SimulationState} state - Body state
+     * @param {number} maxX - Maximum X coordinate of the screen
+     * @param {number} maxY - Maximum Y coordinate of the screen
+     * @returns {Uint8Array} 1 for each planet to remove (by body index)
+     */
+    apply(state, maxX, maxY) {
+        const lost = new Uint8Array(state.count);
+        const { x, y, z } = state;
+        
+        // The screen region reaches as far out of the plane as the larger of its sides
+        const maxZ = Math.max(maxX, maxY);
+        const offScreen = i => Math.abs(x[i]) > maxX || Math.abs(y[i]) > maxY || Math.abs(z[i]) > maxZ;
+        
+        switch (this.policy) {
+            case 'screen':
+                for (let i = 0; i < state.count; i++) {
+                    lost[i] = offScreen(i) ? 1 : 0;
+                }
+                break;
+            case 'escapeRadius': {
+                // Measured from the center of mass, so that a drifting system keeps its bodies
+                const center = state.getCenterOfMass();
+                const radiusSquared = this.radius * this.radius;
+                for (let i = 0; i < state.count; i++) {
+                    const dx = x[i] - center.x;
+                    const dy = y[i] - center.y;
+                    const dz = z[i] - center.z;
+                    lost[i] = dx * dx + dy * dy + dz * dz > radiusSquared ? 1 : 0;
+                }
+                break;
+            }
+            case 'unbound': {
+                // Only bodies off-screen are checked, so that close encounters inside the system never count
+                const center = state.getCenterOfMass();
+                for (let i = 0; i < state.count; i++) {
+                    lost[i] = offScreen(i) && this.isUnbound(state, i, center) ? 1 : 0;
+                }
+                break;
+            }
+            case 'wrap':
+                // Every body, stars included, re-enters on the opposite side (space is periodic in X and Y only)
+                for (let i = 0; i < state.count; i++) {
+                    x[i] = this.wrap(x[i]);
+                    y[i] = this.wrap(y[i]);
+                }
+                break;
+        }
+        
+        // Only planets are ever removed
+        for (let i = 0; i < state.count; i++) {
+            if (state.kind[i] !== BodyKind.PLANET) lost[i] = 0;
+        }
+        return lost;
+    }
+    
+    /**
+     * Determine if a body is gravitationally unbound: positive specific orbital energy
+     * relative to the rest of the system, treated as one mass at its center of mass
+     * (accurate for bodies far from the system, which are the only ones checked)
+     * @param {SimulationState} state - Body state
+     * @param {number} index - Index of the body
+     * @param {Object} center - Center of mass of every body (see SimulationState.getCenterOfMass())
+     * @returns {boolean} true if the body escapes
+     */
+    isUnbound(state, index, center) {
+        // Center of mass of every other body: the whole system without this one
+        const bodyMass = state.mass[index];
+        const mass = center.mass - bodyMass;
+        if (mass <= 0) return true;
+        
+        const dx = state.x[index] - (center.mass * center.x - bodyMass * state.x[index]) / mass;
+        const dy = state.y[index] - (center.mass * center.y - bodyMass * state.y[index]) / mass;
+        const dz = state.z[index] - (center.mass * center.z - bodyMass * state.z[index]) / mass;
+        const dvx = state.vx[index] - (center.mass * center.vx - bodyMass * state.vx[index]) / mass;
+        const dvy = state.vy[index] - (center.mass * center.vy - bodyMass * state.vy[index]) / mass;
+        const dvz = state.vz[index] - (center.mass * center.vz - bodyMass * state.vz[index]) / mass;
+        
+        // Two-body energy: v^2 / 2 - G * (M + m) / r
+        const energy = 0.5 * (dvx * dvx + dvy * dvy + dvz * dvz) -
+            this.gravityFactor * center.mass / Math.sqrt(dx * dx + dy * dy + dz * dz);
+        return energy > 0;
+    }
+    
+    /**
+     * Wrap a coordinate into the periodic domain [-radius, radius)
+     * @param {number} value - Coordinate
+     * @returns {number} Wrapped coordinate
+     */
+    wrap(value) {
+        const period = 2 * this.radius;
+        return value - period * Math.floor((value + this.radius) / period);
+    }
+}
+
+// Available boundary policies (key: policy ID, value: label)
+export const BoundaryPolicies = {
+    screen: 'Remove off-screen',
+    keep: 'Keep everything',
+    escapeRadius: 'Remove past escape radius',
+    unbound: 'Remove when unbound',
+    wrap: 'Wrap around'
+};
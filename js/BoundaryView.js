@@ -0,0 +1,146 @@
+import { BoundaryConstants } from './Constants.js';
+
+/**
+ * Boundary View Class
+ * Renders the simulation boundary (escape circle or periodic domain) and, at the screen edge,
+ * an arrow pointing to each body beyond the view (top view only: in 3D the bodies stay in sight by orbiting the camera)
+ */
+export class BoundaryView {
+    /**
+     * Constructor
+     * @param {THREE.Scene} scene - Three.js scene
+     */
+    constructor(scene) {
+        this.scene = scene;
+        
+        // Edge indicators: one triangle per body in a single preallocated mesh, colored like the bodies
+        const maxIndicators = BoundaryConstants.MAX_INDICATORS;
+        this.positions = new Float32Array(maxIndicators * 9);
+        this.colors = new Float32Array(maxIndicators * 9);
+        this.indicatorGeometry = new THREE.BufferGeometry();
+        this.indicatorGeometry.setAttribute('position', new THREE.BufferAttribute(this.positions, 3));
+        this.indicatorGeometry.setAttribute('color', new THREE.BufferAttribute(this.colors, 3));
+        this.indicatorGeometry.setDrawRange(0, 0);
+        this.indicatorMaterial = new THREE.MeshBasicMaterial({
+            vertexColors: true,
+            side: THREE.DoubleSide
+        });
+        this.indicators = new THREE.Mesh(this.indicatorGeometry, this.indicatorMaterial);
+        this.indicators.frustumCulled = false; // Vertices move every frame, the bounding sphere would go stale
+        this.scene.add(this.indicators);
+        
+        // Outlines of unit size, scaled to the boundary radius: a circle for the escape radius, a square for the periodic domain
+        this.outlineMaterial = new THREE.LineBasicMaterial({ color: BoundaryConstants.OUTLINE_COLOR });
+        const circlePoints = [];
+        for (let i = 0; i < 128; i++) {
+            const angle = i / 128 * Math.PI * 2;
+            circlePoints.push(new THREE.Vector3(Math.cos(angle), Math.sin(angle), 0));
+        }
+        this.circle = new THREE.LineLoop(new THREE.BufferGeometry().setFromPoints(circlePoints), this.outlineMaterial);
+        this.square = new THREE.LineLoop(new THREE.BufferGeometry().setFromPoints([
+            new THREE.Vector3(-1, -1, 0),
+            new THREE.Vector3(1, -1, 0),
+            new THREE.Vector3(1, 1, 0),
+            new THREE.Vector3(-1, 1, 0)
+        ]), this.outlineMaterial);
+        this.circle.visible = false;
+        this.square.visible = false;
+        this.scene.add(this.circle);
+        this.scene.add(this.square);
+        
+        // Indicator size and distance of the indicators from the screen edge in world units (set every frame from the zoom)
+        this.size = 0;
+        this.inset = 0;
+        
+        // Reused for color conversion
+        this.color = new THREE.Color();
+    }
+    
+    /**
+     * Update the outline and the edge indicators (called once per frame)
+     * @param {THREE.Camera} camera - Camera showing the view
+     * @param {number} screenHeight - Height of the screen in pixels
+     * @param {Array<Object>} stars - Star views (x, y, color)
+     * @param {Array<Object>} planets - Planet views (x, y, color)
+     * @param {string} policy - Key of BoundaryPolicies
+     * @param {number} radius - Escape radius, or half the side of the periodic domain
+     * @param {Object} center - Center of mass of the bodies { x, y, z } (the escape radius is measured from it)
+     */
+    update(camera, screenHeight, stars, planets, policy, radius, center) {
+        // Outline of the boundary (the section of the escape sphere through the center of mass)
+        this.circle.visible = policy === 'escapeRadius';
+        this.circle.position.set(center.x, center.y, center.z);
+        this.circle.scale.set(radius, radius, 1);
+        this.square.visible = policy === 'wrap';
+        this.square.scale.set(radius, radius, 1);
+        
+        if (!camera.isOrthographicCamera) {
+            this.indicatorGeometry.setDrawRange(0, 0);
+            return;
+        }
+        
+        // Indicators keep the same size on the screen at any zoom
+        const pixelSize = (camera.top - camera.bottom) / screenHeight;
+        this.size = BoundaryConstants.INDICATOR_SIZE * pixelSize;
+        this.inset = (BoundaryConstants.INDICATOR_SIZE + BoundaryConstants.INDICATOR_MARGIN) * pixelSize;
+        
+        // Stars first, so that they are indicated even when there are too many planets
+        let count = 0;
+        for (const body of stars) {
+            count = this.addIndicator(camera, body, count);
+        }
+        for (const body of planets) {
+            count = this.addIndicator(camera, body, count);
+        }
+        
+        this.indicatorGeometry.setDrawRange(0, count * 3);
+        this.indicatorGeometry.attributes.position.needsUpdate = true;
+        this.indicatorGeometry.attributes.color.needsUpdate = true;
+    }
+    
+    /**
+     * Add an indicator for a body if it is beyond the view
+     * @param {THREE.OrthographicCamera} camera - Camera showing the view
+     * @param {Object} body - Body view (x, y, color)
+     * @param {number} count - Number of indicators so far
+     * @returns {number} Number of indicators including this one
+     */
+    addIndicator(camera, body, count) {
+        if (count >= BoundaryConstants.MAX_INDICATORS) return count;
+        
+        const halfWidth = camera.right;
+        const halfHeight = camera.top;
+        const dx = body.x - camera.position.x;
+        const dy = body.y - camera.position.y;
+        if (Math.abs(dx) <= halfWidth && Math.abs(dy) <= halfHeight) return count;
+        
+        // Scale the direction to the body down to the inset edge of the view
+        const scale = Math.min((halfWidth - this.inset) / Math.abs(dx), (halfHeight - this.inset) / Math.abs(dy));
+        const baseX = camera.position.x + dx * scale;
+        const baseY = camera.position.y + dy * scale;
+        const length = Math.sqrt(dx * dx + dy * dy);
+        const nx = dx / length;
+        const ny = dy / length;
+        
+        // Triangle pointing at the body: tip toward it, base across the direction
+        const offset = count * 9;
+        const positions = this.positions;
+        positions[offset] = baseX + nx * this.size;
+        positions[offset + 1] = baseY + ny * this.size;
+        positions[offset + 2] = 0;
+        positions[offset + 3] = baseX - ny * this.size * 0.5;
+        positions[offset + 4] = baseY + nx * this.size * 0.5;
+        positions[offset + 5] = 0;
+        positions[offset + 6] = baseX + ny * this.size * 0.5;
+        positions[offset + 7] = baseY - nx * this.size * 0.5;
+        positions[offset + 8] = 0;
+        
+        this.color.setHex(body.color);
+        for (let v = 0; v < 3; v++) {
+            this.colors[offset + v * 3] = this.color.r;
+            this.colors[offset + v * 3 + 1] = this.color.g;
+            this.colors[offset + v * 3 + 2] = this.color.b;
+        }
+        return count + 1;
+    }
+}
@@ -0,0 +1,386 @@
+import { CameraConstants, ScenarioConstants } from './Constants.js';
+
+/**
+ * Camera Controller Class
+ * Frames the view: a top-down orthographic view with zoom and pan, or a 3D perspective view orbiting a point,
+ * both moving with a reference frame (a body being followed, or the center of mass of the system)
+ */
+export class CameraController {
+    /**
+     * Constructor
+     * @param {THREE.OrthographicCamera} camera - Three.js camera of the top-down view
+     * @param {number} viewSize - Half height of the view in world units
+     * @param {number} aspectRatio - Width / height of the screen
+     * @param {HTMLElement} domElement - Element the orbit controls of the 3D view listen to (the renderer's canvas)
+     */
+    constructor(camera, viewSize, aspectRatio, domElement) {
+        this.camera = camera;
+        this.aspectRatio = aspectRatio;
+        
+        // Key of ViewModes
+        this.mode = '2d';
+        
+        // Framing set by the scenario (the view returns to it on reset), and the current one
+        this.homeViewSize = viewSize;
+        this.viewSize = viewSize;
+        
+        // What the view moves with (null for nothing, 'centerOfMass', or a body ID),
+        // and the latest position and velocity of that frame
+        this.target = null;
+        this.frameX = 0;
+        this.frameY = 0;
+        this.frameZ = 0;
+        this.frameVx = 0;
+        this.frameVy = 0;
+        this.frameVz = 0;
+        
+        // Position of the view center relative to the frame (top-down view)
+        this.offsetX = 0;
+        this.offsetY = 0;
+        this.offsetZ = 0;
+        
+        // Camera of the 3D view, with Z up so that orbiting turns around the normal of the X-Y plane
+        this.perspectiveCamera = new THREE.PerspectiveCamera(CameraConstants.FOV, aspectRatio, CameraConstants.NEAR, CameraConstants.FAR);
+        this.perspectiveCamera.up.set(0, 0, 1);
+        
+        // Distance from which the 3D view shows a half height of one world unit
+        this.unitDistance = 1 / Math.tan(CameraConstants.FOV / 2 * Math.PI / 180);
+        
+        // Orbit controls of the 3D view: right drag rotates (with Shift it pans), the wheel and middle drag zoom,
+        // two fingers rotate and pinch (the left button and a single finger are left for launching bodies)
+        this.orbitControls = new THREE.OrbitControls(this.perspectiveCamera, domElement);
+        this.orbitControls.mouseButtons = { LEFT: -1, MIDDLE: THREE.MOUSE.DOLLY, RIGHT: THREE.MOUSE.ROTATE };
+        this.orbitControls.touches = { ONE: -1, TWO: THREE.TOUCH.DOLLY_ROTATE };
+        this.orbitControls.minDistance = CameraConstants.MIN_VIEW_SIZE * this.unitDistance;
+        this.orbitControls.maxDistance = CameraConstants.MAX_VIEW_SIZE * this.unitDistance;
+        this.orbitControls.enabled = false;
+        
+        this.updateFrustum();
+        this.updatePosition();
+        this.lookAt(0, 0, 0, viewSize);
+    }
+    
+    /**
+     * Switch between the top-down and the 3D view, keeping the part of the world in view
+     * @param {string} mode - Key of ViewModes
+     */
+    setMode(mode) {
+        if (mode === this.mode) return;
+        
+        if (mode === '3d') {
+            // Look at the center of the top-down view from the height its view size corresponds to
+            this.lookAt(this.camera.position.x, this.camera.position.y, this.getPlaneZ(), this.viewSize);
+        } else {
+            // Look down on the orbit target, showing about as much as the 3D view did
+            const center = this.orbitControls.target;
+            this.viewSize = Math.min(Math.max(this.getViewSize(), CameraConstants.MIN_VIEW_SIZE), CameraConstants.MAX_VIEW_SIZE);
+            this.offsetX = center.x - this.frameX;
+            this.offsetY = center.y - this.frameY;
+            this.offsetZ = center.z - this.frameZ;
+            this.updateFrustum();
+            this.updatePosition();
+        }
+        
+        this.mode = mode;
+        this.orbitControls.enabled = mode === '3d';
+    }
+    
+    /**
+     * Get the view mode
+     * @returns {string} Key of ViewModes
+     */
+    getMode() {
+        return this.mode;
+    }
+    
+    /**
+     * Get the camera of the current view
+     * @returns {THREE.Camera} Orthographic camera of the top-down view, or perspective camera of the 3D view
+     */
+    getCamera() {
+        return this.mode === '3d' ? this.perspectiveCamera : this.camera;
+    }
+    
+    /**
+     * Set the framing of a newly loaded system and show it
+     * @param {number} viewSize - Half height of the view in world units
+     */
+    setHomeView(viewSize) {
+        this.homeViewSize = viewSize;
+        this.resetView();
+    }
+    
+    /**
+     * Return to the framing of the system: centered on the origin, not following anything
+     */
+    resetView() {
+        this.viewSize = this.homeViewSize;
+        this.target = null;
+        this.setFrame(0, 0, 0, 0, 0, 0);
+        this.offsetX = 0;
+        this.offsetY = 0;
+        this.offsetZ = 0;
+        this.updateFrustum();
+        this.updatePosition();
+        this.lookAt(0, 0, 0, this.homeViewSize);
+    }
+    
+    /**
+     * Fit the view to a new screen shape
+     * @param {number} aspectRatio - Width / height of the screen
+     */
+    setAspectRatio(aspectRatio) {
+        this.aspectRatio = aspectRatio;
+        this.updateFrustum();
+        this.perspectiveCamera.aspect = aspectRatio;
+        this.perspectiveCamera.updateProjectionMatrix();
+    }
+    
+    /**
+     * Zoom the top-down view in or out, keeping a point at the same place on the screen
+     * @param {number} x - X coordinate of the fixed point (e.g. under the cursor)
+     * @param {number} y - Y coordinate of the fixed point
+     * @param {number} factor - Magnification (above 1 zooms in)
+     */
+    zoomAt(x, y, factor) {
+        const viewSize = Math.min(Math.max(this.viewSize / factor, CameraConstants.MIN_VIEW_SIZE), CameraConstants.MAX_VIEW_SIZE);
+        const ratio = viewSize / this.viewSize;
+        
+        // Move the center toward the fixed point by the share of the view that disappears
+        this.offsetX += (x - this.camera.position.x) * (1 - ratio);
+        this.offsetY += (y - this.camera.position.y) * (1 - ratio);
+        this.viewSize = viewSize;
+        this.updateFrustum();
+        this.updatePosition();
+    }
+    
+    /**
+     * Move the top-down view
+     * @param {number} dx - X distance in world units
+     * @param {number} dy - Y distance in world units
+     */
+    panBy(dx, dy) {
+        this.offsetX += dx;
+        this.offsetY += dy;
+        this.updatePosition();
+    }
+    
+    /**
+     * Choose what the view moves with
+     * @param {string|number|null} target - Body ID to center on, 'centerOfMass', or null to stop where the view is
+     * @param {SimulationState} state - Body state being shown
+     */
+    follow(target, state) {
+        if (target === null) {
+            this.release();
+            return;
+        }
+        
+        this.target = target;
+        this.offsetX = 0;
+        this.offsetY = 0;
+        this.offsetZ = 0;
+        this.update(state);
+        
+        // The 3D view turns to the frame, keeping its direction and distance
+        if (this.target !== null) {
+            const center = this.orbitControls.target;
+            this.moveOrbit(this.frameX - center.x, this.frameY - center.y, this.frameZ - center.z);
+        }
+    }
+    
+    /**
+     * Stop following, leaving the view where it is
+     */
+    release() {
+        this.offsetX = this.camera.position.x;
+        this.offsetY = this.camera.position.y;
+        this.offsetZ = this.getPlaneZ();
+        this.target = null;
+        this.setFrame(0, 0, 0, 0, 0, 0);
+    }
+    
+    /**
+     * Get what the view moves with
+     * @returns {string|number|null} Body ID, 'centerOfMass', or null
+     */
+    getTarget() {
+        return this.target;
+    }
+    
+    /**
+     * Move the view with its frame (stops following a body that no longer exists)
+     * @param {SimulationState} state - Body state being shown
+     */
+    update(state) {
+        if (this.target === null) return;
+        
+        const previousX = this.frameX;
+        const previousY = this.frameY;
+        const previousZ = this.frameZ;
+        
+        if (this.target === 'centerOfMass') {
+            const center = state.getCenterOfMass();
+            if (center.mass > 0) {
+                this.setFrame(center.x, center.y, center.z, center.vx, center.vy, center.vz);
+            }
+        } else {
+            const index = state.indexOf(this.target);
+            if (index < 0) {
+                this.release();
+                return;
+            }
+            this.setFrame(state.x[index], state.y[index], state.z[index], state.vx[index], state.vy[index], state.vz[index]);
+        }
+        
+        // The top-down view is placed relative to the frame, the 3D view is carried along by its movement
+        // (so that rotating and panning with the orbit controls are kept)
+        this.updatePosition();
+        if (this.mode === '3d') {
+            this.moveOrbit(this.frameX - previousX, this.frameY - previousY, this.frameZ - previousZ);
+        }
+    }
+    
+    /**
+     * Set the position and velocity of the frame the view moves with
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @param {number} z - Z coordinate
+     * @param {number} vx - X velocity
+     * @param {number} vy - Y velocity
+     * @param {number} vz - Z velocity
+     */
+    setFrame(x, y, z, vx, vy, vz) {
+        this.frameX = x;
+        this.frameY = y;
+        this.frameZ = z;
+        this.frameVx = vx;
+        this.frameVy = vy;
+        this.frameVz = vz;
+    }
+    
+    /**
+     * Get the velocity of the frame the view moves with (bodies launched at rest on the screen move with it)
+     * @returns {Object} Velocity {vx, vy, vz}
+     */
+    getFrameVelocity() {
+        return { vx: this.frameVx, vy: this.frameVy, vz: this.frameVz };
+    }
+    
+    /**
+     * Get the height of the plane (parallel to X-Y) that screen positions are mapped onto:
+     * the level of the view center in the top-down view, or of the orbit target in the 3D view
+     * @returns {number} Z coordinate
+     */
+    getPlaneZ() {
+        return this.mode === '3d' ? this.orbitControls.target.z : this.frameZ + this.offsetZ;
+    }
+    
+    /**
+     * Get the half height of the view: that of the top-down view, or of the 3D view at the orbit target
+     * @returns {number} Half height in world units
+     */
+    getViewSize() {
+        if (this.mode === '3d') {
+            return this.perspectiveCamera.position.distanceTo(this.orbitControls.target) / this.unitDistance;
+        }
+        return this.viewSize;
+    }
+    
+    /**
+     * Get the magnification relative to the default view
+     * @returns {number} Zoom (above 1 when zoomed in)
+     */
+    getZoom() {
+        return ScenarioConstants.VIEW_SIZE / this.getViewSize();
+    }
+    
+    /**
+     * Get the region planets may leave before they are removed: the framing of the system,
+     * widened to whatever part of the world is on screen
+     * @param {number} margin - Margin around the region in world units
+     * @returns {Object} Maximum absolute coordinates {maxX, maxY}
+     */
+    getBounds(margin) {
+        const center = this.mode === '3d' ? this.orbitControls.target : this.camera.position;
+        const viewSize = this.getViewSize();
+        const halfWidth = viewSize * this.aspectRatio;
+        return {
+            maxX: Math.max(this.homeViewSize * this.aspectRatio, Math.abs(center.x) + halfWidth) + margin,
+            maxY: Math.max(this.homeViewSize, Math.abs(center.y) + viewSize) + margin
+        };
+    }
+    
+    /**
+     * Get the part of the plane through the view center that is on screen (in 3D, its extent at the orbit target)
+     * @returns {Object} Center {x, y, z} and half extents {halfWidth, halfHeight} in world units
+     */
+    getViewArea() {
+        const center = this.mode === '3d' ? this.orbitControls.target : this.camera.position;
+        const viewSize = this.getViewSize();
+        return { x: center.x, y: center.y, z: this.getPlaneZ(), halfWidth: viewSize * this.aspectRatio, halfHeight: viewSize };
+    }
+    
+    /**
+     * Fit the camera frustum of the top-down view to the view size and aspect ratio
+     */
+    updateFrustum() {
+        this.camera.left = -this.viewSize * this.aspectRatio;
+        this.camera.right = this.viewSize * this.aspectRatio;
+        this.camera.top = this.viewSize;
+        this.camera.bottom = -this.viewSize;
+        this.camera.updateProjectionMatrix();
+    }
+    
+    /**
+     * Move the camera of the top-down view to the frame position plus the offset, halfway through the depth range
+     * so that bodies above and below the plane are drawn (the world matrix is updated at once so that screen
+     * positions map to the new view before the next render)
+     */
+    updatePosition() {
+        this.camera.position.x = this.frameX + this.offsetX;
+        this.camera.position.y = this.frameY + this.offsetY;
+        this.camera.position.z = this.frameZ + this.offsetZ + CameraConstants.FAR / 2;
+        this.camera.updateMatrixWorld();
+    }
+    
+    /**
+     * Point the 3D view at a point from the south, tilted from straight above, at the distance
+     * where it shows the given half height
+     * @param {number} x - X coordinate of the point
+     * @param {number} y - Y coordinate of the point
+     * @param {number} z - Z coordinate of the point
+     * @param {number} viewSize - Half height of the view at the point in world units
+     */
+    lookAt(x, y, z, viewSize) {
+        const distance = viewSize * this.unitDistance;
+        const tilt = CameraConstants.TILT * Math.PI / 180;
+        this.orbitControls.target.set(x, y, z);
+        this.perspectiveCamera.position.set(x, y - distance * Math.sin(tilt), z + distance * Math.cos(tilt));
+        this.orbitControls.update();
+        this.perspectiveCamera.updateMatrixWorld();
+    }
+    
+    /**
+     * Move the 3D view (its camera and orbit target together)
+     * @param {number} dx - X distance in world units
+     * @param {number} dy - Y distance in world units
+     * @param {number} dz - Z distance in world units
+     */
+    moveOrbit(dx, dy, dz) {
+        this.orbitControls.target.x += dx;
+        this.orbitControls.target.y += dy;
+        this.orbitControls.target.z += dz;
+        this.perspectiveCamera.position.x += dx;
+        this.perspectiveCamera.position.y += dy;
+        this.perspectiveCamera.position.z += dz;
+        this.orbitControls.update();
+        this.perspectiveCamera.updateMatrixWorld();
+    }
+}
+
+// Available view modes (key: mode ID, value: label)
+export const ViewModes = {
+    '2d': '2D (top view)',
+    '3d': '3D (perspective)'
+};
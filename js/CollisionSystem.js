@@ -0,0 +1,372 @@
+import { PlanetConstants, CollisionConstants } from './Constants.js';
+import { radiusFromMass } from './Gravity.js';
+import { BodyKind } from './SimulationState.js';
+
+/**
+ * Collision System Class
+ * Detects planet-planet contact and resolves it with the selected policy
+ */
+export class CollisionSystem {
+    /**
+     * Constructor
+     */
+    constructor() {
+        this.policy = CollisionConstants.DEFAULT_POLICY;
+    }
+    
+    /**
+     * Select the collision policy
+     * @param {string} policy - Key of CollisionPolicies
+     */
+    setPolicy(policy) {
+        this.policy = policy;
+    }
+    
+    /**
+     * Get the collision policy
+     * @returns {string} Key of CollisionPolicies
+     */
+    getPolicy() {
+        return this.policy;
+    }
+    
+    /**
+     * Find pairs of planets that touch each other (each planet appears in at most one pair)
+     * @param {SimulationState} state - Body state
+     * @param {number} period - Side of the periodic domain, in which planets touch through their nearest images
+     *     (0 if the domain is not periodic)
+     * @returns {Array<Array<number>>} Touching pairs of body indices
+     */
+    findContacts(state, period = 0) {
+        const contacts = [];
+        const inContact = new Uint8Array(state.count);
+        const { y, z, radius } = state;
+        
+        // In a periodic domain, X coordinates are folded into it (positions are only wrapped after the step)
+        const x = period > 0 ? state.x.map(value => value - period * Math.round(value / period)) : state.x;
+        
+        // Planets touch if the distance between the centers (of the nearest images) is less than the sum of radii
+        const touch = (a, b) => {
+            let dx = x[b] - x[a];
+            let dy = y[b] - y[a];
+            const dz = z[b] - z[a];
+            if (period > 0) {
+                dx -= period * Math.round(dx / period);
+                dy -= period * Math.round(dy / period);
+            }
+            const radiusSum = radius[a] + radius[b];
+            if (dx * dx + dy * dy + dz * dz < radiusSum * radiusSum) {
+                contacts.push([a, b]);
+                inContact[a] = 1;
+                inContact[b] = 1;
+                return true;
+            }
+            return false;
+        };
+        
+        // Sweep along X in order of the left edge: only planets overlapping in X can touch
+        const sorted = [];
+        for (let i = 0; i < state.count; i++) {
+            if (state.kind[i] === BodyKind.PLANET) sorted.push(i);
+        }
+        sorted.sort((a, b) => (x[a] - radius[a]) - (x[b] - radius[b]));
+        
+        for (let i = 0; i < sorted.length; i++) {
+            const a = sorted[i];
+            if (inContact[a]) continue;
+            
+            const rightEdge = x[a] + radius[a];
+            let found = false;
+            for (let j = i + 1; j < sorted.length && x[sorted[j]] - radius[sorted[j]] < rightEdge; j++) {
+                if (!inContact[sorted[j]] && touch(a, sorted[j])) {
+                    found = true;
+                    break;
+                }
+            }
+            
+            // In a periodic domain, the sweep goes on past the right side into the images of the planets on the left
+            if (period > 0 && !found) {
+                for (let j = 0; j < i && x[sorted[j]] + period - radius[sorted[j]] < rightEdge; j++) {
+                    if (!inContact[sorted[j]] && touch(a, sorted[j])) break;
+                }
+            }
+        }
+        
+        return contacts;
+    }
+    
+    /**
+     * Detect and resolve planet-planet collisions
+     * @param {Simulation} simulation - Simulation owning the planets
+     * @returns {Array<Object>} Resolved collisions { x, y, z, policy } with their impact (see describeImpact())
+     */
+    resolve(simulation) {
+        const collisions = [];
+        const state = simulation.state;
+        const period = simulation.boundarySystem.getPeriod();
+        const contacts = this.findContacts(state, period);
+        
+        // Indices stay valid while resolving: removals are applied afterwards and new bodies are appended
+        const removed = [];
+        
+        for (const [a, b] of contacts) {
+            // Planets touching across the edge of a periodic domain meet where the first one is: the second moves to
+            // its image nearest the first (the boundary wraps the result back into the domain after the step)
+            if (period > 0) {
+                state.x[b] -= period * Math.round((state.x[b] - state.x[a]) / period);
+                state.y[b] -= period * Math.round((state.y[b] - state.y[a]) / period);
+            }
+            
+            // Taken before bouncing changes the velocities
+            const impact = CollisionSystem.describeImpact(state, a, b);
+            
+            // Bouncing only applies to planets that are still approaching each other
+            if (this.policy === 'bounce' && !this.bounce(state, a, b)) {
+                continue;
+            }
+            
+            // Collision point (center of mass of the pair)
+            const totalMass = state.mass[a] + state.mass[b];
+            const x = (state.mass[a] * state.x[a] + state.mass[b] * state.x[b]) / totalMass;
+            const y = (state.mass[a] * state.y[a] + state.mass[b] * state.y[b]) / totalMass;
+            const z = (state.mass[a] * state.z[a] + state.mass[b] * state.z[b]) / totalMass;
+            
+            if (this.policy === 'merge') {
+                removed.push(this.merge(state, a, b));
+            } else if (this.policy === 'fragment') {
+                removed.push(...this.fragment(simulation, a, b));
+            }
+            
+            collisions.push(Object.assign({ x, y, z, policy: this.policy }, impact));
+        }
+        
+        // Remove from the highest index down so that lower indices do not shift
+        removed.sort((a, b) => b - a);
+        for (const index of removed) {
+            simulation.removeBody(index);
+        }
+        
+        // Fragments may have pushed the number of planets over the limit
+        if (this.policy === 'fragment' && collisions.length > 0) {
+            simulation.removeOldest(BodyKind.PLANET, PlanetConstants.MAX_COUNT);
+        }
+        
+        return collisions;
+    }
+    
+    /**
+     * Merge two planets into one (perfectly inelastic: momentum is conserved, volumes add up)
+     * @param {SimulationState} state - Body state
+     * @param {number} a - Index of the first planet
+     * @param {number} b - Index of the second planet
+     * @returns {number} Index of the absorbed planet (to be removed by the caller)
+     */
+    merge(state, a, b) {
+        // The heavier planet survives and keeps its ID (and therefore its trail)
+        const survivor = state.mass[a] >= state.mass[b] ? a : b;
+        const absorbed = survivor === a ? b : a;
+        
+        const massA = state.mass[a];
+        const massB = state.mass[b];
+        const totalMass = massA + massB;
+        const volume = massA / state.density[a] + massB / state.density[b];
+        
+        // Center of mass position and velocity
+        state.x[survivor] = (massA * state.x[a] + massB * state.x[b]) / totalMass;
+        state.y[survivor] = (massA * state.y[a] + massB * state.y[b]) / totalMass;
+        state.z[survivor] = (massA * state.z[a] + massB * state.z[b]) / totalMass;
+        state.vx[survivor] = (massA * state.vx[a] + massB * state.vx[b]) / totalMass;
+        state.vy[survivor] = (massA * state.vy[a] + massB * state.vy[b]) / totalMass;
+        state.vz[survivor] = (massA * state.vz[a] + massB * state.vz[b]) / totalMass;
+        
+        // A pinned planet holds the merged one in its place
+        const pinned = state.pinned[a] ? a : (state.pinned[b] ? b : -1);
+        if (pinned >= 0) {
+            state.x[survivor] = state.x[pinned];
+            state.y[survivor] = state.y[pinned];
+            state.z[survivor] = state.z[pinned];
+            state.vx[survivor] = 0;
+            state.vy[survivor] = 0;
+            state.vz[survivor] = 0;
+            state.pinned[survivor] = 1;
+        }
+        
+        state.color[survivor] = CollisionSystem.blendColors(state.color[a], massA, state.color[b], massB);
+        state.mass[survivor] = totalMass;
+        state.density[survivor] = totalMass / volume;
+        state.radius[survivor] = radiusFromMass(totalMass, totalMass / volume);
+        
+        return absorbed;
+    }
+    
+    /**
+     * Bounce two planets off each other (elastic: momentum and kinetic energy are conserved)
+     * @param {SimulationState} state - Body state
+     * @param {number} a - Index of the first planet
+     * @param {number} b - Index of the second planet
+     * @returns {boolean} true if the planets were approaching and bounced
+     */
+    bounce(state, a, b) {
+        // Unit normal from b to a
+        const dx = state.x[a] - state.x[b];
+        const dy = state.y[a] - state.y[b];
+        const dz = state.z[a] - state.z[b];
+        const distance = Math.sqrt(dx * dx + dy * dy + dz * dz) || Number.EPSILON;
+        const nx = dx / distance;
+        const ny = dy / distance;
+        const nz = dz / distance;
+        
+        // Relative velocity along the normal (negative when approaching)
+        const approachSpeed = (state.vx[a] - state.vx[b]) * nx + (state.vy[a] - state.vy[b]) * ny + (state.vz[a] - state.vz[b]) * nz;
+        if (approachSpeed >= 0) {
+            return false;
+        }
+        
+        // Exchange momentum along the normal: v1' = v1 - 2 * m2 / (m1 + m2) * ((v1 - v2) . n) * n
+        const totalMass = state.mass[a] + state.mass[b];
+        const impulseA = 2 * state.mass[b] / totalMass * approachSpeed;
+        const impulseB = 2 * state.mass[a] / totalMass * approachSpeed;
+        
+        // Positions are left untouched (moving overlapping planets apart would change their potential energy);
+        // they separate on their own because they are no longer approaching
+        state.vx[a] -= impulseA * nx;
+        state.vy[a] -= impulseA * ny;
+        state.vz[a] -= impulseA * nz;
+        state.vx[b] += impulseB * nx;
+        state.vy[b] += impulseB * ny;
+        state.vz[b] += impulseB * nz;
+        return true;
+    }
+    
+    /**
+     * Break two planets into equal fragments flying apart from their center of mass
+     * (falls back to merging when the fragments would be too small, or when a planet is pinned: none of the
+     * fragments could stand for it, while a merged planet stays where it was pinned)
+     * @param {Simulation} simulation - Simulation owning the planets
+     * @param {number} a - Index of the first planet
+     * @param {number} b - Index of the second planet
+     * @returns {Array<number>} Indices of the planets to be removed by the caller
+     */
+    fragment(simulation, a, b) {
+        const state = simulation.state;
+        const count = CollisionConstants.FRAGMENT_COUNT;
+        const massA = state.mass[a];
+        const massB = state.mass[b];
+        const totalMass = massA + massB;
+        const fragmentMass = totalMass / count;
+        
+        if (fragmentMass < CollisionConstants.MIN_FRAGMENT_MASS || state.pinned[a] || state.pinned[b]) {
+            return [this.merge(state, a, b)];
+        }
+        
+        const density = totalMass / (massA / state.density[a] + massB / state.density[b]);
+        const color = CollisionSystem.blendColors(state.color[a], massA, state.color[b], massB);
+        
+        // Center of mass position and velocity
+        const x = (massA * state.x[a] + massB * state.x[b]) / totalMass;
+        const y = (massA * state.y[a] + massB * state.y[b]) / totalMass;
+        const z = (massA * state.z[a] + massB * state.z[b]) / totalMass;
+        const vx = (massA * state.vx[a] + massB * state.vx[b]) / totalMass;
+        const vy = (massA * state.vy[a] + massB * state.vy[b]) / totalMass;
+        const vz = (massA * state.vz[a] + massB * state.vz[b]) / totalMass;
+        
+        // Fragments fly outward with a fraction of the impact speed
+        const dvx = state.vx[a] - state.vx[b];
+        const dvy = state.vy[a] - state.vy[b];
+        const dvz = state.vz[a] - state.vz[b];
+        const speed = Math.sqrt(dvx * dvx + dvy * dvy + dvz * dvz) * CollisionConstants.FRAGMENT_SPEED_RATIO;
+        
+        // Place fragments evenly on a circle wide enough that they do not touch each other
+        const fragmentRadius = radiusFromMass(fragmentMass, density);
+        const spawnRadius = 1.5 * fragmentRadius / Math.sin(Math.PI / count);
+        
+        // The circle starts at the line between the planets (u) and turns toward w, perpendicular to it and to
+        // the Z axis (so that planets colliding in the X-Y plane break up within it)
+        const dx = state.x[a] - state.x[b];
+        const dy = state.y[a] - state.y[b];
+        const dz = state.z[a] - state.z[b];
+        const distance = Math.sqrt(dx * dx + dy * dy + dz * dz) || Number.EPSILON;
+        const ux = dx / distance;
+        const uy = dy / distance;
+        const uz = dz / distance;
+        const horizontal = Math.sqrt(ux * ux + uy * uy);
+        const [wx, wy, wz] = horizontal > 1e-9 ? [-uy / horizontal, ux / horizontal, 0] : [1, 0, 0];
+        
+        // Symmetric placement keeps the center of mass and the total momentum unchanged
+        // (fragments are appended, so the indices of existing planets do not change)
+        for (let i = 0; i < count; i++) {
+            const angle = i * 2 * Math.PI / count;
+            const cos = Math.cos(angle);
+            const sin = Math.sin(angle);
+            const directionX = ux * cos + wx * sin;
+            const directionY = uy * cos + wy * sin;
+            const directionZ = uz * cos + wz * sin;
+            simulation.addBody({
+                kind: BodyKind.PLANET,
+                x: x + spawnRadius * directionX,
+                y: y + spawnRadius * directionY,
+                z: z + spawnRadius * directionZ,
+                vx: vx + speed * directionX,
+                vy: vy + speed * directionY,
+                vz: vz + speed * directionZ,
+                mass: fragmentMass,
+                density,
+                radius: fragmentRadius,
+                color
+            });
+        }
+        
+        return [a, b];
+    }
+    
+    /**
+     * Describe the impact of two bodies, for the effects shown with it
+     * @param {SimulationState} state - Body state
+     * @param {number} a - Index of the first body
+     * @param {number} b - Index of the second body
+     * @returns {Object} { energy, vx, vy, vz, color }: kinetic energy of the relative motion (the energy an inelastic
+     *     collision dissipates), and the velocity and color of the impactor (the lighter body)
+     */
+    static describeImpact(state, a, b) {
+        const dvx = state.vx[a] - state.vx[b];
+        const dvy = state.vy[a] - state.vy[b];
+        const dvz = state.vz[a] - state.vz[b];
+        const reducedMass = state.mass[a] * state.mass[b] / (state.mass[a] + state.mass[b]);
+        const impactor = state.mass[a] <= state.mass[b] ? a : b;
+        return {
+            energy: 0.5 * reducedMass * (dvx * dvx + dvy * dvy + dvz * dvz),
+            vx: state.vx[impactor],
+            vy: state.vy[impactor],
+            vz: state.vz[impactor],
+            color: state.color[impactor]
+        };
+    }
+    
+    /**
+     * Blend two colors weighted by mass
+     * @param {number} color1 - First color
+     * @param {number} mass1 - Weight of the first color
+     * @param {number} color2 - Second color
+     * @param {number} mass2 - Weight of the second color
+     * @returns {number} Blended color
+     */
+    static blendColors(color1, mass1, color2, mass2) {
+        const t = mass2 / (mass1 + mass2);
+        let color = 0;
+        
+        // Interpolate each 8-bit channel (red, green, blue)
+        for (let shift = 16; shift >= 0; shift -= 8) {
+            const c1 = (color1 >> shift) & 0xFF;
+            const c2 = (color2 >> shift) & 0xFF;
+            color |= Math.round(c1 + (c2 - c1) * t) << shift;
+        }
+        return color;
+    }
+}
+
+// Available collision policies (key: policy ID, value: label)
+export const CollisionPolicies = {
+    merge: 'Merge',
+    bounce: 'Bounce',
+    fragment: 'Fragment'
+};
@@ -3,7 +3,7 @@
  */
 
 // Constants for physics simulation
-const PhysicsConstants = {
+export const PhysicsConstants = {
     // Gravitational constant
     G: 6.67430e-11,
     // Time scale (to speed up the simulation)
@@ -12,52 +12,303 @@ const PhysicsConstants = {
     DISTANCE_SCALE: 1.0e9,
     // Minimum distance (to prevent collisions)
     MIN_DISTANCE: 1.0,
-    // Skip gravity calculations between planets beyond this distance (to reduce processing load)
-    MAX_FORCE_DISTANCE: 50.0,
     // Speed factor
-    SPEED_FACTOR: 2.0e-14
+    SPEED_FACTOR: 2.0e-14,
+    // Real time covered by one fixed simulation step (milliseconds)
+    STEP_INTERVAL: 70,
+    // Number of sub-steps per simulation step (to improve accuracy)
+    SUB_STEPS: 4,
+    // Maximum number of simulation steps per frame (to prevent the simulation from falling behind forever)
+    MAX_STEPS_PER_FRAME: 5,
+    // Integrator used at startup (key of Integrators)
+    DEFAULT_INTEGRATOR: 'euler',
+    // Gravity solver used at startup ('direct' or 'barnesHut')
+    DEFAULT_GRAVITY_SOLVER: 'direct'
 };
 
 // Constants for the sun
-const SunConstants = {
+export const SunConstants = {
     // Sun's mass
     MASS: 1.11e7,
     // Sun's radius (pixels)
     RADIUS: 3,
     // Sun's base color
     COLOR: 0xFFA500, // Orange
-    // Intensity of sun's brightness fluctuation
-    BRIGHTNESS_FLUCTUATION: 0.1 // Brightness fluctuation range (0-1)
+    // Surface temperature of the Sun (kelvin)
+    TEMPERATURE: 5772,
+    // Range of star temperatures (kelvin; colors are computed within it)
+    MIN_TEMPERATURE: 1000,
+    MAX_TEMPERATURE: 40000,
+    // Size of the corona and the rays around a star (star radii from its center)
+    CORONA_SIZE: 2.5,
+    // Maximum number of stars
+    MAX_COUNT: 4
 };
 
 // Constants for planets
-const PlanetConstants = {
-    // Planet's mass
+export const PlanetConstants = {
+    // Planet's default mass
     MASS: 200000,
-    // Planet's radius (pixels)
-    RADIUS: 0.5,
+    // Planet's default density (mass per cubic unit; the default mass gives a radius of 0.5)
+    DENSITY: 381972,
     // Maximum number of planets
-    MAX_COUNT: 10,
-    // Number of points in the trail
-    TRAIL_LENGTH: 10
+    MAX_COUNT: 5000
+};
+
+// Planet types that can be launched (mass and density determine the radius)
+export const PlanetTypes = {
+    rocky: { label: 'Small rocky', mass: 40000, density: 600000 },
+    standard: { label: 'Standard', mass: PlanetConstants.MASS, density: PlanetConstants.DENSITY },
+    giant: { label: 'Gas giant', mass: 2000000, density: 150000 },
+    asteroid: { label: 'Asteroid', mass: 100, density: 40000 }
+};
+
+// Constants for asteroid belts
+export const AsteroidBeltConstants = {
+    // Number of asteroids added at once
+    COUNT: 2000,
+    // Inner radius of the belt
+    INNER_RADIUS: 12,
+    // Outer radius of the belt
+    OUTER_RADIUS: 30,
+    // Asteroid color
+    COLOR: 0x999999 // Gray
+};
+
+// Constants for the Barnes-Hut gravity solver
+export const BarnesHutConstants = {
+    // Default opening angle (cell size / distance; smaller is more accurate and slower)
+    OPENING_ANGLE: 0.5,
+    // Maximum tree depth (bodies closer than this resolution share a leaf)
+    MAX_DEPTH: 32
 };
 
 // Constants for rendering
-const RenderConstants = {
-    // Drawing update interval (milliseconds)
-    DRAW_INTERVAL: 70,
-    // Trail update interval (milliseconds)
+export const RenderConstants = {
+    // Trail update interval (milliseconds of simulation step time)
     TRAIL_UPDATE_INTERVAL: 35,
     // Margin for off-screen detection (pixels)
     SCREEN_MARGIN: 20
 };
 
-// Constants for collision effects
-const CollisionConstants = {
-    // Collision effect radius (pixels)
-    COLLISION_EFFECT_RADIUS: 1,
-    // Collision effect color
-    COLLISION_EFFECT_COLOR: 0xFFFF00, // Yellow
-    // Collision effect duration (milliseconds)
-    COLLISION_EFFECT_DURATION: 105
+// Constants for the planet renderer
+export const PlanetRendererConstants = {
+    // Number of planet instances allocated at first (doubled whenever more planets are shown)
+    INITIAL_CAPACITY: 256
+};
+
+// Constants for trails
+export const TrailConstants = {
+    // Trail length choices (maximum number of points per body; each point takes 28 bytes of GPU memory,
+    // and 0 turns trails off)
+    LENGTHS: [0, 10, 100, 1000, 5000],
+    // Number of trails the shared buffer holds at first (doubled whenever more planets are shown; a multiple of 256)
+    INITIAL_CAPACITY: 256,
+    // Points the shared buffer may hold in all (28 MB); when there are too many trails for the chosen length
+    // to fit, each trail keeps fewer points
+    MAX_POINTS: 1024 * 1024,
+    // Trail length at startup
+    LENGTH: 100,
+    // How trails are kept at startup (key of TrailModes)
+    DEFAULT_MODE: 'infinite',
+    // Frame of reference at startup (key of TrailFrames)
+    DEFAULT_FRAME: 'inertial',
+    // Age beyond which points are hidden in the time-limited mode (milliseconds of simulation step time)
+    TIME_LIMIT: 3000,
+    // Whether trails fade out toward their oldest point at startup
+    FADE: true,
+    // Opacity of the newest part of a trail
+    OPACITY: 0.5,
+    // Maximum number of points per trail written to a snapshot
+    SAVED_LENGTH: 1000
+};
+
+// Constants for the simulation boundary
+export const BoundaryConstants = {
+    // Boundary policy at startup (key of BoundaryPolicies)
+    DEFAULT_POLICY: 'screen',
+    // Escape radius, and half the side of the periodic domain, in world units
+    RADIUS: 150,
+    // Maximum number of edge indicators shown for bodies beyond the view
+    MAX_INDICATORS: 256,
+    // Size of an edge indicator and its distance from the screen edge (pixels)
+    INDICATOR_SIZE: 10,
+    INDICATOR_MARGIN: 6,
+    // Color of the domain outline
+    OUTLINE_COLOR: 0x446688
+};
+
+// Constants for collisions
+export const CollisionConstants = {
+    // Planet-planet collision policy at startup (key of CollisionPolicies)
+    DEFAULT_POLICY: 'merge',
+    // Number of fragments a fragmenting collision produces
+    FRAGMENT_COUNT: 4,
+    // Smallest fragment mass (lighter collisions merge instead)
+    MIN_FRAGMENT_MASS: 10000,
+    // Outward speed of fragments relative to the impact speed
+    FRAGMENT_SPEED_RATIO: 0.4
+};
+
+// Constants for impact effects
+export const EffectConstants = {
+    // Impact energy shown at intensity 1 (about a launched planet hitting another at orbital speed)
+    REFERENCE_ENERGY: 1e-17,
+    // Change of intensity per tenfold impact energy, and its range
+    INTENSITY_PER_DECADE: 0.5,
+    MIN_INTENSITY: 0.3,
+    MAX_INTENSITY: 3,
+    // Maximum number of shockwave rings and debris particles shown at once (the oldest are reused beyond them)
+    MAX_RINGS: 64,
+    MAX_PARTICLES: 2048,
+    // Shockwave ring color for planet collisions (rings around star impacts take the star's color)
+    RING_COLOR: 0xFFFF00, // Yellow
+    // Radius a shockwave ring expands to at intensity 1 (pixels)
+    RING_RADIUS: 4,
+    // Shockwave ring lifetime (seconds)
+    RING_DURATION: 0.6,
+    // Number of debris particles at intensity 1
+    DEBRIS_COUNT: 24,
+    // Debris particle size (screen pixels)
+    DEBRIS_SIZE: 2,
+    // Debris particle lifetime (seconds; each particle lives between half of it and all of it)
+    DEBRIS_DURATION: 1.2,
+    // Share of the impactor's velocity the debris keeps
+    DEBRIS_INHERITED_VELOCITY: 0.5,
+    // Speed of the debris spray at intensity 1 (pixels per second)
+    DEBRIS_SPEED: 6,
+    // Time over which the debris loses about two thirds of its speed (seconds)
+    DEBRIS_DRAG_TIME: 0.8,
+    // Brightening of a star per unit of impact intensity, and the most it brightens
+    FLARE_STRENGTH: 0.5,
+    MAX_FLARE: 2,
+    // Time over which a flare fades to about a third (seconds)
+    FLARE_DECAY: 0.8
+};
+
+// Constants for the field overlays
+export const FieldConstants = {
+    // Number of samples along each side of the view for the potential and the zero-velocity curves
+    RESOLUTION: 96,
+    // Number of most massive bodies whose field is sampled
+    MAX_SOURCES: 64,
+    // Time between recomputations while the view stays still (milliseconds)
+    UPDATE_INTERVAL: 100,
+    // Brightness of the potential heat map (it is drawn under every body)
+    HEATMAP_BRIGHTNESS: 0.45,
+    // Number of potential contour lines, and their color and opacity
+    CONTOUR_COUNT: 12,
+    CONTOUR_COLOR: 0xFFFFFF,
+    CONTOUR_OPACITY: 0.35,
+    // Number of acceleration arrows across the width of the view
+    ARROW_COLUMNS: 24,
+    // Color of the zero-velocity curves through the Lagrange points and of their markers
+    LAGRANGE_COLOR: 0x66FF99, // Light green
+    // Size of the Lagrange point markers (fraction of the view height)
+    LAGRANGE_MARKER_SIZE: 0.015,
+    // Maximum number of line segments per layer
+    MAX_SEGMENTS: 20000
+};
+
+// Constants for diagnostics
+export const DiagnosticsConstants = {
+    // Number of samples in the energy error graph (one per state sent to the renderer)
+    HISTORY_LENGTH: 200,
+    // Energy error graph color
+    GRAPH_COLOR: '#66CCFF' // Light blue
+};
+
+// Constants for the scenario library
+export const ScenarioConstants = {
+    // Scenario loaded at startup (key of Scenarios)
+    DEFAULT: 'single',
+    // World units per astronomical unit (1 AU from a default sun is a circular orbit of about 100 steps)
+    AU: 20,
+    // Half height of the view at startup in world units
+    VIEW_SIZE: 50
+};
+
+// Constants for shared links
+export const ShareConstants = {
+    // Longest scenario code put into a link, in characters (about 360 bodies without names); browsers,
+    // chat apps and mail clients cut or reject much longer links, so larger systems are saved as files instead
+    MAX_CODE_LENGTH: 32 * 1024
+};
+
+// Constants for replay recording
+export const ReplayConstants = {
+    // Values (4 bytes each) the recording buffer starts with, and may grow to; the oldest frames are overwritten
+    // once it is full (each frame takes 6 values per body)
+    INITIAL_BUFFER_LENGTH: 64 * 1024, // 256 KB
+    MAX_BUFFER_LENGTH: 16 * 1024 * 1024, // 64 MB
+    // Values (8 bytes each) the body tables may take together (each table takes 8 values per body)
+    MAX_TABLE_LENGTH: 2 * 1024 * 1024, // 16 MB
+    // Maximum number of recorded frames (one frame per state received, about 14 per second)
+    MAX_FRAMES: 50000
+};
+
+// Constants for time controls
+export const TimeConstants = {
+    // Speed multipliers offered (on the number of steps run per second; the time step stays the same)
+    SPEEDS: [0.1, 0.25, 0.5, 1, 2, 5, 10, 25, 50, 100],
+    // Simulated time of one year: the period of a circular orbit of 1 AU around a default sun (2 * PI * sqrt(AU^3 / GM))
+    YEAR: 2 * Math.PI * Math.sqrt(Math.pow(ScenarioConstants.AU, 3) * PhysicsConstants.DISTANCE_SCALE * PhysicsConstants.DISTANCE_SCALE / (PhysicsConstants.G * SunConstants.MASS)),
+    // Days per year
+    DAYS_PER_YEAR: 365.25
+};
+
+// Constants for the camera
+export const CameraConstants = {
+    // Smallest and largest half height of the view in world units
+    MIN_VIEW_SIZE: 2,
+    MAX_VIEW_SIZE: 5000,
+    // Zoom per unit of mouse wheel movement (100 units, about one notch, zoom by about 12%)
+    WHEEL_ZOOM_RATE: 0.0012,
+    // Number of planets offered to follow besides the stars (the most massive ones)
+    FOLLOW_LIST_LENGTH: 20,
+    // Vertical field of view of the 3D view (degrees)
+    FOV: 45,
+    // Angle of the 3D view from straight above when it is opened (degrees)
+    TILT: 55,
+    // Nearest and farthest distance drawn (world units)
+    NEAR: 0.1,
+    FAR: 20000
+};
+
+// Constants for the orbit predicted while dragging to launch a body
+export const PredictionConstants = {
+    // Number of simulation steps predicted (about two orbits at 1 AU around a default sun)
+    STEPS: 200,
+    // Largest number of planets whose gravity is included besides the stars (the most massive ones)
+    MAX_SOURCES: 16,
+    // Length of the dashes and of the gaps between them (pixels)
+    DASH_SIZE: 6,
+    GAP_SIZE: 4,
+    // Colors of the predicted path by outcome
+    BOUND_COLOR: 0x66FF99, // Green
+    ESCAPING_COLOR: 0xFFCC44, // Yellow
+    IMPACT_COLOR: 0xFF5555 // Red
+};
+
+// Constants for the orbital elements panel and the conic overlay
+export const OrbitConstants = {
+    // Number of line segments of the conic
+    SEGMENTS: 256,
+    // How far an open (hyperbolic) orbit is drawn, as a multiple of the body's current distance from its primary
+    OPEN_ORBIT_EXTENT: 3,
+    // Color of the conic
+    CONIC_COLOR: 0x88CCFF
+};
+
+// Constants for picking bodies and the ring around the selected one
+export const SelectionConstants = {
+    // Distance on the screen within which a press with Ctrl (Cmd on macOS) held picks a body that is too small to hit (pixels)
+    PICK_TOLERANCE: 8,
+    // Gap between a selected body and the ring around it (pixels)
+    RING_MARGIN: 4,
+    // Number of line segments of the ring
+    RING_SEGMENTS: 64,
+    // Color of the ring around a selected body, and around a selected body that is pinned
+    RING_COLOR: 0xFFFFFF,
+    PINNED_RING_COLOR: 0xFF8844
 };
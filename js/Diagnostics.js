@@ -0,0 +1,120 @@
+import { DiagnosticsConstants } from './Constants.js';
+
+/**
+ * Diagnostics Class
+ * Computes conserved quantities of the simulation and tracks the relative energy error
+ */
+export class Diagnostics {
+    /**
+     * Constructor
+     */
+    constructor() {
+        // Energy the error is measured against (reset whenever bodies are added or removed)
+        this.referenceEnergy = null;
+        this.bodiesVersion = -1;
+        
+        // Scrolling history of relative energy error
+        this.history = [];
+        
+        // Latest results
+        this.kineticEnergy = 0;
+        this.potentialEnergy = 0;
+        this.totalEnergy = 0;
+        this.momentumX = 0;
+        this.momentumY = 0;
+        this.momentumZ = 0;
+        this.angularMomentumX = 0;
+        this.angularMomentumY = 0;
+        this.angularMomentumZ = 0;
+        this.relativeEnergyError = 0;
+    }
+    
+    /**
+     * Compute diagnostics for the current simulation state
+     * @param {Simulation} simulation - Simulation
+     */
+    update(simulation) {
+        const { count, x, y, z, vx, vy, vz, mass } = simulation.state;
+        
+        let kinetic = 0;
+        let momentumX = 0;
+        let momentumY = 0;
+        let momentumZ = 0;
+        let angularMomentumX = 0;
+        let angularMomentumY = 0;
+        let angularMomentumZ = 0;
+        
+        for (let i = 0; i < count; i++) {
+            // Kinetic energy: K = m * v^2 / 2
+            kinetic += 0.5 * mass[i] * (vx[i] * vx[i] + vy[i] * vy[i] + vz[i] * vz[i]);
+            
+            // Linear momentum: p = m * v
+            momentumX += mass[i] * vx[i];
+            momentumY += mass[i] * vy[i];
+            momentumZ += mass[i] * vz[i];
+            
+            // Angular momentum around the origin: L = m * (r x v)
+            angularMomentumX += mass[i] * (y[i] * vz[i] - z[i] * vy[i]);
+            angularMomentumY += mass[i] * (z[i] * vx[i] - x[i] * vz[i]);
+            angularMomentumZ += mass[i] * (x[i] * vy[i] - y[i] * vx[i]);
+        }
+        
+        // Potential energy of every pair, consistent with the simulation's force law and gravity solver
+        const potential = simulation.calculatePotentialEnergy();
+        
+        this.kineticEnergy = kinetic;
+        this.potentialEnergy = potential;
+        this.totalEnergy = kinetic + potential;
+        this.momentumX = momentumX;
+        this.momentumY = momentumY;
+        this.momentumZ = momentumZ;
+        this.angularMomentumX = angularMomentumX;
+        this.angularMomentumY = angularMomentumY;
+        this.angularMomentumZ = angularMomentumZ;
+        
+        // Restart the error measurement when the set of bodies changed
+        if (this.bodiesVersion !== simulation.getBodiesVersion()) {
+            this.bodiesVersion = simulation.getBodiesVersion();
+            this.referenceEnergy = this.totalEnergy;
+        }
+        
+        // Relative energy error: (E - E0) / |E0|
+        this.relativeEnergyError = this.referenceEnergy !== 0
+            ? (this.totalEnergy - this.referenceEnergy) / Math.abs(this.referenceEnergy)
+            : 0;
+        
+        // Record history (drop the oldest sample when full)
+        this.history.push(this.relativeEnergyError);
+        if (this.history.length > DiagnosticsConstants.HISTORY_LENGTH) {
+            this.history.shift();
+        }
+    }
+    
+    /**
+     * Get the history of relative energy error
+     * @returns {Array<number>} Relative energy error samples, oldest first
+     */
+    getHistory() {
+        return this.history;
+    }
+    
+    /**
+     * Get the latest results as a plain object (for sending to another thread)
+     * @returns {Object} Latest results and a copy of the error history
+     */
+    getSummary() {
+        return {
+            kineticEnergy: this.kineticEnergy,
+            potentialEnergy: this.potentialEnergy,
+            totalEnergy: this.totalEnergy,
+            momentumX: this.momentumX,
+            momentumY: this.momentumY,
+            momentumZ: this.momentumZ,
+            angularMomentumX: this.angularMomentumX,
+            angularMomentumY: this.angularMomentumY,
+            angularMomentumZ: this.angularMomentumZ,
+            relativeEnergyError: this.relativeEnergyError,
+            history: this.history.slice()
+        };
+    }
+}
@@ -0,0 +1,95 @@
+import { DiagnosticsConstants } from './Constants.js';
+
+/**
+ * Diagnostics HUD Class
+ * Shows conserved quantities and a sparkline of relative energy error in the info overlay
+ */
+export class DiagnosticsHUD {
+    /**
+     * Constructor
+     * @param {HTMLElement} readoutElement - Element that receives the text readout
+     * @param {HTMLCanvasElement} graphCanvas - Canvas that receives the sparkline
+     */
+    constructor(readoutElement, graphCanvas) {
+        this.readoutElement = readoutElement;
+        this.graphCanvas = graphCanvas;
+        this.graphContext = graphCanvas.getContext('2d');
+    }
+    
+    /**
+     * Format a number for display
+     * @param {number} value - Value to format
+     * @returns {string} Formatted value
+     */
+    static format(value) {
+        return value.toExponential(3);
+    }
+    
+    /**
+     * Update text readout and sparkline
+     * @param {Object} diagnostics - Diagnostics results (as returned by Diagnostics.getSummary())
+     */
+    update(diagnostics) {
+        const d = diagnostics;
+        const format = DiagnosticsHUD.format;
+        
+        // Update text readout
+        this.readoutElement.textContent =
+            `Energy: ${format(d.totalEnergy)} (K ${format(d.kineticEnergy)}, U ${format(d.potentialEnergy)})\n` +
+            `Momentum: (${format(d.momentumX)}, ${format(d.momentumY)}, ${format(d.momentumZ)})\n` +
+            `Angular momentum: (${format(d.angularMomentumX)}, ${format(d.angularMomentumY)}, ${format(d.angularMomentumZ)})\n` +
+            `Energy error: ${format(d.relativeEnergyError)}`;
+        
+        this.drawGraph(d.history);
+    }
+    
+    /**
+     * Draw sparkline of relative energy error (auto-scaled, zero line in the middle)
+     * @param {Array<number>} history - Relative energy error samples, oldest first
+     */
+    drawGraph(history) {
+        const ctx = this.graphContext;
+        const width = this.graphCanvas.width;
+        const height = this.graphCanvas.height;
+        
+        ctx.clearRect(0, 0, width, height);
+        
+        // Draw zero line
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(0, height / 2);
+        ctx.lineTo(width, height / 2);
+        ctx.stroke();
+        
+        if (history.length < 2) return;
+        
+        // Scale to the largest error in the visible history
+        let maxError = 0;
+        for (let i = 0; i < history.length; i++) {
+            maxError = Math.max(maxError, Math.abs(history[i]));
+        }
+        if (maxError === 0) return;
+        
+        // Draw error curve (newest sample at the right edge)
+        const stepX = width / (DiagnosticsConstants.HISTORY_LENGTH - 1);
+        const offsetX = width - (history.length - 1) * stepX;
+        ctx.strokeStyle = DiagnosticsConstants.GRAPH_COLOR;
+        ctx.beginPath();
+        for (let i = 0; i < history.length; i++) {
+            const x = offsetX + i * stepX;
+            const y = height / 2 - (history[i] / maxError) * (height / 2 - 1);
+            if (i === 0) {
+                ctx.moveTo(x, y);
+            } else {
+                ctx.lineTo(x, y);
+            }
+        }
+        ctx.stroke();
+        
+        // Draw scale label
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+        ctx.font = '10px Arial';
+        ctx.fillText(`±${maxError.toExponential(1)}`, 2, 10);
+    }
+}
@@ -0,0 +1,231 @@
+import { EffectConstants } from './Constants.js';
+
+/**
+ * Effect Renderer Class
+ * Draws the effects of collisions and star impacts: a shockwave ring expanding from the impact point and
+ * debris particles sprayed from it, drifting on with part of the impactor's velocity. Any number of effects
+ * run at once; rings and particles live in fixed pools (one instanced mesh and one point cloud, each a single
+ * draw call), so nothing is allocated per impact or per frame.
+ */
+export class EffectRenderer {
+    /**
+     * Constructor
+     * @param {THREE.Scene} scene - Three.js scene
+     */
+    constructor(scene) {
+        this.scene = scene;
+        
+        // Time of the latest update (seconds; effects start at it)
+        this.time = 0;
+        
+        // Shockwave rings: start time (-1 for a free slot), center, final radius and color of each slot
+        const ringCount = EffectConstants.MAX_RINGS;
+        this.ringStart = new Float64Array(ringCount).fill(-1);
+        this.ringPositions = new Float32Array(ringCount * 3);
+        this.ringRadius = new Float32Array(ringCount);
+        this.ringColors = new Float32Array(ringCount * 3);
+        this.nextRing = 0;
+        
+        // Unit ring turned toward the camera, faded by darkening its instance color (the blending adds it to the scene)
+        this.ringGeometry = new THREE.RingGeometry(0.8, 1, 48);
+        this.ringMaterial = new THREE.MeshBasicMaterial({
+            color: 0xFFFFFF,
+            transparent: true,
+            depthWrite: false,
+            blending: THREE.AdditiveBlending
+        });
+        this.rings = new THREE.InstancedMesh(this.ringGeometry, this.ringMaterial, ringCount);
+        this.rings.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+        this.rings.instanceColor = new THREE.InstancedBufferAttribute(new Float32Array(ringCount * 3), 3).setUsage(THREE.DynamicDrawUsage);
+        this.rings.count = 0;
+        this.rings.frustumCulled = false; // The bounding sphere is the unit ring's, not the instances'
+        this.scene.add(this.rings);
+        
+        // Debris particles: start time (-1 for a free slot), lifetime, velocity and color of each slot
+        const particleCount = EffectConstants.MAX_PARTICLES;
+        this.particleStart = new Float64Array(particleCount).fill(-1);
+        this.particleLife = new Float32Array(particleCount);
+        this.particleVelocities = new Float32Array(particleCount * 3);
+        this.particleBaseColors = new Float32Array(particleCount * 3);
+        this.nextParticle = 0;
+        this.activeParticles = 0;
+        
+        this.particlePositions = new Float32Array(particleCount * 3);
+        this.particleColors = new Float32Array(particleCount * 3);
+        this.particleGeometry = new THREE.BufferGeometry();
+        this.particleGeometry.setAttribute('position', new THREE.BufferAttribute(this.particlePositions, 3).setUsage(THREE.DynamicDrawUsage));
+        this.particleGeometry.setAttribute('color', new THREE.BufferAttribute(this.particleColors, 3).setUsage(THREE.DynamicDrawUsage));
+        this.particleMaterial = new THREE.PointsMaterial({
+            size: EffectConstants.DEBRIS_SIZE,
+            sizeAttenuation: false,
+            vertexColors: true,
+            transparent: true,
+            depthWrite: false,
+            blending: THREE.AdditiveBlending
+        });
+        this.particles = new THREE.Points(this.particleGeometry, this.particleMaterial);
+        this.particles.frustumCulled = false; // Particles move every frame, the bounding sphere would go stale
+        this.particles.visible = false;
+        this.scene.add(this.particles);
+        
+        // Reused for writing the ring instances
+        this.matrix = new THREE.Matrix4();
+        this.position = new THREE.Vector3();
+        this.scale = new THREE.Vector3();
+        this.color = new THREE.Color();
+    }
+    
+    /**
+     * Get the intensity of the effects of an impact
+     * @param {number} energy - Impact energy (see CollisionSystem.describeImpact())
+     * @returns {number} 1 at EffectConstants.REFERENCE_ENERGY, growing by INTENSITY_PER_DECADE per tenfold energy
+     *     (between MIN_INTENSITY and MAX_INTENSITY)
+     */
+    static intensityOf(energy) {
+        if (!(energy > 0)) {
+            return EffectConstants.MIN_INTENSITY;
+        }
+        const intensity = 1 + EffectConstants.INTENSITY_PER_DECADE * Math.log10(energy / EffectConstants.REFERENCE_ENERGY);
+        return Math.min(Math.max(intensity, EffectConstants.MIN_INTENSITY), EffectConstants.MAX_INTENSITY);
+    }
+    
+    /**
+     * Start the effects of an impact (the ring and the amount and speed of the debris grow with its energy)
+     * @param {Object} impact - Impact { x, y, z, energy, vx, vy, vz, color } (a collision or star impact event)
+     * @param {number} ringColor - Shockwave ring color
+     * @param {number} velocityScale - Pixels per second moved at a simulation velocity of 1 (negative while time runs backward)
+     * @returns {number} Intensity of the effects
+     */
+    addImpact(impact, ringColor, velocityScale) {
+        const intensity = EffectRenderer.intensityOf(impact.energy);
+        
+        // Shockwave ring (replacing the oldest one when every slot is taken)
+        const ring = this.nextRing;
+        this.nextRing = (ring + 1) % EffectConstants.MAX_RINGS;
+        this.ringStart[ring] = this.time;
+        this.ringPositions[ring * 3] = impact.x;
+        this.ringPositions[ring * 3 + 1] = impact.y;
+        this.ringPositions[ring * 3 + 2] = impact.z;
+        this.ringRadius[ring] = EffectConstants.RING_RADIUS * intensity;
+        this.color.setHex(ringColor).toArray(this.ringColors, ring * 3);
+        
+        // Debris in the impactor's color, sprayed in every direction around its (partly kept) velocity
+        this.color.setHex(impact.color);
+        const count = Math.round(EffectConstants.DEBRIS_COUNT * intensity);
+        const inherited = EffectConstants.DEBRIS_INHERITED_VELOCITY * velocityScale;
+        for (let i = 0; i < count; i++) {
+            const particle = this.nextParticle;
+            this.nextParticle = (particle + 1) % EffectConstants.MAX_PARTICLES;
+            if (this.particleStart[particle] < 0) {
+                this.activeParticles++;
+            }
+            
+            // Uniform direction on the sphere, with speeds spread up to the full spray speed
+            const cosTheta = 2 * Math.random() - 1;
+            const sinTheta = Math.sqrt(1 - cosTheta * cosTheta);
+            const phi = 2 * Math.PI * Math.random();
+            const speed = EffectConstants.DEBRIS_SPEED * intensity * (0.3 + 0.7 * Math.random());
+            
+            this.particleStart[particle] = this.time;
+            this.particleLife[particle] = EffectConstants.DEBRIS_DURATION * (0.5 + 0.5 * Math.random());
+            this.particleVelocities[particle * 3] = impact.vx * inherited + speed * sinTheta * Math.cos(phi);
+            this.particleVelocities[particle * 3 + 1] = impact.vy * inherited + speed * sinTheta * Math.sin(phi);
+            this.particleVelocities[particle * 3 + 2] = impact.vz * inherited + speed * cosTheta;
+            this.particlePositions[particle * 3] = impact.x;
+            this.particlePositions[particle * 3 + 1] = impact.y;
+            this.particlePositions[particle * 3 + 2] = impact.z;
+            this.color.toArray(this.particleBaseColors, particle * 3);
+        }
+        this.particles.visible = this.activeParticles > 0;
+        
+        return intensity;
+    }
+    
+    /**
+     * Advance the effects (called once per frame)
+     * @param {number} time - Time in seconds
+     * @param {THREE.Camera} camera - Camera showing the view (the rings are turned toward it)
+     */
+    update(time, camera) {
+        const dt = Math.max(time - this.time, 0);
+        this.time = time;
+        this.updateRings(camera);
+        if (this.activeParticles > 0) {
+            this.updateParticles(dt);
+        }
+    }
+    
+    /**
+     * Expand and fade the rings, writing the living ones into the first instances
+     * @param {THREE.Camera} camera - Camera showing the view
+     */
+    updateRings(camera) {
+        let count = 0;
+        for (let ring = 0; ring < EffectConstants.MAX_RINGS; ring++) {
+            if (this.ringStart[ring] < 0) continue;
+            
+            const t = (this.time - this.ringStart[ring]) / EffectConstants.RING_DURATION;
+            if (t >= 1) {
+                this.ringStart[ring] = -1;
+                continue;
+            }
+            
+            // Fast at first and slowing down, fading as it goes
+            const radius = this.ringRadius[ring] * (1 - (1 - t) * (1 - t));
+            const brightness = (1 - t) * (1 - t);
+            this.position.fromArray(this.ringPositions, ring * 3);
+            this.scale.set(radius, radius, radius);
+            this.matrix.compose(this.position, camera.quaternion, this.scale);
+            this.rings.setMatrixAt(count, this.matrix);
+            this.color.fromArray(this.ringColors, ring * 3).multiplyScalar(brightness);
+            this.rings.setColorAt(count, this.color);
+            count++;
+        }
+        
+        this.rings.count = count;
+        if (count > 0) {
+            this.rings.instanceMatrix.needsUpdate = true;
+            this.rings.instanceColor.needsUpdate = true;
+        }
+    }
+    
+    /**
+     * Move the particles on, slow them down and fade them out (expired ones stay black, which adds nothing)
+     * @param {number} dt - Time since the previous update (seconds)
+     */
+    updateParticles(dt) {
+        const drag = Math.exp(-dt / EffectConstants.DEBRIS_DRAG_TIME);
+        for (let particle = 0; particle < EffectConstants.MAX_PARTICLES; particle++) {
+            if (this.particleStart[particle] < 0) continue;
+            
+            const i = particle * 3;
+            const t = (this.time - this.particleStart[particle]) / this.particleLife[particle];
+            if (t >= 1) {
+                this.particleStart[particle] = -1;
+                this.activeParticles--;
+                this.particleColors[i] = 0;
+                this.particleColors[i + 1] = 0;
+                this.particleColors[i + 2] = 0;
+                continue;
+            }
+            
+            for (let axis = 0; axis < 3; axis++) {
+                this.particlePositions[i + axis] += this.particleVelocities[i + axis] * dt;
+                this.particleVelocities[i + axis] *= drag;
+                this.particleColors[i + axis] = this.particleBaseColors[i + axis] * (1 - t);
+            }
+        }
+        
+        this.particleGeometry.attributes.position.needsUpdate = true;
+        this.particleGeometry.attributes.color.needsUpdate = true;
+        this.particles.visible = this.activeParticles > 0;
+    }
+    
+    /**
+     * Get the number of rings and particles still shown
+     * @returns {number} Number of living rings and particles
+     */
+    getActiveCount() {
+        return this.rings.count + this.activeParticles;
+    }
+}
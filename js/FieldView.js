@@ -0,0 +1,459 @@
+import { FieldConstants } from './Constants.js';
+import { collectSources, sampleField, findDominantPair, createRotatingFrame, effectivePotential, jacobiLevel, findLagrangePoints } from './GravityField.js';
+
+/**
+ * Field View Class
+ * Renders overlays computed from the bodies shown, over the part of the plane through the view center that is on screen:
+ * a heat map of the gravitational potential with equipotential contours, a grid of acceleration arrows, and the
+ * Lagrange points of the dominant pair of bodies with the zero-velocity curves through them (and through the
+ * selected body). Each layer can be turned on and off; while any is on, the field is recomputed as the bodies move
+ * and whenever the view changes.
+ */
+export class FieldView {
+    /**
+     * Constructor
+     * @param {THREE.Scene} scene - Three.js scene
+     */
+    constructor(scene) {
+        this.scene = scene;
+        this.visibleLayers = new Set();
+        
+        // Grid of samples reused for every recomputation, and the receiver of a single sample
+        const resolution = FieldConstants.RESOLUTION;
+        this.values = new Float64Array(resolution * resolution);
+        this.arrowSamples = new Float64Array(FieldConstants.ARROW_COLUMNS * FieldConstants.ARROW_COLUMNS * MAX_ARROW_ROWS_PER_COLUMN * 3);
+        this.sample = { potential: 0, ax: 0, ay: 0, az: 0 };
+        
+        // Heat map: one texel per sample on a unit square, stretched over the view (drawn first, under everything else)
+        this.heatmapData = new Uint8Array(resolution * resolution * 4);
+        this.heatmapTexture = new THREE.DataTexture(this.heatmapData, resolution, resolution, THREE.RGBAFormat);
+        this.heatmapTexture.magFilter = THREE.LinearFilter;
+        this.heatmapTexture.minFilter = THREE.LinearFilter;
+        this.heatmapTexture.generateMipmaps = false;
+        this.heatmap = new THREE.Mesh(
+            new THREE.PlaneGeometry(1, 1),
+            new THREE.MeshBasicMaterial({ map: this.heatmapTexture, depthTest: false, depthWrite: false })
+        );
+        this.heatmap.renderOrder = -1;
+        this.heatmap.visible = false;
+        this.scene.add(this.heatmap);
+        
+        // Line layers: equipotentials, arrows, and zero-velocity curves with the Lagrange point markers
+        this.contours = new LineLayer(scene, new THREE.LineBasicMaterial({
+            color: FieldConstants.CONTOUR_COLOR,
+            transparent: true,
+            opacity: FieldConstants.CONTOUR_OPACITY,
+            depthWrite: false
+        }));
+        this.arrows = new LineLayer(scene, new THREE.LineBasicMaterial({ vertexColors: true }));
+        this.curves = new LineLayer(scene, new THREE.LineBasicMaterial({ vertexColors: true }));
+        
+        // Part of the plane last sampled, and when (the field is recomputed when either changes)
+        this.areaKey = '';
+        this.updateTime = -Infinity;
+        
+        // Reused for color conversion
+        this.color = new THREE.Color();
+    }
+    
+    /**
+     * Turn a layer on or off
+     * @param {string} layer - Key of FieldLayers
+     * @param {boolean} visible - Whether the layer is shown
+     */
+    setLayerVisible(layer, visible) {
+        if (visible) {
+            this.visibleLayers.add(layer);
+        } else {
+            this.visibleLayers.delete(layer);
+        }
+        
+        // Recompute on the next update
+        this.updateTime = -Infinity;
+        this.heatmap.visible = this.visibleLayers.has('potential');
+        this.contours.setVisible(this.visibleLayers.has('potential'));
+        this.arrows.setVisible(this.visibleLayers.has('acceleration'));
+        this.curves.setVisible(this.visibleLayers.has('lagrange'));
+    }
+    
+    /**
+     * Check if a layer is shown
+     * @param {string} layer - Key of FieldLayers
+     * @returns {boolean} true if the layer is shown
+     */
+    isLayerVisible(layer) {
+        return this.visibleLayers.has(layer);
+    }
+    
+    /**
+     * Recompute the visible layers when the view has changed or the bodies may have moved (called once per frame)
+     * @param {SimulationState} state - Body state being shown
+     * @param {Object} area - Part of the plane on screen: center {x, y, z} and {halfWidth, halfHeight}
+     * @param {number} period - Side of the periodic domain (0 if the domain is not periodic)
+     * @param {Object|null} selected - Selected body view (its zero-velocity curve is drawn), or null
+     * @param {number} time - Current time in milliseconds
+     */
+    update(state, area, period, selected, time) {
+        if (this.visibleLayers.size === 0) return;
+        
+        const areaKey = `${area.x}/${area.y}/${area.z}/${area.halfWidth}/${area.halfHeight}`;
+        if (areaKey === this.areaKey && time - this.updateTime < FieldConstants.UPDATE_INTERVAL) return;
+        this.areaKey = areaKey;
+        this.updateTime = time;
+        
+        const sources = collectSources(state, FieldConstants.MAX_SOURCES, period);
+        if (this.visibleLayers.has('potential')) {
+            this.updatePotential(sources, area);
+        }
+        if (this.visibleLayers.has('acceleration')) {
+            this.updateArrows(sources, area);
+        }
+        if (this.visibleLayers.has('lagrange')) {
+            this.updateLagrange(state, area, selected);
+        }
+    }
+    
+    /**
+     * Sample the potential over the view, color the heat map by its logarithm and trace equipotentials
+     * evenly spaced in it (each line a fixed factor deeper than the previous)
+     * @param {Object} sources - Sources from collectSources()
+     * @param {Object} area - Part of the plane on screen
+     */
+    updatePotential(sources, area) {
+        const resolution = FieldConstants.RESOLUTION;
+        const values = this.values;
+        let low = Infinity;
+        let high = -Infinity;
+        for (let j = 0; j < resolution; j++) {
+            const y = gridCoordinate(area.y, area.halfHeight, j);
+            for (let i = 0; i < resolution; i++) {
+                const x = gridCoordinate(area.x, area.halfWidth, i);
+                const depth = -sampleField(sources, x, y, area.z, this.sample).potential;
+                const value = depth > 0 ? Math.log10(depth) : -Infinity;
+                values[j * resolution + i] = value;
+                if (value > -Infinity) {
+                    low = Math.min(low, value);
+                    high = Math.max(high, value);
+                }
+            }
+        }
+        
+        // Points without potential (only possible with massless bodies) count as the weakest
+        for (let k = 0; k < values.length; k++) {
+            values[k] = Math.max(values[k], low);
+        }
+        
+        // Without bodies there is no potential to show
+        if (!(high > low)) {
+            this.heatmap.visible = false;
+            this.contours.begin();
+            this.contours.end();
+            return;
+        }
+        this.heatmap.visible = true;
+        
+        for (let k = 0; k < values.length; k++) {
+            const t = (values[k] - low) / (high - low);
+            colorMap(t, this.color).multiplyScalar(FieldConstants.HEATMAP_BRIGHTNESS);
+            this.heatmapData[k * 4] = Math.round(this.color.r * 255);
+            this.heatmapData[k * 4 + 1] = Math.round(this.color.g * 255);
+            this.heatmapData[k * 4 + 2] = Math.round(this.color.b * 255);
+            this.heatmapData[k * 4 + 3] = 255;
+        }
+        this.heatmapTexture.needsUpdate = true;
+        this.heatmap.position.set(area.x, area.y, area.z);
+        this.heatmap.scale.set(2 * area.halfWidth, 2 * area.halfHeight, 1);
+        
+        this.contours.begin();
+        for (let k = 0; k < FieldConstants.CONTOUR_COUNT; k++) {
+            const level = low + (k + 0.5) * (high - low) / FieldConstants.CONTOUR_COUNT;
+            traceContour(values, level, area, area.z, this.contours, null);
+        }
+        this.contours.end();
+    }
+    
+    /**
+     * Draw an arrow along the acceleration (projected onto the plane) at the center of each cell of a coarse grid,
+     * longer and brighter where the pull is stronger (on a logarithmic scale)
+     * @param {Object} sources - Sources from collectSources()
+     * @param {Object} area - Part of the plane on screen
+     */
+    updateArrows(sources, area) {
+        const columns = FieldConstants.ARROW_COLUMNS;
+        const spacing = 2 * area.halfWidth / columns;
+        const rows = Math.min(Math.max(Math.round(2 * area.halfHeight / spacing), 1), columns * MAX_ARROW_ROWS_PER_COLUMN);
+        
+        // Strength (logarithm of the magnitude) and direction first, to scale the arrows between the weakest
+        // and the strongest pull in view
+        const samples = this.arrowSamples;
+        let low = Infinity;
+        let high = -Infinity;
+        for (let row = 0; row < rows; row++) {
+            const y = area.y - area.halfHeight + (row + 0.5) * 2 * area.halfHeight / rows;
+            for (let column = 0; column < columns; column++) {
+                const x = area.x - area.halfWidth + (column + 0.5) * spacing;
+                sampleField(sources, x, y, area.z, this.sample);
+                const k = (row * columns + column) * 3;
+                const magnitude = Math.hypot(this.sample.ax, this.sample.ay);
+                samples[k] = magnitude > 0 ? Math.log10(magnitude) : -Infinity;
+                samples[k + 1] = magnitude > 0 ? this.sample.ax / magnitude : 0;
+                samples[k + 2] = magnitude > 0 ? this.sample.ay / magnitude : 0;
+                if (magnitude > 0) {
+                    low = Math.min(low, samples[k]);
+                    high = Math.max(high, samples[k]);
+                }
+            }
+        }
+        
+        this.arrows.begin();
+        for (let row = 0; row < rows; row++) {
+            const y = area.y - area.halfHeight + (row + 0.5) * 2 * area.halfHeight / rows;
+            for (let column = 0; column < columns; column++) {
+                const k = (row * columns + column) * 3;
+                if (samples[k] === -Infinity) continue;
+                
+                const t = high > low ? (samples[k] - low) / (high - low) : 1;
+                const length = spacing * 0.8 * (0.2 + 0.8 * t);
+                const dx = samples[k + 1];
+                const dy = samples[k + 2];
+                
+                // Shaft centered on the cell, and a head of two barbs at its tip
+                const x = area.x - area.halfWidth + (column + 0.5) * spacing;
+                const tipX = x + dx * length / 2;
+                const tipY = y + dy * length / 2;
+                const barb = length * 0.3;
+                colorMap(t, this.color);
+                this.arrows.add(x - dx * length / 2, y - dy * length / 2, area.z, tipX, tipY, area.z, this.color);
+                for (const side of [-1, 1]) {
+                    const barbX = -dx * ARROW_HEAD_COS - side * dy * ARROW_HEAD_SIN;
+                    const barbY = -dy * ARROW_HEAD_COS + side * dx * ARROW_HEAD_SIN;
+                    this.arrows.add(tipX, tipY, area.z, tipX + barbX * barb, tipY + barbY * barb, area.z, this.color);
+                }
+            }
+        }
+        this.arrows.end();
+    }
+    
+    /**
+     * Mark the Lagrange points of the dominant pair and trace the zero-velocity curves through L1, L2 and L3
+     * (and through the selected body, if it is not one of the pair) in the plane through the pair's center of mass
+     * @param {SimulationState} state - Body state
+     * @param {Object} area - Part of the plane on screen
+     * @param {Object|null} selected - Selected body view, or null
+     */
+    updateLagrange(state, area, selected) {
+        this.curves.begin();
+        
+        const pair = findDominantPair(state);
+        const frame = pair ? createRotatingFrame(state, pair) : null;
+        if (!frame) {
+            this.curves.end();
+            return;
+        }
+        
+        // Effective potential over the view (capped where it diverges at the bodies, so that contours can cross it)
+        const resolution = FieldConstants.RESOLUTION;
+        const z = frame.center.z;
+        for (let j = 0; j < resolution; j++) {
+            const y = gridCoordinate(area.y, area.halfHeight, j);
+            for (let i = 0; i < resolution; i++) {
+                const x = gridCoordinate(area.x, area.halfWidth, i);
+                this.values[j * resolution + i] = Math.max(effectivePotential(frame, x, y, z), -Number.MAX_VALUE);
+            }
+        }
+        
+        const points = findLagrangePoints(frame);
+        this.color.setHex(FieldConstants.LAGRANGE_COLOR);
+        for (const point of points.slice(0, 3)) {
+            traceContour(this.values, effectivePotential(frame, point.x, point.y, point.z), area, z, this.curves, this.color);
+        }
+        
+        // Markers: a small cross on each point
+        const size = FieldConstants.LAGRANGE_MARKER_SIZE * 2 * area.halfHeight;
+        for (const point of points) {
+            this.curves.add(point.x - size, point.y - size, point.z, point.x + size, point.y + size, point.z, this.color);
+            this.curves.add(point.x - size, point.y + size, point.z, point.x + size, point.y - size, point.z, this.color);
+        }
+        
+        if (selected && selected.id !== state.id[pair.primary] && selected.id !== state.id[pair.secondary]) {
+            this.color.setHex(selected.color);
+            traceContour(this.values, jacobiLevel(frame, selected), area, z, this.curves, this.color);
+        }
+        this.curves.end();
+    }
+}
+
+/**
+ * Line Layer Class
+ * Line segments in one preallocated buffer, rewritten as a whole on each recomputation
+ */
+class LineLayer {
+    /**
+     * Constructor
+     * @param {THREE.Scene} scene - Three.js scene
+     * @param {THREE.LineBasicMaterial} material - Line material (with vertex colors if add() is given colors)
+     */
+    constructor(scene, material) {
+        const vertices = FieldConstants.MAX_SEGMENTS * 2;
+        this.positions = new Float32Array(vertices * 3);
+        this.colors = new Float32Array(vertices * 3);
+        this.geometry = new THREE.BufferGeometry();
+        this.geometry.setAttribute('position', new THREE.BufferAttribute(this.positions, 3).setUsage(THREE.DynamicDrawUsage));
+        this.geometry.setAttribute('color', new THREE.BufferAttribute(this.colors, 3).setUsage(THREE.DynamicDrawUsage));
+        this.geometry.setDrawRange(0, 0);
+        this.lines = new THREE.LineSegments(this.geometry, material);
+        this.lines.frustumCulled = false; // Vertices change with the view, the bounding sphere would go stale
+        this.lines.visible = false;
+        scene.add(this.lines);
+        this.count = 0;
+    }
+    
+    /**
+     * Show or hide the lines
+     * @param {boolean} visible - Whether the lines are shown
+     */
+    setVisible(visible) {
+        this.lines.visible = visible;
+    }
+    
+    /**
+     * Start writing the segments (replacing the previous ones)
+     */
+    begin() {
+        this.count = 0;
+    }
+    
+    /**
+     * Add a segment (ignored once the buffer is full)
+     * @param {number} x1 - X coordinate of the start
+     * @param {number} y1 - Y coordinate of the start
+     * @param {number} z1 - Z coordinate of the start
+     * @param {number} x2 - X coordinate of the end
+     * @param {number} y2 - Y coordinate of the end
+     * @param {number} z2 - Z coordinate of the end
+     * @param {THREE.Color|null} color - Segment color (null to keep the material's)
+     */
+    add(x1, y1, z1, x2, y2, z2, color) {
+        if (this.count >= FieldConstants.MAX_SEGMENTS) return;
+        
+        const k = this.count * 6;
+        this.positions[k] = x1;
+        this.positions[k + 1] = y1;
+        this.positions[k + 2] = z1;
+        this.positions[k + 3] = x2;
+        this.positions[k + 4] = y2;
+        this.positions[k + 5] = z2;
+        if (color) {
+            color.toArray(this.colors, k);
+            color.toArray(this.colors, k + 3);
+        }
+        this.count++;
+    }
+    
+    /**
+     * Finish writing the segments and upload them
+     */
+    end() {
+        this.geometry.setDrawRange(0, this.count * 2);
+        this.geometry.attributes.position.needsUpdate = true;
+        this.geometry.attributes.color.needsUpdate = true;
+    }
+}
+
+/**
+ * Get the coordinate of a sample along one axis (samples sit at the centers of the heat map's texels)
+ * @param {number} center - Center of the view along the axis
+ * @param {number} half - Half the extent of the view along the axis
+ * @param {number} index - Sample index (0 to FieldConstants.RESOLUTION - 1)
+ * @returns {number} Coordinate
+ */
+function gridCoordinate(center, half, index) {
+    return center - half + (index + 0.5) * 2 * half / FieldConstants.RESOLUTION;
+}
+
+/**
+ * Trace the contour of a level through a grid of samples (marching squares)
+ * @param {Float64Array} values - Samples, row by row from the bottom (FieldConstants.RESOLUTION squared)
+ * @param {number} level - Value the contour follows
+ * @param {Object} area - Part of the plane the grid covers
+ * @param {number} z - Height of the plane
+ * @param {LineLayer} layer - Layer the segments are added to
+ * @param {THREE.Color|null} color - Segment color (null to keep the layer's)
+ */
+function traceContour(values, level, area, z, layer, color) {
+    const resolution = FieldConstants.RESOLUTION;
+    
+    // Crossings of the cell edges (bottom, right, top, left), reused for every cell
+    const crossings = [];
+    const crossAt = (i1, j1, i2, j2) => {
+        const v1 = values[j1 * resolution + i1];
+        const v2 = values[j2 * resolution + i2];
+        const t = (level - v1) / (v2 - v1);
+        crossings.push(
+            gridCoordinate(area.x, area.halfWidth, i1 + (i2 - i1) * t),
+            gridCoordinate(area.y, area.halfHeight, j1 + (j2 - j1) * t)
+        );
+    };
+    
+    for (let j = 0; j < resolution - 1; j++) {
+        for (let i = 0; i < resolution - 1; i++) {
+            const above00 = values[j * resolution + i] > level;
+            const above10 = values[j * resolution + i + 1] > level;
+            const above11 = values[(j + 1) * resolution + i + 1] > level;
+            const above01 = values[(j + 1) * resolution + i] > level;
+            if (above00 === above10 && above10 === above11 && above11 === above01) continue;
+            
+            crossings.length = 0;
+            if (above00 !== above10) crossAt(i, j, i + 1, j);
+            if (above10 !== above11) crossAt(i + 1, j, i + 1, j + 1);
+            if (above01 !== above11) crossAt(i, j + 1, i + 1, j + 1);
+            if (above00 !== above01) crossAt(i, j, i, j + 1);
+            
+            // Two crossings make one segment; four (a saddle) make two, each cutting off a corner
+            for (let k = 0; k + 3 < crossings.length; k += 4) {
+                layer.add(crossings[k], crossings[k + 1], z, crossings[k + 2], crossings[k + 3], z, color);
+            }
+        }
+    }
+}
+
+/**
+ * Map a value from 0 to 1 onto the overlay color scale (dark blue through purple and red to yellow)
+ * @param {number} t - Value from 0 to 1
+ * @param {THREE.Color} color - Receives the color
+ * @returns {THREE.Color} color
+ */
+function colorMap(t, color) {
+    const position = Math.min(Math.max(t, 0), 1) * (COLOR_STOPS.length - 1);
+    const index = Math.min(Math.floor(position), COLOR_STOPS.length - 2);
+    const f = position - index;
+    const from = COLOR_STOPS[index];
+    const to = COLOR_STOPS[index + 1];
+    return color.setRGB(
+        from[0] + (to[0] - from[0]) * f,
+        from[1] + (to[1] - from[1]) * f,
+        from[2] + (to[2] - from[2]) * f
+    );
+}
+
+// Overlay layers (key: layer ID, value: label)
+export const FieldLayers = {
+    potential: 'Potential',
+    acceleration: 'Acceleration',
+    lagrange: 'Lagrange points'
+};
+
+// Colors of the overlay color scale, from weak to strong
+const COLOR_STOPS = [
+    [0.05, 0.05, 0.35],
+    [0.45, 0.1, 0.6],
+    [0.9, 0.3, 0.25],
+    [1.0, 0.85, 0.3]
+];
+
+// Most arrow rows per column (for very tall views)
+const MAX_ARROW_ROWS_PER_COLUMN = 4;
+
+// Angle of the arrow head barbs from the shaft (cosine and sine of 30 degrees)
+const ARROW_HEAD_COS = Math.cos(Math.PI / 6);
+const ARROW_HEAD_SIN = Math.sin(Math.PI / 6);
@@ -0,0 +1,27 @@
+import { PhysicsConstants } from './Constants.js';
+
+/**
+ * Potential of a pair per unit mass of one body, consistent with the softened force law
+ * @param {number} gm - Gravitational constant (in simulation units) times the mass of the other body
+ * @param {number} r - Distance between the bodies
+ * @returns {number} Potential
+ */
+export function pairPotential(gm, r) {
+    const minDistance = PhysicsConstants.MIN_DISTANCE;
+    
+    // The force grows linearly with distance below the minimum distance, so the potential is quadratic there
+    if (r < minDistance) {
+        return -gm / minDistance + gm * (r * r - minDistance * minDistance) / (2 * minDistance * minDistance * minDistance);
+    }
+    return -gm / r;
+}
+
+/**
+ * Calculate the radius of a sphere of the given mass and density
+ * @param {number} mass - Mass
+ * @param {number} density - Density (mass per cubic unit)
+ * @returns {number} Radius: r = (3 * m / (4 * pi * density))^(1/3)
+ */
+export function radiusFromMass(mass, density) {
+    return Math.cbrt(3 * mass / (4 * Math.PI * density));
+}
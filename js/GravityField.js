@@ -0,0 +1,283 @@
+import { PhysicsConstants } from './Constants.js';
+import { pairPotential } from './Gravity.js';
+
+/**
+ * Gravitational field of the bodies: potential and acceleration at any point, with the same softened force law
+ * as the simulation, and the Lagrange points and zero-velocity curves of the dominant pair of bodies
+ * (treated as point masses in a circular restricted three-body problem)
+ */
+
+// Gravitational constant in world units (positions in world units, times in simulated time)
+const GRAVITY_FACTOR = PhysicsConstants.G / (PhysicsConstants.DISTANCE_SCALE * PhysicsConstants.DISTANCE_SCALE);
+
+// Number of halvings when solving for the collinear Lagrange points
+const BISECTION_STEPS = 60;
+
+/**
+ * Collect the bodies whose field is sampled: the most massive ones (the field of light planets is negligible
+ * next to theirs, and leaving them out keeps sampling a grid cheap)
+ * @param {SimulationState} state - Body state
+ * @param {number} maxCount - Maximum number of bodies
+ * @param {number} period - Side of the periodic domain (0 if the domain is not periodic)
+ * @returns {Object} Sources { count, x, y, z, gm, period } (gm: gravitational constant times mass)
+ */
+export function collectSources(state, maxCount, period = 0) {
+    const indices = [];
+    for (let i = 0; i < state.count; i++) {
+        indices.push(i);
+    }
+    indices.sort((a, b) => state.mass[b] - state.mass[a]);
+    
+    const count = Math.min(indices.length, maxCount);
+    const sources = {
+        count,
+        x: new Float64Array(count),
+        y: new Float64Array(count),
+        z: new Float64Array(count),
+        gm: new Float64Array(count),
+        period
+    };
+    for (let k = 0; k < count; k++) {
+        const i = indices[k];
+        sources.x[k] = state.x[i];
+        sources.y[k] = state.y[i];
+        sources.z[k] = state.z[i];
+        sources.gm[k] = GRAVITY_FACTOR * state.mass[i];
+    }
+    return sources;
+}
+
+/**
+ * Sample the field at a point (in a periodic domain, each body acts through its nearest image, as in the simulation)
+ * @param {Object} sources - Sources from collectSources()
+ * @param {number} x - X coordinate
+ * @param {number} y - Y coordinate
+ * @param {number} z - Z coordinate
+ * @param {Object} out - Receives potential (per unit mass) and the acceleration ax, ay, az
+ * @returns {Object} out
+ */
+export function sampleField(sources, x, y, z, out) {
+    const minDistanceSquared = PhysicsConstants.MIN_DISTANCE * PhysicsConstants.MIN_DISTANCE;
+    const period = sources.period;
+    let potential = 0;
+    let ax = 0;
+    let ay = 0;
+    let az = 0;
+    
+    for (let k = 0; k < sources.count; k++) {
+        let dx = sources.x[k] - x;
+        let dy = sources.y[k] - y;
+        const dz = sources.z[k] - z;
+        if (period > 0) {
+            dx -= period * Math.round(dx / period);
+            dy -= period * Math.round(dy / period);
+        }
+        const r2 = dx * dx + dy * dy + dz * dz;
+        const r = Math.sqrt(r2);
+        
+        // Softened below the minimum distance, as in Simulation.calculateDirectGravity()
+        const factor = r2 < minDistanceSquared
+            ? sources.gm[k] / (minDistanceSquared * PhysicsConstants.MIN_DISTANCE)
+            : sources.gm[k] / (r2 * r);
+        ax += factor * dx;
+        ay += factor * dy;
+        az += factor * dz;
+        potential += pairPotential(sources.gm[k], r);
+    }
+    
+    out.potential = potential;
+    out.ax = ax;
+    out.ay = ay;
+    out.az = az;
+    return out;
+}
+
+/**
+ * Find the dominant pair: the two most massive bodies, seen as a binary circling its center of mass
+ * @param {SimulationState} state - Body state
+ * @returns {Object|null} Pair { primary, secondary } (body indices, primary the more massive), or null with fewer than two bodies
+ */
+export function findDominantPair(state) {
+    let primary = -1;
+    let secondary = -1;
+    for (let i = 0; i < state.count; i++) {
+        if (primary < 0 || state.mass[i] > state.mass[primary]) {
+            secondary = primary;
+            primary = i;
+        } else if (secondary < 0 || state.mass[i] > state.mass[secondary]) {
+            secondary = i;
+        }
+    }
+    return secondary >= 0 ? { primary, secondary } : null;
+}
+
+/**
+ * Describe the frame co-rotating with a pair of bodies, assuming they circle their center of mass at their
+ * present distance (the circular restricted three-body problem)
+ * @param {SimulationState} state - Body state
+ * @param {Object} pair - Pair from findDominantPair()
+ * @returns {Object|null} Frame { gm1, gm2, x1, y1, z1, x2, y2, z2, center {x, y, z}, velocity {x, y, z} of the center,
+ *     omega (angular speed), normal {x, y, z} (unit axis of rotation, along the pair's angular momentum) },
+ *     or null if the bodies coincide or have no mass
+ */
+export function createRotatingFrame(state, pair) {
+    const { primary: a, secondary: b } = pair;
+    const m1 = state.mass[a];
+    const m2 = state.mass[b];
+    const totalMass = m1 + m2;
+    const dx = state.x[b] - state.x[a];
+    const dy = state.y[b] - state.y[a];
+    const dz = state.z[b] - state.z[a];
+    const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
+    if (!(distance > 0) || !(totalMass > 0)) {
+        return null;
+    }
+    
+    // Axis of rotation: along r x v of the secondary relative to the primary (+Z if they move along their line)
+    const dvx = state.vx[b] - state.vx[a];
+    const dvy = state.vy[b] - state.vy[a];
+    const dvz = state.vz[b] - state.vz[a];
+    let nx = dy * dvz - dz * dvy;
+    let ny = dz * dvx - dx * dvz;
+    let nz = dx * dvy - dy * dvx;
+    const length = Math.sqrt(nx * nx + ny * ny + nz * nz);
+    if (length > 0) {
+        nx /= length;
+        ny /= length;
+        nz /= length;
+    } else {
+        nx = 0;
+        ny = 0;
+        nz = 1;
+    }
+    
+    return {
+        gm1: GRAVITY_FACTOR * m1,
+        gm2: GRAVITY_FACTOR * m2,
+        x1: state.x[a], y1: state.y[a], z1: state.z[a],
+        x2: state.x[b], y2: state.y[b], z2: state.z[b],
+        center: {
+            x: (m1 * state.x[a] + m2 * state.x[b]) / totalMass,
+            y: (m1 * state.y[a] + m2 * state.y[b]) / totalMass,
+            z: (m1 * state.z[a] + m2 * state.z[b]) / totalMass
+        },
+        velocity: {
+            x: (m1 * state.vx[a] + m2 * state.vx[b]) / totalMass,
+            y: (m1 * state.vy[a] + m2 * state.vy[b]) / totalMass,
+            z: (m1 * state.vz[a] + m2 * state.vz[b]) / totalMass
+        },
+        omega: Math.sqrt(GRAVITY_FACTOR * totalMass / (distance * distance * distance)),
+        normal: { x: nx, y: ny, z: nz }
+    };
+}
+
+/**
+ * Effective potential in the rotating frame: the gravity of the pair plus the centrifugal potential
+ * (a body can only reach the points where it is below the body's Jacobi level)
+ * @param {Object} frame - Frame from createRotatingFrame()
+ * @param {number} x - X coordinate
+ * @param {number} y - Y coordinate
+ * @param {number} z - Z coordinate
+ * @returns {number} Effective potential per unit mass
+ */
+export function effectivePotential(frame, x, y, z) {
+    const r1 = Math.hypot(x - frame.x1, y - frame.y1, z - frame.z1);
+    const r2 = Math.hypot(x - frame.x2, y - frame.y2, z - frame.z2);
+    
+    // Squared distance from the axis of rotation through the center of mass
+    const cx = x - frame.center.x;
+    const cy = y - frame.center.y;
+    const cz = z - frame.center.z;
+    const along = cx * frame.normal.x + cy * frame.normal.y + cz * frame.normal.z;
+    const axisDistanceSquared = cx * cx + cy * cy + cz * cz - along * along;
+    
+    return -frame.gm1 / r1 - frame.gm2 / r2 - 0.5 * frame.omega * frame.omega * axisDistanceSquared;
+}
+
+/**
+ * Get the Jacobi level of a body in the rotating frame: its kinetic energy relative to the frame plus the effective
+ * potential (conserved in the restricted problem; the body's zero-velocity curve is where the effective potential equals it)
+ * @param {Object} frame - Frame from createRotatingFrame()
+ * @param {Object} body - Body (x, y, z, vx, vy, vz)
+ * @returns {number} Jacobi level per unit mass
+ */
+export function jacobiLevel(frame, body) {
+    // Velocity relative to the frame: v - v_center - omega x (r - center)
+    const { normal, omega } = frame;
+    const cx = body.x - frame.center.x;
+    const cy = body.y - frame.center.y;
+    const cz = body.z - frame.center.z;
+    const vx = body.vx - frame.velocity.x - omega * (normal.y * cz - normal.z * cy);
+    const vy = body.vy - frame.velocity.y - omega * (normal.z * cx - normal.x * cz);
+    const vz = body.vz - frame.velocity.z - omega * (normal.x * cy - normal.y * cx);
+    return 0.5 * (vx * vx + vy * vy + vz * vz) + effectivePotential(frame, body.x, body.y, body.z);
+}
+
+/**
+ * Find the five Lagrange points of the pair: L1 between the bodies, L2 beyond the secondary, L3 beyond the primary,
+ * and L4 and L5 at the tips of equilateral triangles, leading and trailing the secondary
+ * @param {Object} frame - Frame from createRotatingFrame()
+ * @returns {Array<Object>} Points { name, x, y, z } in the order L1 to L5
+ */
+export function findLagrangePoints(frame) {
+    // Unit vector from the primary to the secondary, and the positions of both along it from the center of mass
+    const dx = frame.x2 - frame.x1;
+    const dy = frame.y2 - frame.y1;
+    const dz = frame.z2 - frame.z1;
+    const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
+    const ex = dx / distance;
+    const ey = dy / distance;
+    const ez = dz / distance;
+    const u1 = -distance * frame.gm2 / (frame.gm1 + frame.gm2);
+    const u2 = u1 + distance;
+    
+    // Net force along the line on a body at rest in the rotating frame (it vanishes at L1, L2 and L3)
+    const omegaSquared = frame.omega * frame.omega;
+    const force = u => -frame.gm1 * (u - u1) / Math.pow(Math.abs(u - u1), 3)
+        - frame.gm2 * (u - u2) / Math.pow(Math.abs(u - u2), 3)
+        + omegaSquared * u;
+    
+    // Each point lies in an interval where the force changes sign once
+    const epsilon = distance * 1e-9;
+    const solve = (low, high) => {
+        const lowSign = Math.sign(force(low));
+        for (let i = 0; i < BISECTION_STEPS; i++) {
+            const middle = (low + high) / 2;
+            if (Math.sign(force(middle)) === lowSign) {
+                low = middle;
+            } else {
+                high = middle;
+            }
+        }
+        return (low + high) / 2;
+    };
+    const onLine = (name, u) => ({
+        name,
+        x: frame.center.x + u * ex,
+        y: frame.center.y + u * ey,
+        z: frame.center.z + u * ez
+    });
+    
+    // L4 leads the secondary by 60 degrees about the axis of rotation, L5 trails it
+    // (both are a pair's distance from each body, so the primary-secondary line turned by 60 degrees about the primary)
+    const { normal } = frame;
+    const px = normal.y * ez - normal.z * ey;
+    const py = normal.z * ex - normal.x * ez;
+    const pz = normal.x * ey - normal.y * ex;
+    const cos = Math.cos(Math.PI / 3) * distance;
+    const sin = Math.sin(Math.PI / 3) * distance;
+    const triangle = (name, side) => ({
+        name,
+        x: frame.x1 + cos * ex + side * sin * px,
+        y: frame.y1 + cos * ey + side * sin * py,
+        z: frame.z1 + cos * ez + side * sin * pz
+    });
+    
+    return [
+        onLine('L1', solve(u1 + epsilon, u2 - epsilon)),
+        onLine('L2', solve(u2 + epsilon, u2 + distance)),
+        onLine('L3', solve(u1 - 2 * distance, u1 - epsilon)),
+        triangle('L4', 1),
+        triangle('L5', -1)
+    ];
+}
@@ -1,18 +1,24 @@
+import { AudioManager } from './AudioManager.js';
+import { PhysicsConstants, SunConstants, PlanetTypes, CameraConstants, ScenarioConstants, PredictionConstants, SelectionConstants } from './Constants.js';
+import { radiusFromMass } from './Gravity.js';
+import { OrbitPredictor } from './OrbitPredictor.js';
+import { BodyKind } from './SimulationState.js';
+
 /**
  * Input Handler Class
  * Manages mouse and touch operations
  */
-class InputHandler {
+export class InputHandler {
     /**
      * Constructor
      * @param {PhysicsEngine} physicsEngine - Physics engine
-     * @param {THREE.Camera} camera - Three.js camera
      * @param {HTMLElement} container - Container element that receives events
+     * @param {CameraController} cameraController - Controller that zooms and pans the view (and provides its camera)
      */
-    constructor(physicsEngine, camera, container) {
+    constructor(physicsEngine, container, cameraController) {
         this.physicsEngine = physicsEngine;
-        this.camera = camera;
         this.container = container;
+        this.cameraController = cameraController;
         
         this.isPointerDown = false;
         this.pointerStartX = 0;
@@ -20,9 +26,49 @@ class InputHandler {
         this.pointerCurrentX = 0;
         this.pointerCurrentY = 0;
         
+        // Whether the view is being dragged (instead of a body being launched), and the last screen position
+        // of the pointer (the midpoint of the fingers while pinching) with the distance between the fingers
+        this.isPanning = false;
+        this.panLastX = 0;
+        this.panLastY = 0;
+        this.pinchDistance = 0;
+        
+        // Selected body (ID, or null), and the body held by the pointer (dragging it moves it while paused)
+        // with the offset from the pointer to its center and the plane it moves in
+        this.selectedId = null;
+        this.heldId = null;
+        this.heldOffsetX = 0;
+        this.heldOffsetY = 0;
+        this.heldZ = 0;
+        
+        // Where the held body goes at the next frame ({ id, x, y, z }, or null): pointer moves come more often than
+        // frames, so only the latest one is sent to the simulation
+        this.heldMove = null;
+        
+        // Type of body created by dragging ('planet' or 'star')
+        this.launchType = 'planet';
+        
+        // Type of planet created by dragging (key of PlanetTypes)
+        this.planetType = 'standard';
+        
+        // Angle of the launch velocity out of the plane, in degrees (positive toward +Z)
+        this.launchInclination = 0;
+        
+        // Used to find the point on the plane under the pointer
+        this.raycaster = new THREE.Raycaster();
+        this.plane = new THREE.Plane(new THREE.Vector3(0, 0, 1), 0);
+        
         // Object for displaying the arrow
         this.arrowHelper = null;
         
+        // Predicts the path of the body being aimed (drawn as a dashed line while dragging)
+        this.orbitPredictor = new OrbitPredictor();
+        this.predictionLine = null;
+        
+        // What the shown prediction was made from (it is only redone when the aim or the bodies change)
+        this.predictionState = null;
+        this.predictionKey = '';
+        
         // Get audio manager instance
         this.audioManager = AudioManager.getInstance();
         
@@ -38,6 +84,7 @@ class InputHandler {
         this.container.addEventListener('mousedown', this.onPointerDown.bind(this));
         this.container.addEventListener('mousemove', this.onPointerMove.bind(this));
         this.container.addEventListener('mouseup', this.onPointerUp.bind(this));
+        this.container.addEventListener('wheel', this.onWheel.bind(this), { passive: false });
         
         // Touch events
         this.container.addEventListener('touchstart', this.onPointerDown.bind(this));
@@ -52,6 +99,24 @@ class InputHandler {
     onPointerDown(event) {
         event.preventDefault();
         
+        // In 3D the orbit controls rotate and zoom the view with the other buttons and two fingers
+        const orbiting = this.cameraController.getMode() === '3d';
+        if (orbiting && (event.touches ? event.touches.length >= 2 : event.button !== 0)) {
+            this.isPointerDown = false;
+            this.heldId = null;
+            this.removeArrowHelper();
+            return;
+        }
+        
+        // Two fingers pinch and drag the view (a launch started by the first finger is cancelled)
+        if (event.touches && event.touches.length >= 2) {
+            this.isPointerDown = false;
+            this.heldId = null;
+            this.removeArrowHelper();
+            this.startPanning(event);
+            return;
+        }
+        
         // Determine if it's mouse or touch and get pointer position
         const pointer = event.touches ? event.touches[0] : event;
         
@@ -60,6 +125,26 @@ class InputHandler {
         const x = pointer.clientX - rect.left;
         const y = pointer.clientY - rect.top;
         
+        // Dragging with Shift held or with the middle button moves the view
+        if (!orbiting && !event.touches && (event.shiftKey || event.button === 1)) {
+            this.startPanning(event);
+            return;
+        }
+        
+        // Pressing on a body selects it instead of launching one (with Ctrl or Cmd held, a press near a body that is
+        // too small to hit picks it too; without, a press next to a body in a crowded system still launches)
+        const pickTolerance = !event.touches && (event.ctrlKey || event.metaKey) ? SelectionConstants.PICK_TOLERANCE : 0;
+        const body = this.pickBody(x, y, pickTolerance);
+        if (body) {
+            const point = this.screenToWorld(x, y, body.z);
+            this.selectedId = body.id;
+            this.heldId = body.id;
+            this.heldOffsetX = body.x - point.x;
+            this.heldOffsetY = body.y - point.y;
+            this.heldZ = body.z;
+            return;
+        }
+        
         // Update pointer state
         this.isPointerDown = true;
         this.pointerStartX = x;
@@ -76,6 +161,18 @@ class InputHandler {
      * @param {Event} event - Event object
      */
     onPointerMove(event) {
+        if (this.isPanning) {
+            event.preventDefault();
+            this.pan(event);
+            return;
+        }
+        
+        if (this.heldId !== null) {
+            event.preventDefault();
+            this.moveHeldBody(event);
+            return;
+        }
+        
         if (!this.isPointerDown) return;
         
         event.preventDefault();
@@ -101,24 +198,31 @@ class InputHandler {
      * @param {Event} event - Event object
      */
     onPointerUp(event) {
-        if (!this.isPointerDown) return;
-        
-        event.preventDefault();
+        if (this.isPanning) {
+            event.preventDefault();
+            
+            // Lifting a finger ends the pinch (the remaining finger does not launch anything)
+            this.isPanning = false;
+            return;
+        }
         
-        // Calculate initial velocity from drag distance and direction
-        const dx = this.pointerCurrentX - this.pointerStartX;
-        const dy = this.pointerCurrentY - this.pointerStartY;
+        if (this.heldId !== null) {
+            event.preventDefault();
+            this.heldId = null;
+            return;
+        }
         
-        // Velocity magnitude is proportional to distance
-        // Browser coordinate system (down is positive) and Three.js coordinate system (up is positive) have opposite Y axes, so invert Y velocity
-        const vx = dx * PhysicsConstants.SPEED_FACTOR;
-        const vy = -dy * PhysicsConstants.SPEED_FACTOR; // Invert Y direction
+        if (!this.isPointerDown) return;
         
-        // Convert screen coordinates to world coordinates
-        const worldCoords = this.screenToWorld(this.pointerStartX, this.pointerStartY);
+        event.preventDefault();
         
-        // Add a new planet
-        this.physicsEngine.addPlanet(worldCoords.x, worldCoords.y, vx, vy);
+        // Add a new planet or star
+        const body = this.getLaunchBody();
+        if (body.kind === BodyKind.STAR) {
+            this.physicsEngine.addStar(body.x, body.y, body.z, body.vx, body.vy, body.vz, body.mass, body.radius);
+        } else {
+            this.physicsEngine.addPlanet(body.x, body.y, body.z, body.vx, body.vy, body.vz, body.mass, body.density);
+        }
         
         // Play sound for planet creation
         this.audioManager.playSound('planetCreation');
@@ -131,22 +235,208 @@ class InputHandler {
     }
     
     /**
-     * Convert screen coordinates to world coordinates
+     * Move the body held by the pointer to where the pointer is (only while paused),
+     * keeping it at the same distance from the plane (the move is sent at the next frame, see update())
+     * @param {Event} event - Mouse or touch event
+     */
+    moveHeldBody(event) {
+        if (!this.physicsEngine.isPaused()) return;
+        
+        const pointer = event.touches ? event.touches[0] : event;
+        const rect = this.container.getBoundingClientRect();
+        const point = this.screenToWorld(pointer.clientX - rect.left, pointer.clientY - rect.top, this.heldZ);
+        this.heldMove = { id: this.heldId, x: point.x + this.heldOffsetX, y: point.y + this.heldOffsetY, z: this.heldZ };
+    }
+    
+    /**
+     * Find the body under a screen position: the nearest one whose mesh the ray through it hits,
+     * or else the one whose center is closest on the screen within a tolerance (small bodies are hard to hit)
      * @param {number} screenX - Screen X coordinate
      * @param {number} screenY - Screen Y coordinate
-     * @returns {Object} World coordinates {x, y}
+     * @param {number} tolerance - Distance on the screen from a body's center within which it is picked (pixels;
+     *     0 to pick only bodies hit)
+     * @returns {Sun|Planet|null} View of the body, or null if there is none
      */
-    screenToWorld(screenX, screenY) {
-        // Convert screen coordinates to normalized coordinates (-1 to +1)
+    pickBody(screenX, screenY, tolerance = 0) {
+        const rect = this.container.getBoundingClientRect();
+        const camera = this.cameraController.getCamera();
+        const stars = this.physicsEngine.getStars();
+        const planets = this.physicsEngine.getPlanets();
+        const views = stars.concat(planets);
+        
+        // Planets are instances of one mesh, whose instance ID is their index among the planets
+        this.raycaster.setFromCamera(new THREE.Vector2((screenX / rect.width) * 2 - 1, -(screenY / rect.height) * 2 + 1), camera);
+        const hits = this.raycaster.intersectObjects(stars.map(star => star.mesh).concat(this.physicsEngine.getPlanetMesh()), false);
+        if (hits.length > 0) {
+            const hit = hits[0];
+            return hit.instanceId !== undefined ? planets[hit.instanceId] : stars.find(star => star.mesh === hit.object);
+        }
+        
+        if (tolerance <= 0) {
+            return null;
+        }
+        
+        let nearest = null;
+        let nearestDistance = tolerance;
+        const point = new THREE.Vector3();
+        for (const view of views) {
+            // Normalized device coordinates (bodies behind the camera are beyond the far plane)
+            point.set(view.x, view.y, view.z).project(camera);
+            if (point.z > 1) continue;
+            
+            const distance = Math.hypot((point.x + 1) / 2 * rect.width - screenX, (1 - point.y) / 2 * rect.height - screenY);
+            if (distance <= nearestDistance) {
+                nearest = view;
+                nearestDistance = distance;
+            }
+        }
+        return nearest;
+    }
+    
+    /**
+     * Handler for the mouse wheel: zooms around the cursor
+     * @param {WheelEvent} event - Event object
+     */
+    onWheel(event) {
+        // In 3D the orbit controls zoom toward their target
+        if (this.cameraController.getMode() === '3d') return;
+        
+        event.preventDefault();
+        
+        // Line and page based wheels report much smaller steps than pixel based ones
+        const scale = event.deltaMode === 1 ? 33 : event.deltaMode === 2 ? 800 : 1;
+        const factor = Math.exp(-event.deltaY * scale * CameraConstants.WHEEL_ZOOM_RATE);
+        
+        const rect = this.container.getBoundingClientRect();
+        const point = this.screenToWorld(event.clientX - rect.left, event.clientY - rect.top);
+        this.cameraController.zoomAt(point.x, point.y, factor);
+        this.updateArrowHelper();
+    }
+    
+    /**
+     * Get the screen position that drags the view (the midpoint of two fingers)
+     * @param {Event} event - Mouse or touch event
+     * @returns {Object} Screen coordinates {x, y} and distance between the fingers (0 for the mouse)
+     */
+    getPanPointer(event) {
         const rect = this.container.getBoundingClientRect();
-        const normalizedX = (screenX / rect.width) * 2 - 1;
-        const normalizedY = -(screenY / rect.height) * 2 + 1;
+        if (!event.touches) {
+            return { x: event.clientX - rect.left, y: event.clientY - rect.top, distance: 0 };
+        }
+        
+        const a = event.touches[0];
+        const b = event.touches[1] || a;
+        return {
+            x: (a.clientX + b.clientX) / 2 - rect.left,
+            y: (a.clientY + b.clientY) / 2 - rect.top,
+            distance: Math.hypot(a.clientX - b.clientX, a.clientY - b.clientY)
+        };
+    }
+    
+    /**
+     * Start dragging the view
+     * @param {Event} event - Mouse or touch event
+     */
+    startPanning(event) {
+        const pointer = this.getPanPointer(event);
+        this.isPanning = true;
+        this.panLastX = pointer.x;
+        this.panLastY = pointer.y;
+        this.pinchDistance = pointer.distance;
+    }
+    
+    /**
+     * Drag the view so that the world point under the pointer stays under it, zooming as the fingers spread or close
+     * @param {Event} event - Mouse or touch event
+     */
+    pan(event) {
+        const pointer = this.getPanPointer(event);
         
-        // Convert normalized coordinates to world coordinates
-        const vector = new THREE.Vector3(normalizedX, normalizedY, 0);
-        vector.unproject(this.camera);
+        if (this.pinchDistance > 0 && pointer.distance > 0) {
+            const center = this.screenToWorld(this.panLastX, this.panLastY);
+            this.cameraController.zoomAt(center.x, center.y, pointer.distance / this.pinchDistance);
+            this.pinchDistance = pointer.distance;
+        }
         
-        return { x: vector.x, y: vector.y };
+        const last = this.screenToWorld(this.panLastX, this.panLastY);
+        const current = this.screenToWorld(pointer.x, pointer.y);
+        this.cameraController.panBy(last.x - current.x, last.y - current.y);
+        this.panLastX = pointer.x;
+        this.panLastY = pointer.y;
+    }
+    
+    /**
+     * Get the body the current drag would launch
+     * @returns {Object} Body properties (kind, x, y, z, vx, vy, vz, mass, and density for a planet or radius for a star)
+     */
+    getLaunchBody() {
+        // Convert screen coordinates to world coordinates (where the start point is on the screen now)
+        const worldCoords = this.screenToWorld(this.pointerStartX, this.pointerStartY);
+        
+        // Calculate initial velocity from drag distance and direction, relative to the frame the view moves with
+        const frameVelocity = this.cameraController.getFrameVelocity();
+        const velocity = this.getLaunchVelocity();
+        const body = {
+            x: worldCoords.x,
+            y: worldCoords.y,
+            z: worldCoords.z,
+            vx: frameVelocity.vx + velocity.x,
+            vy: frameVelocity.vy + velocity.y,
+            vz: frameVelocity.vz + velocity.z
+        };
+        
+        if (this.launchType === 'star') {
+            return Object.assign(body, { kind: BodyKind.STAR, mass: SunConstants.MASS, radius: SunConstants.RADIUS });
+        }
+        const planetType = PlanetTypes[this.planetType];
+        return Object.assign(body, { kind: BodyKind.PLANET, mass: planetType.mass, density: planetType.density });
+    }
+    
+    /**
+     * Get the launch velocity of the current drag (without the velocity of the frame the view moves with)
+     * @returns {Object} Velocity {x, y, z}
+     */
+    getLaunchVelocity() {
+        const startWorld = this.screenToWorld(this.pointerStartX, this.pointerStartY);
+        const currentWorld = this.screenToWorld(this.pointerCurrentX, this.pointerCurrentY);
+        
+        // Velocity magnitude is proportional to the drag distance in the world (zooming in gives finer control),
+        // scaled so that a drag of one pixel at the home zoom gives SPEED_FACTOR
+        const rect = this.container.getBoundingClientRect();
+        const speedFactor = PhysicsConstants.SPEED_FACTOR * rect.height / (2 * ScenarioConstants.VIEW_SIZE);
+        const dx = (currentWorld.x - startWorld.x) * speedFactor;
+        const dy = (currentWorld.y - startWorld.y) * speedFactor;
+        
+        // The drag gives the direction in the plane, the inclination tilts it out of the plane
+        const inclination = this.launchInclination * Math.PI / 180;
+        const cos = Math.cos(inclination);
+        return { x: dx * cos, y: dy * cos, z: Math.sqrt(dx * dx + dy * dy) * Math.sin(inclination) };
+    }
+    
+    /**
+     * Convert screen coordinates to world coordinates on the plane the view looks at
+     * (the orbital plane z = 0 in the top view, the plane through the orbit target in 3D;
+     * casting a ray through the camera takes the current zoom, pan and followed body into account)
+     * @param {number} screenX - Screen X coordinate
+     * @param {number} screenY - Screen Y coordinate
+     * @param {number} planeZ - Z coordinate of the plane (the plane the view looks at if omitted)
+     * @returns {Object} World coordinates {x, y, z}
+     */
+    screenToWorld(screenX, screenY, planeZ = this.cameraController.getPlaneZ()) {
+        // Convert screen coordinates to normalized coordinates (-1 to +1)
+        const rect = this.container.getBoundingClientRect();
+        const normalized = new THREE.Vector2((screenX / rect.width) * 2 - 1, -(screenY / rect.height) * 2 + 1);
+        
+        // Intersect the ray under the pointer with the plane
+        this.raycaster.setFromCamera(normalized, this.cameraController.getCamera());
+        this.plane.constant = -planeZ;
+        const point = new THREE.Vector3();
+        if (!this.raycaster.ray.intersectPlane(this.plane, point)) {
+            // Looking along the plane: take the point as far along the ray as the plane is away
+            this.raycaster.ray.at(this.cameraController.getViewSize(), point);
+        }
+        
+        return { x: point.x, y: point.y, z: point.z };
     }
     
     /**
@@ -159,11 +449,15 @@ class InputHandler {
         // World coordinates of the starting point
         const startWorld = this.screenToWorld(this.pointerStartX, this.pointerStartY);
         
-        // Create a small circle to indicate the arrow's starting point
-        const circleGeometry = new THREE.CircleGeometry(PlanetConstants.RADIUS, 16);
+        // Create a small circle to indicate the arrow's starting point (sized like the body to be launched)
+        const planetType = PlanetTypes[this.planetType];
+        const radius = this.launchType === 'star'
+            ? SunConstants.RADIUS
+            : radiusFromMass(planetType.mass, planetType.density);
+        const circleGeometry = new THREE.CircleGeometry(radius, 16);
         const circleMaterial = new THREE.MeshBasicMaterial({ color: 0xFFFFFF });
         this.startCircle = new THREE.Mesh(circleGeometry, circleMaterial);
-        this.startCircle.position.set(startWorld.x, startWorld.y, 0);
+        this.startCircle.position.set(startWorld.x, startWorld.y, startWorld.z);
         this.physicsEngine.scene.add(this.startCircle);
         
         // Create the arrow line
@@ -172,8 +466,8 @@ class InputHandler {
         
         // Initial position (same as starting point)
         const positions = new Float32Array([
-            startWorld.x, startWorld.y, 0,
-            startWorld.x, startWorld.y, 0
+            startWorld.x, startWorld.y, startWorld.z,
+            startWorld.x, startWorld.y, startWorld.z
         ]);
         
         lineGeometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
@@ -182,9 +476,9 @@ class InputHandler {
         
         // Create the arrow head (triangle)
         const arrowHeadPoints = [
-            new THREE.Vector3(startWorld.x, startWorld.y, 0),
-            new THREE.Vector3(startWorld.x, startWorld.y, 0),
-            new THREE.Vector3(startWorld.x, startWorld.y, 0)
+            new THREE.Vector3(startWorld.x, startWorld.y, startWorld.z),
+            new THREE.Vector3(startWorld.x, startWorld.y, startWorld.z),
+            new THREE.Vector3(startWorld.x, startWorld.y, startWorld.z)
         ];
         
         const arrowHeadGeometry = new THREE.BufferGeometry().setFromPoints(arrowHeadPoints);
@@ -197,6 +491,15 @@ class InputHandler {
         arrowHeadGeometry.setIndex([0, 1, 2]);
         this.arrowHead = new THREE.Mesh(arrowHeadGeometry, arrowHeadMaterial);
         this.physicsEngine.scene.add(this.arrowHead);
+        
+        // Create the dashed line of the predicted path (drawing the predictor's positions directly)
+        const predictionGeometry = new THREE.BufferGeometry();
+        predictionGeometry.setAttribute('position', new THREE.BufferAttribute(this.orbitPredictor.positions, 3));
+        predictionGeometry.setDrawRange(0, 0);
+        const predictionMaterial = new THREE.LineDashedMaterial({ color: PredictionConstants.BOUND_COLOR });
+        this.predictionLine = new THREE.Line(predictionGeometry, predictionMaterial);
+        this.predictionLine.frustumCulled = false; // The path changes every frame, the bounding sphere would go stale
+        this.physicsEngine.scene.add(this.predictionLine);
     }
     
     /**
@@ -209,49 +512,63 @@ class InputHandler {
         const startWorld = this.screenToWorld(this.pointerStartX, this.pointerStartY);
         const currentWorld = this.screenToWorld(this.pointerCurrentX, this.pointerCurrentY);
         
+        // The starting point stays where it is on the screen while the view moves
+        this.startCircle.position.set(startWorld.x, startWorld.y, startWorld.z);
+        
+        // Calculate direction vector (tilted out of the plane by the launch inclination)
+        const dx = currentWorld.x - startWorld.x;
+        const dy = currentWorld.y - startWorld.y;
+        const inclination = this.launchInclination * Math.PI / 180;
+        const planeLength = Math.sqrt(dx * dx + dy * dy);
+        const tipX = startWorld.x + dx * Math.cos(inclination);
+        const tipY = startWorld.y + dy * Math.cos(inclination);
+        const tipZ = startWorld.z + planeLength * Math.sin(inclination);
+        
         // Update the position of the arrow line
         const linePositions = this.arrowLine.geometry.attributes.position.array;
         linePositions[0] = startWorld.x;
         linePositions[1] = startWorld.y;
-        linePositions[2] = 0;
-        linePositions[3] = currentWorld.x;
-        linePositions[4] = currentWorld.y;
-        linePositions[5] = 0;
+        linePositions[2] = startWorld.z;
+        linePositions[3] = tipX;
+        linePositions[4] = tipY;
+        linePositions[5] = tipZ;
         
         this.arrowLine.geometry.attributes.position.needsUpdate = true;
         
-        // Calculate direction vector
-        const dx = currentWorld.x - startWorld.x;
-        const dy = currentWorld.y - startWorld.y;
+        // Show where the body would go (also when it is released without dragging)
+        this.updatePredictionLine();
         
         // Don't update if vector length is 0
-        const length = Math.sqrt(dx * dx + dy * dy);
-        if (length < 0.001) return;
+        if (planeLength < 0.001) return;
         
         // Normalized direction vector
-        const nx = dx / length;
-        const ny = dy / length;
+        const nx = (tipX - startWorld.x) / planeLength;
+        const ny = (tipY - startWorld.y) / planeLength;
+        const nz = (tipZ - startWorld.z) / planeLength;
         
-        // Size of the arrow head
-        const headSize = 2.5;
+        // Size of the arrow head (the same on the screen at any zoom)
+        const headSize = 2.5 / this.cameraController.getZoom();
         
         // Calculate the position of the arrow head
-        const perpX = -ny;  // Perpendicular vector
-        const perpY = nx;
+        const perpX = -dy / planeLength;  // Perpendicular vector (in the plane)
+        const perpY = dx / planeLength;
         
         // Triangle vertices
-        const x1 = currentWorld.x;
-        const y1 = currentWorld.y;
-        const x2 = currentWorld.x - headSize * nx + headSize * 0.5 * perpX;
-        const y2 = currentWorld.y - headSize * ny + headSize * 0.5 * perpY;
-        const x3 = currentWorld.x - headSize * nx - headSize * 0.5 * perpX;
-        const y3 = currentWorld.y - headSize * ny - headSize * 0.5 * perpY;
+        const x1 = tipX;
+        const y1 = tipY;
+        const z1 = tipZ;
+        const x2 = tipX - headSize * nx + headSize * 0.5 * perpX;
+        const y2 = tipY - headSize * ny + headSize * 0.5 * perpY;
+        const z2 = tipZ - headSize * nz;
+        const x3 = tipX - headSize * nx - headSize * 0.5 * perpX;
+        const y3 = tipY - headSize * ny - headSize * 0.5 * perpY;
+        const z3 = tipZ - headSize * nz;
         
         // Create new geometry for the arrow head
         const arrowHeadPoints = [
-            new THREE.Vector3(x1, y1, 0),
-            new THREE.Vector3(x2, y2, 0),
-            new THREE.Vector3(x3, y3, 0)
+            new THREE.Vector3(x1, y1, z1),
+            new THREE.Vector3(x2, y2, z2),
+            new THREE.Vector3(x3, y3, z3)
         ];
         
         // Dispose of old geometry
@@ -265,6 +582,44 @@ class InputHandler {
         this.arrowHead.geometry = newGeometry;
     }
     
+    /**
+     * Predict the path of the body the current drag would launch, and draw it colored by its outcome
+     */
+    updatePredictionLine() {
+        if (!this.predictionLine) return;
+        
+        // Dashes keep the same size on the screen at any zoom
+        const material = this.predictionLine.material;
+        const pixelSize = 2 * this.cameraController.getViewSize() / this.container.getBoundingClientRect().height;
+        material.dashSize = PredictionConstants.DASH_SIZE * pixelSize;
+        material.gapSize = PredictionConstants.GAP_SIZE * pixelSize;
+        
+        // Predicting takes a few milliseconds, so it is skipped while neither the aim nor the bodies have changed
+        const state = this.physicsEngine.getState();
+        const body = this.getLaunchBody();
+        const key = [body.kind, body.x, body.y, body.z, body.vx, body.vy, body.vz, body.mass].join();
+        if (state === this.predictionState && key === this.predictionKey) return;
+        this.predictionState = state;
+        this.predictionKey = key;
+        
+        const prediction = this.orbitPredictor.predict(state, {
+            integrator: this.physicsEngine.getIntegrator(),
+            collisionPolicy: this.physicsEngine.getCollisionPolicy(),
+            timeScale: this.physicsEngine.getTimeScale()
+        }, body);
+        
+        const geometry = this.predictionLine.geometry;
+        geometry.attributes.position.needsUpdate = true;
+        geometry.setDrawRange(0, prediction.count);
+        this.predictionLine.computeLineDistances();
+        
+        material.color.setHex(
+            prediction.outcome === 'impact' ? PredictionConstants.IMPACT_COLOR
+                : prediction.outcome === 'escaping' ? PredictionConstants.ESCAPING_COLOR
+                    : PredictionConstants.BOUND_COLOR
+        );
+    }
+    
     /**
      * Remove arrow helper
      */
@@ -289,6 +644,14 @@ class InputHandler {
             this.arrowHead.material.dispose();
             this.arrowHead = null;
         }
+        
+        if (this.predictionLine) {
+            this.physicsEngine.scene.remove(this.predictionLine);
+            this.predictionLine.geometry.dispose();
+            this.predictionLine.material.dispose();
+            this.predictionLine = null;
+            this.predictionState = null;
+        }
     }
     
     /**
@@ -296,9 +659,85 @@ class InputHandler {
      * @returns {boolean} Whether the pointer is pressed
      */
     update() {
+        // Send the latest move of the held body
+        if (this.heldMove) {
+            const { id, x, y, z } = this.heldMove;
+            this.heldMove = null;
+            this.physicsEngine.editBody(id, { x, y, z });
+        }
+        
+        // Keep the arrow on the screen positions of the drag while the view moves (e.g. following a body)
+        if (this.isPointerDown) {
+            this.updateArrowHelper();
+        }
+        
         return this.isPointerDown;
     }
     
+    /**
+     * Select a body
+     * @param {number|null} id - Body ID, or null to clear the selection
+     */
+    setSelectedId(id) {
+        this.selectedId = id;
+    }
+    
+    /**
+     * Get the selected body
+     * @returns {number|null} Body ID, or null if nothing is selected
+     */
+    getSelectedId() {
+        return this.selectedId;
+    }
+    
+    /**
+     * Set the type of body created by dragging
+     * @param {string} launchType - 'planet' or 'star'
+     */
+    setLaunchType(launchType) {
+        this.launchType = launchType;
+    }
+    
+    /**
+     * Get the type of body created by dragging
+     * @returns {string} 'planet' or 'star'
+     */
+    getLaunchType() {
+        return this.launchType;
+    }
+    
+    /**
+     * Set the type of planet created by dragging
+     * @param {string} planetType - Key of PlanetTypes
+     */
+    setPlanetType(planetType) {
+        this.planetType = planetType;
+    }
+    
+    /**
+     * Get the type of planet created by dragging
+     * @returns {string} Key of PlanetTypes
+     */
+    getPlanetType() {
+        return this.planetType;
+    }
+    
+    /**
+     * Set the angle of the launch velocity out of the plane
+     * @param {number} degrees - Inclination in degrees (-90 to 90, positive toward +Z)
+     */
+    setLaunchInclination(degrees) {
+        this.launchInclination = degrees;
+    }
+    
+    /**
+     * Get the angle of the launch velocity out of the plane
+     * @returns {number} Inclination in degrees
+     */
+    getLaunchInclination() {
+        return this.launchInclination;
+    }
+    
     /**
      * Get X coordinate of pointer start position
      * @returns {number} X coordinate of pointer start position
@@ -0,0 +1,266 @@
+/**
+ * Numerical Integrators
+ * Advance the simulation state { count, x, y, z, vx, vy, vz } by one time step.
+ * Accelerations are computed by a callback supplied by the physics engine:
+ * computeAccelerations(x, y, z, ax, ay, az) fills ax/ay/az for the given positions.
+ */
+
+/**
+ * Integrator Base Class
+ */
+export class Integrator {
+    /**
+     * Constructor
+     * @param {string} id - Identifier used to select the integrator
+     * @param {string} label - Human readable name
+     * @param {boolean} symplectic - Whether the scheme is symplectic (bounded energy error)
+     */
+    constructor(id, label, symplectic) {
+        this.id = id;
+        this.label = label;
+        this.symplectic = symplectic;
+    }
+    
+    /**
+     * Advance the state by one time step
+     * @param {Object} state - Simulation state
+     * @param {number} dt - Time step
+     * @param {Function} computeAccelerations - Acceleration callback
+     */
+    step(state, dt, computeAccelerations) {
+        throw new Error(`Integrator "${this.id}" does not implement step()`);
+    }
+    
+    /**
+     * Get the acceleration arrays, kept from step to step (allocated again only when the number of bodies changes)
+     * @param {number} count - Number of bodies
+     * @returns {Array<Float64Array>} Arrays [ax, ay, az]
+     */
+    accelerationArrays(count) {
+        if (!this.accelerations || this.accelerations[0].length !== count) {
+            this.accelerations = createArrays(3, count);
+        }
+        return this.accelerations;
+    }
+    
+    /**
+     * Move positions along the current velocities: x = x + v * dt
+     * @param {Object} state - Simulation state
+     * @param {number} dt - Time step
+     */
+    static drift(state, dt) {
+        for (let i = 0; i < state.count; i++) {
+            state.x[i] += state.vx[i] * dt;
+            state.y[i] += state.vy[i] * dt;
+            state.z[i] += state.vz[i] * dt;
+        }
+    }
+    
+    /**
+     * Change velocities by the given accelerations: v = v + a * dt
+     * @param {Object} state - Simulation state
+     * @param {Float64Array} ax - X-direction accelerations
+     * @param {Float64Array} ay - Y-direction accelerations
+     * @param {Float64Array} az - Z-direction accelerations
+     * @param {number} dt - Time step
+     */
+    static kick(state, ax, ay, az, dt) {
+        for (let i = 0; i < state.count; i++) {
+            state.vx[i] += ax[i] * dt;
+            state.vy[i] += ay[i] * dt;
+            state.vz[i] += az[i] * dt;
+        }
+    }
+}
+
+/**
+ * Semi-implicit Euler Integrator
+ * First order: velocity is updated first, then position
+ */
+export class SemiImplicitEulerIntegrator extends Integrator {
+    constructor() {
+        super('euler', 'Semi-implicit Euler', true);
+    }
+    
+    step(state, dt, computeAccelerations) {
+        const [ax, ay, az] = this.accelerationArrays(state.count);
+        
+        // Backward steps run the adjoint (drift, then kick), which exactly undoes a forward step
+        if (dt < 0) {
+            Integrator.drift(state, dt);
+            computeAccelerations(state.x, state.y, state.z, ax, ay, az);
+            Integrator.kick(state, ax, ay, az, dt);
+            return;
+        }
+        
+        computeAccelerations(state.x, state.y, state.z, ax, ay, az);
+        Integrator.kick(state, ax, ay, az, dt);
+        Integrator.drift(state, dt);
+    }
+}
+
+/**
+ * Velocity Verlet Integrator
+ * Second order kick-drift-kick; accelerations from the end of a step are reused at the start of the next
+ */
+export class VelocityVerletIntegrator extends Integrator {
+    constructor() {
+        super('verlet', 'Velocity Verlet', true);
+    }
+    
+    step(state, dt, computeAccelerations) {
+        // Compute starting accelerations unless the previous step left them in the state
+        if (!state.ax || state.ax.length !== state.count) {
+            state.ax = new Float64Array(state.count);
+            state.ay = new Float64Array(state.count);
+            state.az = new Float64Array(state.count);
+            computeAccelerations(state.x, state.y, state.z, state.ax, state.ay, state.az);
+        }
+        
+        Integrator.kick(state, state.ax, state.ay, state.az, dt / 2);
+        Integrator.drift(state, dt);
+        computeAccelerations(state.x, state.y, state.z, state.ax, state.ay, state.az);
+        Integrator.kick(state, state.ax, state.ay, state.az, dt / 2);
+    }
+}
+
+/**
+ * Leapfrog Integrator
+ * Second order drift-kick-drift
+ */
+export class LeapfrogIntegrator extends Integrator {
+    constructor() {
+        super('leapfrog', 'Leapfrog (drift-kick-drift)', true);
+    }
+    
+    step(state, dt, computeAccelerations) {
+        const [ax, ay, az] = this.accelerationArrays(state.count);
+        Integrator.drift(state, dt / 2);
+        computeAccelerations(state.x, state.y, state.z, ax, ay, az);
+        Integrator.kick(state, ax, ay, az, dt);
+        Integrator.drift(state, dt / 2);
+    }
+}
+
+/**
+ * Classic Runge-Kutta Integrator
+ * Fourth order, not symplectic (energy drifts slowly over long runs)
+ */
+export class RungeKutta4Integrator extends Integrator {
+    constructor() {
+        super('rk4', 'Runge-Kutta 4', false);
+    }
+    
+    step(state, dt, computeAccelerations) {
+        const n = state.count;
+        
+        // Starting state, trial positions and derivatives of each stage, kept for the next step
+        // unless the number of bodies changes
+        if (!this.x0 || this.x0.length !== n) {
+            [this.x0, this.y0, this.z0, this.vx0, this.vy0, this.vz0, this.x, this.y, this.z] = createArrays(9, n);
+            [this.kvx, this.kvy, this.kvz, this.kax, this.kay, this.kaz] = Array.from({ length: 6 }, () => createArrays(4, n));
+        }
+        const { x0, y0, z0, vx0, vy0, vz0, x, y, z, kvx, kvy, kvz, kax, kay, kaz } = this;
+        x0.set(state.x.subarray(0, n));
+        y0.set(state.y.subarray(0, n));
+        z0.set(state.z.subarray(0, n));
+        vx0.set(state.vx.subarray(0, n));
+        vy0.set(state.vy.subarray(0, n));
+        vz0.set(state.vz.subarray(0, n));
+        
+        // Stage weights: k1 at t, k2 and k3 at t + dt/2, k4 at t + dt
+        const offsets = [0, dt / 2, dt / 2, dt];
+        for (let stage = 0; stage < 4; stage++) {
+            const h = offsets[stage];
+            const vx = kvx[stage];
+            const vy = kvy[stage];
+            const vz = kvz[stage];
+            for (let i = 0; i < n; i++) {
+                const prevVx = stage === 0 ? 0 : kvx[stage - 1][i];
+                const prevVy = stage === 0 ? 0 : kvy[stage - 1][i];
+                const prevVz = stage === 0 ? 0 : kvz[stage - 1][i];
+                const prevAx = stage === 0 ? 0 : kax[stage - 1][i];
+                const prevAy = stage === 0 ? 0 : kay[stage - 1][i];
+                const prevAz = stage === 0 ? 0 : kaz[stage - 1][i];
+                x[i] = x0[i] + prevVx * h;
+                y[i] = y0[i] + prevVy * h;
+                z[i] = z0[i] + prevVz * h;
+                vx[i] = vx0[i] + prevAx * h;
+                vy[i] = vy0[i] + prevAy * h;
+                vz[i] = vz0[i] + prevAz * h;
+            }
+            
+            computeAccelerations(x, y, z, kax[stage], kay[stage], kaz[stage]);
+        }
+        
+        // Weighted average of the four stages: (k1 + 2*k2 + 2*k3 + k4) / 6
+        for (let i = 0; i < n; i++) {
+            state.x[i] = x0[i] + dt / 6 * (kvx[0][i] + 2 * kvx[1][i] + 2 * kvx[2][i] + kvx[3][i]);
+            state.y[i] = y0[i] + dt / 6 * (kvy[0][i] + 2 * kvy[1][i] + 2 * kvy[2][i] + kvy[3][i]);
+            state.z[i] = z0[i] + dt / 6 * (kvz[0][i] + 2 * kvz[1][i] + 2 * kvz[2][i] + kvz[3][i]);
+            state.vx[i] = vx0[i] + dt / 6 * (kax[0][i] + 2 * kax[1][i] + 2 * kax[2][i] + kax[3][i]);
+            state.vy[i] = vy0[i] + dt / 6 * (kay[0][i] + 2 * kay[1][i] + 2 * kay[2][i] + kay[3][i]);
+            state.vz[i] = vz0[i] + dt / 6 * (kaz[0][i] + 2 * kaz[1][i] + 2 * kaz[2][i] + kaz[3][i]);
+        }
+    }
+}
+
+/**
+ * Yoshida Integrator
+ * Fourth order symplectic scheme built from three leapfrog steps with weights w1, w0, w1
+ */
+export class YoshidaIntegrator extends Integrator {
+    constructor() {
+        super('yoshida', 'Yoshida (4th order symplectic)', true);
+        
+        // Yoshida coefficients
+        const cbrt2 = Math.cbrt(2);
+        const w1 = 1 / (2 - cbrt2);
+        const w0 = -cbrt2 / (2 - cbrt2);
+        this.driftWeights = [w1 / 2, (w0 + w1) / 2, (w0 + w1) / 2, w1 / 2];
+        this.kickWeights = [w1, w0, w1];
+    }
+    
+    step(state, dt, computeAccelerations) {
+        const [ax, ay, az] = this.accelerationArrays(state.count);
+        
+        for (let i = 0; i < this.kickWeights.length; i++) {
+            Integrator.drift(state, this.driftWeights[i] * dt);
+            computeAccelerations(state.x, state.y, state.z, ax, ay, az);
+            Integrator.kick(state, ax, ay, az, this.kickWeights[i] * dt);
+        }
+        Integrator.drift(state, this.driftWeights[3] * dt);
+    }
+}
+
+/**
+ * Allocate arrays for the bodies
+ * @param {number} size - Number of arrays
+ * @param {number} count - Number of bodies
+ * @returns {Array<Float64Array>} Arrays of count values
+ */
+function createArrays(size, count) {
+    return Array.from({ length: size }, () => new Float64Array(count));
+}
+
+// Available integrators (key: integrator ID)
+export const Integrators = {
+    euler: SemiImplicitEulerIntegrator,
+    verlet: VelocityVerletIntegrator,
+    leapfrog: LeapfrogIntegrator,
+    rk4: RungeKutta4Integrator,
+    yoshida: YoshidaIntegrator
+};
+
+/**
+ * Create an integrator by ID
+ * @param {string} id - Integrator ID
+ * @returns {Integrator} New integrator instance
+ */
+export function createIntegrator(id) {
+    const IntegratorClass = Integrators[id];
+    if (!IntegratorClass) {
+        throw new Error(`Unknown integrator "${id}"`);
+    }
+    return new IntegratorClass();
+}
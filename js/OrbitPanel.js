@@ -0,0 +1,63 @@
+import { ScenarioConstants } from './Constants.js';
+
+/**
+ * Orbit Panel Class
+ * Shows the osculating orbital elements of the selected planet in the side panel
+ */
+export class OrbitPanel {
+    /**
+     * Constructor
+     * @param {HTMLElement} readoutElement - Element that receives the text readout
+     * @param {Function} formatTime - Formats a span of simulated time for display
+     */
+    constructor(readoutElement, formatTime) {
+        this.readoutElement = readoutElement;
+        this.formatTime = formatTime;
+    }
+    
+    /**
+     * Format a distance in astronomical units, with the world units after it
+     * @param {number} distance - Distance in world units
+     * @returns {string} Formatted distance
+     */
+    static formatDistance(distance) {
+        if (!isFinite(distance)) return '-';
+        return `${(distance / ScenarioConstants.AU).toFixed(3)} AU (${distance.toFixed(1)})`;
+    }
+    
+    /**
+     * Format an angle in degrees
+     * @param {number} angle - Angle in radians
+     * @returns {string} Formatted angle
+     */
+    static formatAngle(angle) {
+        return `${(angle * 180 / Math.PI).toFixed(1)}°`;
+    }
+    
+    /**
+     * Update the readout
+     * @param {Object|null} elements - Orbital elements (as returned by computeOrbitalElements()), or null if there are none
+     * @param {string} primaryName - Name of the body orbited (empty if there is none)
+     */
+    update(elements, primaryName) {
+        if (!elements) {
+            this.readoutElement.textContent = primaryName ? `Around ${primaryName}: no orbit (radial motion)` : 'No body to orbit';
+            return;
+        }
+        
+        const distance = OrbitPanel.formatDistance;
+        const angle = OrbitPanel.formatAngle;
+        const e = elements;
+        this.readoutElement.textContent =
+            `Around ${primaryName} (${e.bound ? 'bound' : 'escaping'})\n` +
+            `Semi-major axis: ${distance(e.semiMajorAxis)}\n` +
+            `Eccentricity: ${e.eccentricity.toFixed(4)}\n` +
+            `Inclination: ${angle(e.inclination)}\n` +
+            `Ascending node: ${angle(e.longitudeOfAscendingNode)}\n` +
+            `Argument of periapsis: ${angle(e.argumentOfPeriapsis)}\n` +
+            `True anomaly: ${angle(e.trueAnomaly)}\n` +
+            `Period: ${e.bound ? this.formatTime(e.period) : '-'}\n` +
+            `Periapsis: ${distance(e.periapsis)}\n` +
+            `Apoapsis: ${distance(e.apoapsis)}`;
+    }
+}
@@ -0,0 +1,110 @@
+import { PredictionConstants } from './Constants.js';
+import { Simulation } from './Simulation.js';
+import { BodyKind } from './SimulationState.js';
+
+/**
+ * Orbit Predictor Class
+ * Integrates a body that is about to be launched forward through the current system, to show where it would go
+ * (only the stars and the most massive planets pull on it, and nothing is removed at the boundary)
+ */
+export class OrbitPredictor {
+    /**
+     * Constructor
+     */
+    constructor() {
+        // Private simulation reused for every prediction
+        this.simulation = new Simulation();
+        this.simulation.setBoundaryPolicy('keep');
+        this.integratorId = null;
+        
+        // Predicted positions (x, y, z per step, the launch position first)
+        this.positions = new Float32Array((PredictionConstants.STEPS + 1) * 3);
+        this.count = 0;
+        
+        // 'bound', 'escaping' or 'impact'
+        this.outcome = 'bound';
+    }
+    
+    /**
+     * Predict the path of a body launched into a state
+     * @param {SimulationState} state - Bodies the launched body moves among
+     * @param {Object} settings - Simulation settings (integrator, collisionPolicy, timeScale)
+     * @param {Object} body - Launched body (kind, x, y, z, vx, vy, vz, mass, density or radius)
+     * @returns {Object} { positions, count, outcome }: positions of count points, and whether the body stays bound,
+     *     escapes from the system or falls into a star
+     */
+    predict(state, settings, body) {
+        const simulation = this.simulation;
+        if (settings.integrator !== this.integratorId) {
+            simulation.setIntegrator(settings.integrator);
+            this.integratorId = settings.integrator;
+        }
+        simulation.setCollisionPolicy(settings.collisionPolicy);
+        simulation.setTimeScale(settings.timeScale);
+        
+        // Copy the sources of gravity and add the body
+        simulation.state.setCount(0);
+        for (const index of this.selectSources(state)) {
+            simulation.addBody(state.get(index));
+        }
+        const id = body.kind === BodyKind.STAR
+            ? simulation.addStar(body.x, body.y, body.z, body.vx, body.vy, body.vz, body.mass, body.radius)
+            : simulation.addPlanet(body.x, body.y, body.z, body.vx, body.vy, body.vz, body.mass, body.density);
+        simulation.takeEvents();
+        
+        // Bound or escaping from the energy at launch, relative to the rest of the system
+        const index = simulation.state.indexOf(id);
+        this.outcome = simulation.boundarySystem.isUnbound(simulation.state, index, simulation.state.getCenterOfMass())
+            ? 'escaping'
+            : 'bound';
+        this.count = 0;
+        this.addPosition(index);
+        
+        for (let step = 0; step < PredictionConstants.STEPS; step++) {
+            simulation.step();
+            
+            // The path ends where the body falls into a star or merges with another body
+            const current = simulation.state.indexOf(id);
+            if (current < 0) {
+                if (simulation.takeEvents().some(event => event.type === 'starImpact' && event.id === id)) {
+                    this.outcome = 'impact';
+                }
+                break;
+            }
+            this.addPosition(current);
+        }
+        
+        return { positions: this.positions, count: this.count, outcome: this.outcome };
+    }
+    
+    /**
+     * Choose the bodies whose gravity is included: every star and the most massive planets
+     * @param {SimulationState} state - Body state
+     * @returns {Array<number>} Indices of the bodies, in their order in the state
+     */
+    selectSources(state) {
+        const stars = [];
+        const planets = [];
+        for (let i = 0; i < state.count; i++) {
+            (state.kind[i] === BodyKind.STAR ? stars : planets).push(i);
+        }
+        if (planets.length > PredictionConstants.MAX_SOURCES) {
+            planets.sort((a, b) => state.mass[b] - state.mass[a]);
+            planets.length = PredictionConstants.MAX_SOURCES;
+        }
+        return stars.concat(planets).sort((a, b) => a - b);
+    }
+    
+    /**
+     * Append the position of a body to the predicted path
+     * @param {number} index - Index of the body in the private simulation
+     */
+    addPosition(index) {
+        const state = this.simulation.state;
+        const offset = this.count * 3;
+        this.positions[offset] = state.x[index];
+        this.positions[offset + 1] = state.y[index];
+        this.positions[offset + 2] = state.z[index];
+        this.count++;
+    }
+}
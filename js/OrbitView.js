@@ -0,0 +1,65 @@
+import { OrbitConstants } from './Constants.js';
+
+/**
+ * Orbit View Class
+ * Draws the osculating conic of a body around its primary: the ellipse it would follow,
+ * or the part of the hyperbola near the primary if it is not bound
+ */
+export class OrbitView {
+    /**
+     * Constructor
+     * @param {THREE.Scene} scene - Three.js scene
+     */
+    constructor(scene) {
+        this.scene = scene;
+        
+        // One preallocated line, closed by repeating the first point for an ellipse
+        this.positions = new Float32Array((OrbitConstants.SEGMENTS + 1) * 3);
+        this.geometry = new THREE.BufferGeometry();
+        this.geometry.setAttribute('position', new THREE.BufferAttribute(this.positions, 3));
+        this.material = new THREE.LineBasicMaterial({ color: OrbitConstants.CONIC_COLOR });
+        this.line = new THREE.Line(this.geometry, this.material);
+        this.line.frustumCulled = false; // Vertices move every frame, the bounding sphere would go stale
+        this.line.visible = false;
+        this.scene.add(this.line);
+    }
+    
+    /**
+     * Draw the conic of a body, or hide it
+     * @param {Object|null} elements - Orbital elements (as returned by computeOrbitalElements()), or null to hide the conic
+     * @param {Object} body - Body view (x, y, z)
+     * @param {Object} primary - Primary view (x, y, z), the focus of the conic
+     */
+    update(elements, body, primary) {
+        this.line.visible = elements !== null;
+        if (!elements) return;
+        
+        const { eccentricity, semiLatusRectum, periapsisDirection: p, normal: w } = elements;
+        
+        // In-plane direction 90 degrees ahead of periapsis: Q = W x P
+        const qx = w.y * p.z - w.z * p.y;
+        const qy = w.z * p.x - w.x * p.z;
+        const qz = w.x * p.y - w.y * p.x;
+        
+        // True anomaly range: the whole ellipse, or a hyperbola out to a multiple of the current distance
+        let maxAnomaly = Math.PI;
+        if (!elements.bound) {
+            const distance = Math.hypot(body.x - primary.x, body.y - primary.y, body.z - primary.z);
+            const extent = Math.max(OrbitConstants.OPEN_ORBIT_EXTENT * distance, elements.periapsis);
+            maxAnomaly = Math.acos(Math.min(Math.max((semiLatusRectum / extent - 1) / eccentricity, -1), 1));
+        }
+        
+        // Points r(nu) = p / (1 + e cos nu) along the conic, with the primary at the focus
+        const segments = OrbitConstants.SEGMENTS;
+        for (let i = 0; i <= segments; i++) {
+            const anomaly = -maxAnomaly + 2 * maxAnomaly * i / segments;
+            const cos = Math.cos(anomaly);
+            const sin = Math.sin(anomaly);
+            const r = semiLatusRectum / (1 + eccentricity * cos);
+            this.positions[i * 3] = primary.x + r * (cos * p.x + sin * qx);
+            this.positions[i * 3 + 1] = primary.y + r * (cos * p.y + sin * qy);
+            this.positions[i * 3 + 2] = primary.z + r * (cos * p.z + sin * qz);
+        }
+        this.geometry.attributes.position.needsUpdate = true;
+    }
+}
@@ -0,0 +1,146 @@
+import { PhysicsConstants } from './Constants.js';
+
+/**
+ * Osculating orbital elements: the Keplerian orbit a body would follow around its primary
+ * if every other body vanished at this instant
+ */
+
+// Gravitational constant in world units (positions in world units, times in simulated time)
+const GRAVITY_FACTOR = PhysicsConstants.G / (PhysicsConstants.DISTANCE_SCALE * PhysicsConstants.DISTANCE_SCALE);
+
+// Relative size below which the eccentricity vector or the line of nodes has no direction
+const EPSILON = 1e-9;
+
+/**
+ * Find the body a body orbits: among the more massive bodies, the one with the strongest tidal hold on it
+ * (the largest mass / distance^3, the quantity that decides whether the body is within the other's Hill sphere),
+ * so that a moon orbits its planet rather than the star that pulls on it harder
+ * @param {Object} body - Body view (x, y, z, getMass())
+ * @param {Array<Object>} candidates - Star and planet views that may be the primary
+ * @returns {Object|null} Primary, or null if no body is more massive
+ */
+export function findPrimary(body, candidates) {
+    const mass = body.getMass();
+    let primary = null;
+    let strongest = 0;
+    for (const candidate of candidates) {
+        const candidateMass = candidate.getMass();
+        if (candidate === body || candidateMass <= mass) continue;
+        
+        const dx = candidate.x - body.x;
+        const dy = candidate.y - body.y;
+        const dz = candidate.z - body.z;
+        const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
+        const hold = candidateMass / (distance * distance * distance);
+        if (hold > strongest) {
+            strongest = hold;
+            primary = candidate;
+        }
+    }
+    return primary;
+}
+
+/**
+ * Compute the osculating orbital elements of a body relative to its primary
+ * (angles are measured from the X axis and the X-Y plane, counterclockwise seen from +Z)
+ * @param {Object} body - Body view (x, y, z, vx, vy, vz, getMass())
+ * @param {Object} primary - Primary view (x, y, z, vx, vy, vz, getMass())
+ * @returns {Object|null} Elements (null for a radial trajectory, which has no orbital plane):
+ *     semiMajorAxis (negative for a hyperbola), eccentricity, inclination, longitudeOfAscendingNode,
+ *     argumentOfPeriapsis, trueAnomaly (radians), period (simulated time, Infinity unless bound),
+ *     periapsis, apoapsis (Infinity unless bound), bound, and the orbit's shape in space:
+ *     semiLatusRectum, periapsisDirection and normal (unit vectors {x, y, z})
+ */
+export function computeOrbitalElements(body, primary) {
+    const mu = GRAVITY_FACTOR * (primary.getMass() + body.getMass());
+    
+    // Relative position and velocity
+    const rx = body.x - primary.x;
+    const ry = body.y - primary.y;
+    const rz = body.z - primary.z;
+    const vx = body.vx - primary.vx;
+    const vy = body.vy - primary.vy;
+    const vz = body.vz - primary.vz;
+    const r = Math.sqrt(rx * rx + ry * ry + rz * rz);
+    const speedSquared = vx * vx + vy * vy + vz * vz;
+    
+    // Specific angular momentum h = r x v (normal to the orbital plane)
+    const hx = ry * vz - rz * vy;
+    const hy = rz * vx - rx * vz;
+    const hz = rx * vy - ry * vx;
+    const h = Math.sqrt(hx * hx + hy * hy + hz * hz);
+    if (r === 0 || h <= EPSILON * r * Math.sqrt(speedSquared)) return null;
+    
+    // Eccentricity vector e = v x h / mu - r / |r| (points to periapsis)
+    let ex = (vy * hz - vz * hy) / mu - rx / r;
+    let ey = (vz * hx - vx * hz) / mu - ry / r;
+    let ez = (vx * hy - vy * hx) / mu - rz / r;
+    const eccentricity = Math.sqrt(ex * ex + ey * ey + ez * ez);
+    
+    // Size from the specific orbital energy, shape from the angular momentum
+    const energy = speedSquared / 2 - mu / r;
+    const semiMajorAxis = -mu / (2 * energy);
+    const semiLatusRectum = h * h / mu;
+    const periapsis = semiLatusRectum / (1 + eccentricity);
+    const bound = eccentricity < 1;
+    
+    // Orientation of the plane: inclination from +Z, ascending node along n = Z x h
+    const inclination = Math.acos(Math.min(Math.max(hz / h, -1), 1));
+    const nx = -hy;
+    const ny = hx;
+    const n = Math.sqrt(nx * nx + ny * ny);
+    const inPlane = n <= EPSILON * h;
+    const longitudeOfAscendingNode = inPlane ? 0 : normalizeAngle(Math.atan2(ny, nx));
+    
+    // A circular orbit has no periapsis: measure from the ascending node (or the X axis) instead
+    if (eccentricity <= EPSILON) {
+        ex = inPlane ? 1 : nx / n;
+        ey = inPlane ? 0 : ny / n;
+        ez = 0;
+    } else {
+        ex /= eccentricity;
+        ey /= eccentricity;
+        ez /= eccentricity;
+    }
+    
+    // Argument of periapsis from the ascending node, or from the X axis for an orbit in the X-Y plane
+    // (the longitude of periapsis, measured in the direction of motion)
+    let argumentOfPeriapsis;
+    if (inPlane) {
+        argumentOfPeriapsis = normalizeAngle(hz >= 0 ? Math.atan2(ey, ex) : -Math.atan2(ey, ex));
+    } else {
+        argumentOfPeriapsis = Math.acos(Math.min(Math.max((nx * ex + ny * ey) / n, -1), 1));
+        if (ez < 0) argumentOfPeriapsis = 2 * Math.PI - argumentOfPeriapsis;
+    }
+    
+    // True anomaly: angle from periapsis to the body, in the direction of motion
+    const cosAnomaly = (ex * rx + ey * ry + ez * rz) / r;
+    const sinAnomaly = ((hy * ez - hz * ey) * rx + (hz * ex - hx * ez) * ry + (hx * ey - hy * ex) * rz) / (h * r);
+    const trueAnomaly = normalizeAngle(Math.atan2(sinAnomaly, cosAnomaly));
+    
+    return {
+        semiMajorAxis,
+        eccentricity,
+        inclination,
+        longitudeOfAscendingNode,
+        argumentOfPeriapsis,
+        trueAnomaly,
+        period: bound ? 2 * Math.PI * Math.sqrt(semiMajorAxis * semiMajorAxis * semiMajorAxis / mu) : Infinity,
+        periapsis,
+        apoapsis: bound ? semiLatusRectum / (1 - eccentricity) : Infinity,
+        bound,
+        semiLatusRectum,
+        periapsisDirection: { x: ex, y: ey, z: ez },
+        normal: { x: hx / h, y: hy / h, z: hz / h }
+    };
+}
+
+/**
+ * Bring an angle into [0, 2 pi)
+ * @param {number} angle - Angle in radians
+ * @returns {number} Equivalent angle in [0, 2 pi)
+ */
+function normalizeAngle(angle) {
+    const turn = 2 * Math.PI;
+    return ((angle % turn) + turn) % turn;
+}
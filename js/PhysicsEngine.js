@@ -1,229 +1,1122 @@
+import { AudioManager } from './AudioManager.js';
+import { PhysicsConstants, SunConstants, PlanetConstants, BarnesHutConstants, RenderConstants, CollisionConstants, BoundaryConstants, TrailConstants, EffectConstants } from './Constants.js';
+import { EffectRenderer } from './EffectRenderer.js';
+import { Planet } from './Planet.js';
+import { PlanetRenderer } from './PlanetRenderer.js';
+import { ReplayRecorder } from './ReplayRecorder.js';
+import { SimulationHost } from './SimulationHost.js';
+import { SimulationState, BodyKind } from './SimulationState.js';
+import { createSnapshot, readSnapshot } from './Snapshot.js';
+import { Sun } from './Sun.js';
+import { TrailRenderer } from './TrailRenderer.js';
+
 /**
  * Physics Engine Class
- * Calculates planet movements and executes physics simulation
+ * Runs the simulation in a Web Worker and keeps the star and planet views in sync with its state
  */
-class PhysicsEngine {
+export class PhysicsEngine {
     /**
      * Constructor
      * @param {THREE.Scene} scene - Three.js scene
      */
     constructor(scene) {
         this.scene = scene;
+        this.stars = [];
         this.planets = [];
+        this.elapsedTime = 0;
+        this.simulatedTime = 0;
+        this.stepCount = 0;
         this.lastTrailUpdateTime = 0;
-        this.distanceScaleSquared = PhysicsConstants.DISTANCE_SCALE * PhysicsConstants.DISTANCE_SCALE;
+        this.bodiesVersion = 0;
         
-        // Collision effect variables
-        this.collisionEffectActive = false;
-        this.collisionEffectX = 0;
-        this.collisionEffectY = 0;
-        this.collisionEffectStartTime = 0;
-        this.collisionEffectMesh = null;
+        // Latest body state received from the simulation, and the views of its bodies (by body ID)
+        this.state = new SimulationState(0);
+        this.views = new Map();
+        this.syncCount = 0;
+        
+        // Names given to bodies (by body ID; kept here, as the simulation has no use for them,
+        // and kept after a body is deleted so that it still has its name in the recording)
+        this.names = new Map();
+        this.namesVersion = 0;
+        
+        // Bodies moved by editing, whose trails start over with the next state (by body ID)
+        this.movedIds = new Set();
+        
+        // Latest diagnostics received from the simulation
+        this.diagnostics = null;
+        
+        // Settings forwarded to the simulation
+        this.integratorId = PhysicsConstants.DEFAULT_INTEGRATOR;
+        this.gravitySolver = PhysicsConstants.DEFAULT_GRAVITY_SOLVER;
+        this.openingAngle = BarnesHutConstants.OPENING_ANGLE;
+        this.collisionPolicy = CollisionConstants.DEFAULT_POLICY;
+        this.boundaryPolicy = BoundaryConstants.DEFAULT_POLICY;
+        this.boundaryRadius = BoundaryConstants.RADIUS;
+        this.timeScale = PhysicsConstants.TIME_SCALE;
+        
+        // How the body views are drawn (key of ViewModes), and the renderer drawing all planets at once
+        this.viewMode = '2d';
+        this.planetRenderer = new PlanetRenderer(scene, this.viewMode);
+        
+        // How trails are kept and drawn (keys of TrailModes and TrailFrames), the body or center of mass
+        // the co-moving and rotating frames go with (as followed by the view), and the frame the trails were last drawn in
+        this.trailMode = TrailConstants.DEFAULT_MODE;
+        this.trailFrame = TrailConstants.DEFAULT_FRAME;
+        this.trailLength = TrailConstants.LENGTH;
+        this.trailTimeLimit = TrailConstants.TIME_LIMIT;
+        this.trailFade = TrailConstants.FADE;
+        this.trailReference = null;
+        this.trailFrameKey = null;
+        
+        // Renderer drawing all planet trails at once
+        this.trailRenderer = new TrailRenderer(scene, this.trailLength);
+        
+        // Number of the last snapshot loaded (states from before it are ignored),
+        // and trails waiting for the views of the loaded bodies
+        this.generation = 0;
+        this.pendingTrails = new Map();
+        
+        // Steps waiting to be run, and whether a step request is being processed
+        // (only one request is in flight so that a slow simulation does not queue up work)
+        this.pendingSteps = 0;
+        this.stepInFlight = false;
+        this.stateUpdated = false;
+        
+        // Whether a new state is needed even without steps (e.g. after adding a body while paused)
+        this.stateRequested = false;
+        
+        // Recorded states, the recorded frame being shown (null while showing the live state) with its state
+        // and playback time, and whether time is stopped
+        this.recorder = new ReplayRecorder();
+        this.replayFrame = null;
+        this.replayState = null;
+        this.replayTime = 0;
+        this.paused = false;
+        
+        // Speed multiplier, whether time runs backward, and the fraction of a step carried over between frames
+        this.speed = 1;
+        this.reversed = false;
+        this.stepFraction = 0;
+        
+        // Snapshot buffer handed back to the simulation for reuse
+        this.spareBuffer = null;
+        
+        // Shockwave rings and debris of collisions and star impacts
+        this.effects = new EffectRenderer(scene);
         
         // Get audio manager instance
         this.audioManager = AudioManager.getInstance();
+        
+        // Start the simulation
+        this.connect();
+    }
+    
+    /**
+     * Start the simulation in a worker (or on the main thread if module workers are unavailable)
+     */
+    connect() {
+        let worker;
+        try {
+            worker = new Worker(new URL('./PhysicsWorker.js', import.meta.url), { type: 'module' });
+        } catch (error) {
+            console.warn('Physics worker unavailable, running the simulation on the main thread:', error);
+            this.connectHost();
+            return;
+        }
+        
+        // A module worker that fails to load reports it with an error event rather than by throwing,
+        // so the commands sent until it first answers are kept (and not transferred) to be replayed on the main thread
+        let unconfirmed = [];
+        worker.addEventListener('message', event => {
+            unconfirmed = null;
+            this.onSimulationMessage(event.data);
+        });
+        worker.addEventListener('error', event => {
+            worker.terminate();
+            if (!unconfirmed) {
+                console.error('Physics worker failed, continuing the simulation on the main thread:', event.message);
+                this.resumeOnHost();
+                return;
+            }
+            console.warn('Physics worker failed to start, running the simulation on the main thread:', event.message);
+            const commands = unconfirmed;
+            unconfirmed = null;
+            this.connectHost();
+            commands.forEach(command => this.post(command));
+        });
+        this.post = (command, transfer = []) => {
+            if (unconfirmed) {
+                unconfirmed.push(command);
+                worker.postMessage(command);
+            } else {
+                worker.postMessage(command, transfer);
+            }
+        };
     }
     
     /**
-     * Add a planet
+     * Run the simulation on the main thread
+     */
+    connectHost() {
+        const host = new SimulationHost(message => this.onSimulationMessage(message));
+        this.post = command => host.handle(command);
+    }
+    
+    /**
+     * Carry on with the simulation on the main thread from the latest state received, after the worker failed while
+     * running (the step it was processing never answers, and commands sent since that state are lost)
+     */
+    resumeOnHost() {
+        this.stepInFlight = false;
+        this.spareBuffer = null;
+        this.connectHost();
+        this.post({ type: 'load', snapshot: createSnapshot(this.state, this.getSettings(), new Map(), this.names), generation: this.generation });
+        this.post({ type: 'setTimeFactor', timeFactor: this.reversed ? -1 : 1 });
+    }
+    
+    /**
+     * Add a planet (while a recorded moment is shown, a new run is branched from it first)
      * @param {number} x - Initial X coordinate
      * @param {number} y - Initial Y coordinate
+     * @param {number} z - Initial Z coordinate
      * @param {number} vx - Initial X velocity
      * @param {number} vy - Initial Y velocity
+     * @param {number} vz - Initial Z velocity
+     * @param {number} mass - Planet mass
+     * @param {number} density - Planet density
+     * @param {number} color - Planet color (random pastel color if omitted)
      */
-    addPlanet(x, y, vx, vy) {
-        const color = Planet.randomPastelColor();
-        const planet = new Planet(this.scene, x, y, vx, vy, color);
-        this.planets.push(planet);
-        
-        // Remove the oldest planet if the maximum number of planets is exceeded
-        if (this.planets.length > PlanetConstants.MAX_COUNT) {
-            const oldestPlanet = this.planets.shift();
-            oldestPlanet.remove();
+    addPlanet(x, y, z, vx, vy, vz, mass = PlanetConstants.MASS, density = PlanetConstants.DENSITY, color = Planet.randomPastelColor()) {
+        this.branch();
+        this.post({ type: 'addPlanet', x, y, z, vx, vy, vz, mass, density, color });
+        this.stateRequested = true;
+    }
+    
+    /**
+     * Add a star (while a recorded moment is shown, a new run is branched from it first)
+     * @param {number} x - Initial X coordinate
+     * @param {number} y - Initial Y coordinate
+     * @param {number} z - Initial Z coordinate
+     * @param {number} vx - Initial X velocity
+     * @param {number} vy - Initial Y velocity
+     * @param {number} vz - Initial Z velocity
+     * @param {number} mass - Star mass
+     * @param {number} radius - Star radius
+     * @param {number} color - Star color (ignored if a temperature is given)
+     * @param {number} temperature - Surface temperature in kelvin, from which the color is derived (0 to use the color)
+     */
+    addStar(x, y, z, vx, vy, vz, mass = SunConstants.MASS, radius = SunConstants.RADIUS, color = SunConstants.COLOR, temperature = 0) {
+        this.branch();
+        this.post({ type: 'addStar', x, y, z, vx, vy, vz, mass, radius, color, temperature });
+        this.stateRequested = true;
+    }
+    
+    /**
+     * Add a belt of small bodies on circular orbits around the first star (branching like addPlanet())
+     * @param {number} count - Number of bodies
+     * @param {number} innerRadius - Inner radius of the belt
+     * @param {number} outerRadius - Outer radius of the belt
+     */
+    addAsteroidBelt(count, innerRadius, outerRadius) {
+        this.branch();
+        this.post({ type: 'addAsteroidBelt', count, innerRadius, outerRadius });
+        this.stateRequested = true;
+    }
+    
+    /**
+     * Change properties of a body (branching like addPlanet())
+     * @param {number} id - Body ID
+     * @param {Object} changes - New values of some of x, y, z, vx, vy, vz, mass, color and pinned
+     */
+    editBody(id, changes) {
+        this.branch();
+        this.post({ type: 'editBody', id, changes });
+        this.stateRequested = true;
+        if (changes.x !== undefined || changes.y !== undefined || changes.z !== undefined) {
+            this.movedIds.add(id);
         }
     }
     
+    /**
+     * Delete a body (branching like addPlanet())
+     * @param {number} id - Body ID
+     */
+    deleteBody(id) {
+        this.branch();
+        this.post({ type: 'deleteBody', id });
+        this.stateRequested = true;
+    }
+    
+    /**
+     * Name a body
+     * @param {number} id - Body ID
+     * @param {string} name - Name (an empty string removes it)
+     */
+    setBodyName(id, name) {
+        if (name) {
+            this.names.set(id, name);
+        } else {
+            this.names.delete(id);
+        }
+        this.namesVersion++;
+    }
+    
+    /**
+     * Get the name of a body
+     * @param {number} id - Body ID
+     * @returns {string} Name, or an empty string if the body has none
+     */
+    getBodyName(id) {
+        return this.names.get(id) || '';
+    }
+    
+    /**
+     * Get the version of the body names
+     * @returns {number} Number that changes whenever a body is named or renamed
+     */
+    getNamesVersion() {
+        return this.namesVersion;
+    }
+    
     /**
      * Determine whether trails should be updated
      * @returns {boolean} true if trails should be updated
      */
     shouldUpdateTrails() {
-        const currentTime = Date.now();
-        if (currentTime - this.lastTrailUpdateTime > RenderConstants.TRAIL_UPDATE_INTERVAL) {
-            this.lastTrailUpdateTime = currentTime;
+        // Measured in simulation step time so that trails look the same at any frame rate
+        if (this.elapsedTime - this.lastTrailUpdateTime > RenderConstants.TRAIL_UPDATE_INTERVAL) {
+            this.lastTrailUpdateTime = this.elapsedTime;
             return true;
         }
         return false;
     }
     
     /**
-     * Calculate gravity from the sun
-     * @param {number} planetIndex - Planet index
-     * @param {Array<number>} ax - Array of X-direction accelerations
-     * @param {Array<number>} ay - Array of Y-direction accelerations
+     * Get the frame of reference of the trails in a state
+     * @param {SimulationState} state - Body state
+     * @returns {Object} Center { x, y, z } and rotation about the Z axis (angle) of the frame,
+     *     with a key that changes when the frame is measured from another body
      */
-    calculateSunGravity(planetIndex, ax, ay) {
-        // Calculate gravity from the sun (sun is at origin (0,0))
-        const planet = this.planets[planetIndex];
-        const dx = -planet.x;
-        const dy = -planet.y;
-        const r2 = dx*dx + dy*dy;
-        const r = Math.sqrt(r2);
+    computeTrailFrame(state) {
+        if (this.trailFrame === 'inertial') {
+            return { key: 'inertial', x: 0, y: 0, z: 0, angle: 0 };
+        }
         
-        // Law of universal gravitation: F = G * m1 * m2 / r^2
-        const force = PhysicsConstants.G * PlanetConstants.MASS * SunConstants.MASS / (r * r * this.distanceScaleSquared);
+        const center = state.getCenterOfMass();
+        let index = typeof this.trailReference === 'number' ? state.indexOf(this.trailReference) : -1;
         
-        // Acceleration: a = F / m
-        const accelX = force * dx / (r * PlanetConstants.MASS);
-        const accelY = force * dy / (r * PlanetConstants.MASS);
+        // Co-moving: centered on the followed body, or on the center of mass if no body is followed
+        if (this.trailFrame === 'coMoving') {
+            if (index < 0) {
+                return { key: 'coMoving/centerOfMass', x: center.x, y: center.y, z: center.z, angle: 0 };
+            }
+            return { key: `coMoving/${state.id[index]}`, x: state.x[index], y: state.y[index], z: state.z[index], angle: 0 };
+        }
         
-        ax[planetIndex] += accelX;
-        ay[planetIndex] += accelY;
+        // Rotating: about the center of mass, turning with the followed body, or with the most massive planet
+        // if no body is followed (e.g. Jupiter, showing the Trojans in place around its L4 and L5 points)
+        if (index < 0) {
+            for (let i = 0; i < state.count; i++) {
+                if (state.kind[i] === BodyKind.PLANET && (index < 0 || state.mass[i] > state.mass[index])) {
+                    index = i;
+                }
+            }
+        }
+        if (index < 0) {
+            return { key: 'rotating', x: center.x, y: center.y, z: center.z, angle: 0 };
+        }
+        return {
+            key: `rotating/${state.id[index]}`,
+            x: center.x,
+            y: center.y,
+            z: center.z,
+            angle: Math.atan2(state.y[index] - center.y, state.x[index] - center.x)
+        };
     }
     
     /**
-     * Calculate gravity between planets
-     * @param {Array<number>} ax - Array of X-direction accelerations
-     * @param {Array<number>} ay - Array of Y-direction accelerations
+     * Move the trails with their frame of reference and set their time (the trails start over when the frame changes)
+     * @param {SimulationState} state - State shown
+     * @param {number} time - Simulation step time of the state
+     * @param {boolean} addPoints - Whether to add the current positions to the trails
      */
-    calculatePlanetGravity(ax, ay) {
-        // Calculate gravity between planets (skip calculations between distant planets to reduce processing load)
-        for (let i = 0; i < this.planets.length; i++) {
-            for (let j = i + 1; j < this.planets.length; j++) {
-                // Calculate distance between planets
-                const dx = this.planets[j].x - this.planets[i].x;
-                const dy = this.planets[j].y - this.planets[i].y;
-                const r2 = dx*dx + dy*dy;
-                
-                // Skip calculation if distance is too far (to reduce processing load)
-                const maxDistanceSquared = PhysicsConstants.MAX_FORCE_DISTANCE * PhysicsConstants.MAX_FORCE_DISTANCE;
-                if (r2 > maxDistanceSquared) {
-                    continue;
-                }
-                
-                // Apply minimum distance (to prevent collisions)
-                const minDistanceSquared = PhysicsConstants.MIN_DISTANCE * PhysicsConstants.MIN_DISTANCE;
-                const effectiveR2 = r2 < minDistanceSquared ? minDistanceSquared : r2;
-                
-                const r = Math.sqrt(effectiveR2);
-                
-                // Law of universal gravitation: F = G * m1 * m2 / r^2
-                const force = PhysicsConstants.G * PlanetConstants.MASS * PlanetConstants.MASS / (r * r * this.distanceScaleSquared);
-                
-                // Acceleration: a = F / m
-                const accelX = force * dx / (r * PlanetConstants.MASS);
-                const accelY = force * dy / (r * PlanetConstants.MASS);
-                
-                // Acceleration of planet i
-                ax[i] += accelX;
-                ay[i] += accelY;
-                
-                // Acceleration of planet j (opposite direction)
-                ax[j] -= accelX;
-                ay[j] -= accelY;
+    updateTrails(state, time, addPoints) {
+        const frame = this.computeTrailFrame(state);
+        const frameChanged = frame.key !== this.trailFrameKey;
+        this.trailFrameKey = frame.key;
+        const maxAge = this.trailMode === 'timed' ? this.trailTimeLimit : Infinity;
+        
+        this.trailRenderer.setFrame(frame);
+        this.trailRenderer.setTime(time, maxAge, this.trailFade);
+        if (addPoints) {
+            this.trailRenderer.startRow();
+        }
+        
+        for (const planet of this.planets) {
+            const trail = planet.trail;
+            if (frameChanged) {
+                trail.clear();
+            }
+            
+            // Planets that wrapped around the periodic domain start a new trail instead of drawing one across it
+            const last = trail.getLatest();
+            if (this.boundaryPolicy === 'wrap' && last &&
+                (Math.abs(planet.x - last.x) > this.boundaryRadius || Math.abs(planet.y - last.y) > this.boundaryRadius)) {
+                trail.clear();
+            }
+            
+            if (addPoints) {
+                planet.updateTrail(time);
             }
         }
     }
     
     /**
-     * Update physics simulation
-     * @returns {boolean} Whether trail positions were updated
+     * Redraw the trails of the state shown after a trail setting changed
      */
-    update() {
-        // Determine whether trail positions should be updated
-        const shouldUpdateTrailPositions = this.shouldUpdateTrails();
-        
-        // Check if collision effect has expired
-        if (this.collisionEffectActive) {
-            const currentTime = Date.now();
-            if (currentTime - this.collisionEffectStartTime > CollisionConstants.COLLISION_EFFECT_DURATION) {
-                this.collisionEffectActive = false;
-                
-                // Remove collision effect mesh if it exists
-                if (this.collisionEffectMesh) {
-                    this.scene.remove(this.collisionEffectMesh);
-                    this.collisionEffectMesh = null;
-                }
+    refreshTrails() {
+        const time = this.isReplaying() ? this.recorder.getElapsedTime(this.replayFrame) : this.elapsedTime;
+        this.updateTrails(this.getState(), time, false);
+    }
+    
+    /**
+     * Choose how trails are kept
+     * @param {string} mode - Key of TrailModes (the whole trail, or only the points younger than the time limit)
+     */
+    setTrailMode(mode) {
+        this.trailMode = mode;
+        this.refreshTrails();
+    }
+    
+    /**
+     * Get how trails are kept
+     * @returns {string} Key of TrailModes
+     */
+    getTrailMode() {
+        return this.trailMode;
+    }
+    
+    /**
+     * Choose the frame of reference the trails are drawn in (the trails start over)
+     * @param {string} frame - Key of TrailFrames
+     */
+    setTrailFrame(frame) {
+        this.trailFrame = frame;
+        this.refreshTrails();
+    }
+    
+    /**
+     * Get the frame of reference the trails are drawn in
+     * @returns {string} Key of TrailFrames
+     */
+    getTrailFrame() {
+        return this.trailFrame;
+    }
+    
+    /**
+     * Set what the co-moving and rotating frames go with (called every frame with the target the view follows)
+     * @param {number|string|null} reference - Body ID, 'centerOfMass', or null
+     */
+    setTrailReference(reference) {
+        if (reference === this.trailReference) return;
+        this.trailReference = reference;
+        this.refreshTrails();
+    }
+    
+    /**
+     * Set the maximum number of points per trail (the trails are rebuilt from the recording)
+     * @param {number} length - Number of points
+     */
+    setTrailLength(length) {
+        this.trailLength = length;
+        this.trailRenderer.setLength(length);
+        this.restoreTrails(this.isReplaying() ? this.replayFrame : this.recorder.getFrameCount() - 1);
+    }
+    
+    /**
+     * Get the maximum number of points per trail
+     * @returns {number} Number of points
+     */
+    getTrailLength() {
+        return this.trailLength;
+    }
+    
+    /**
+     * Set the age beyond which points are hidden in the time-limited mode
+     * @param {number} timeLimit - Milliseconds of simulation step time
+     */
+    setTrailTimeLimit(timeLimit) {
+        this.trailTimeLimit = timeLimit;
+        this.refreshTrails();
+    }
+    
+    /**
+     * Get the age beyond which points are hidden in the time-limited mode
+     * @returns {number} Milliseconds of simulation step time
+     */
+    getTrailTimeLimit() {
+        return this.trailTimeLimit;
+    }
+    
+    /**
+     * Choose whether trails fade out toward their oldest point (or the time limit)
+     * @param {boolean} fade - true to fade
+     */
+    setTrailFade(fade) {
+        this.trailFade = fade;
+        this.refreshTrails();
+    }
+    
+    /**
+     * Check whether trails fade out
+     * @returns {boolean} true if trails fade
+     */
+    isTrailFading() {
+        return this.trailFade;
+    }
+    
+    /**
+     * Select how the bodies are drawn
+     * @param {string} viewMode - Key of ViewModes
+     */
+    setViewMode(viewMode) {
+        this.viewMode = viewMode;
+        this.planetRenderer.setViewMode(viewMode);
+    }
+    
+    /**
+     * Get how the bodies are drawn
+     * @returns {string} Key of ViewModes
+     */
+    getViewMode() {
+        return this.viewMode;
+    }
+    
+    /**
+     * Select the gravity solver
+     * @param {string} solver - 'direct' (exact pair summation) or 'barnesHut' (tree approximation)
+     */
+    setGravitySolver(solver) {
+        this.gravitySolver = solver;
+        this.post({ type: 'setGravitySolver', solver });
+    }
+    
+    /**
+     * Get the gravity solver
+     * @returns {string} 'direct' or 'barnesHut'
+     */
+    getGravitySolver() {
+        return this.gravitySolver;
+    }
+    
+    /**
+     * Set the Barnes-Hut opening angle
+     * @param {number} openingAngle - Cell size / distance ratio below which a cell is approximated (smaller is more accurate)
+     */
+    setOpeningAngle(openingAngle) {
+        this.openingAngle = openingAngle;
+        this.post({ type: 'setOpeningAngle', openingAngle });
+    }
+    
+    /**
+     * Get the Barnes-Hut opening angle
+     * @returns {number} Opening angle
+     */
+    getOpeningAngle() {
+        return this.openingAngle;
+    }
+    
+    /**
+     * Select the numerical integrator
+     * @param {string} id - Integrator ID (key of Integrators)
+     */
+    setIntegrator(id) {
+        this.integratorId = id;
+        this.post({ type: 'setIntegrator', id });
+    }
+    
+    /**
+     * Get the numerical integrator
+     * @returns {string} Integrator ID (key of Integrators)
+     */
+    getIntegrator() {
+        return this.integratorId;
+    }
+    
+    /**
+     * Select the collision policy
+     * @param {string} policy - Key of CollisionPolicies
+     */
+    setCollisionPolicy(policy) {
+        this.collisionPolicy = policy;
+        this.post({ type: 'setCollisionPolicy', policy });
+    }
+    
+    /**
+     * Get the collision policy
+     * @returns {string} Key of CollisionPolicies
+     */
+    getCollisionPolicy() {
+        return this.collisionPolicy;
+    }
+    
+    /**
+     * Select what happens to bodies far from the system
+     * @param {string} policy - Key of BoundaryPolicies
+     */
+    setBoundaryPolicy(policy) {
+        this.boundaryPolicy = policy;
+        this.post({ type: 'setBoundaryPolicy', policy });
+    }
+    
+    /**
+     * Get the boundary policy
+     * @returns {string} Key of BoundaryPolicies
+     */
+    getBoundaryPolicy() {
+        return this.boundaryPolicy;
+    }
+    
+    /**
+     * Set the size of the boundary
+     * @param {number} radius - Escape radius, or half the side of the periodic domain, in world units
+     */
+    setBoundaryRadius(radius) {
+        this.boundaryRadius = radius;
+        this.post({ type: 'setBoundaryRadius', radius });
+    }
+    
+    /**
+     * Get the size of the boundary
+     * @returns {number} Escape radius, or half the side of the periodic domain, in world units
+     */
+    getBoundaryRadius() {
+        return this.boundaryRadius;
+    }
+    
+    /**
+     * Get the side of the periodic domain
+     * @returns {number} Side in world units (0 unless the boundary wraps)
+     */
+    getBoundaryPeriod() {
+        return this.boundaryPolicy === 'wrap' ? 2 * this.boundaryRadius : 0;
+    }
+    
+    /**
+     * Set the simulated time per step
+     * @param {number} timeScale - Simulated time per step
+     */
+    setTimeScale(timeScale) {
+        this.timeScale = timeScale;
+        this.post({ type: 'setTimeScale', timeScale });
+    }
+    
+    /**
+     * Get the simulated time per step
+     * @returns {number} Simulated time per step
+     */
+    getTimeScale() {
+        return this.timeScale;
+    }
+    
+    /**
+     * Write every body shown (with its trail) and the simulation settings as a snapshot
+     * @returns {Object} Snapshot that can be written as JSON (see Snapshot.js)
+     */
+    serialize() {
+        // Trails drawn in a moving frame have no fixed place in space and are left out
+        const trails = new Map();
+        if (this.trailFrame === 'inertial') {
+            for (const planet of this.planets) {
+                trails.set(planet.id, planet.trail.getPoints(TrailConstants.SAVED_LENGTH));
             }
         }
         
-        // Early return if there are no planets
-        if (this.planets.length === 0) {
-            return shouldUpdateTrailPositions;
-        }
+        const replaying = this.isReplaying();
+        return createSnapshot(replaying ? this.replayState : this.state, Object.assign(this.getSettings(), {
+            elapsedTime: replaying ? this.recorder.getElapsedTime(this.replayFrame) : this.elapsedTime,
+            simulatedTime: this.getSimulatedTime()
+        }), trails, this.names);
+    }
+    
+    /**
+     * Get the settings of the live simulation, as stored in snapshots
+     * @returns {Object} { integrator, gravitySolver, openingAngle, collisionPolicy, boundaryPolicy, boundaryRadius, timeScale, elapsedTime, simulatedTime }
+     */
+    getSettings() {
+        return {
+            integrator: this.integratorId,
+            gravitySolver: this.gravitySolver,
+            openingAngle: this.openingAngle,
+            collisionPolicy: this.collisionPolicy,
+            boundaryPolicy: this.boundaryPolicy,
+            boundaryRadius: this.boundaryRadius,
+            timeScale: this.timeScale,
+            elapsedTime: this.elapsedTime,
+            simulatedTime: this.simulatedTime
+        };
+    }
+    
+    /**
+     * Replace every body and the simulation settings with those of a snapshot (the recording starts over)
+     * @param {Object} data - Snapshot as parsed from JSON
+     * @throws {Error} If the snapshot is invalid (nothing is changed in that case)
+     */
+    deserialize(data) {
+        const snapshot = readSnapshot(data);
         
-        // Initialize acceleration for each planet
-        const accelerationX = new Array(this.planets.length).fill(0);
-        const accelerationY = new Array(this.planets.length).fill(0);
+        this.recorder.clear();
+        this.load(snapshot, data);
+    }
+    
+    /**
+     * Load a validated snapshot into the simulation
+     * @param {Object} snapshot - Snapshot as returned by readSnapshot()
+     * @param {Object} data - Snapshot as passed to the simulation
+     */
+    load(snapshot, data) {
+        this.replayFrame = null;
+        this.replayState = null;
         
-        // Apply gravity from the sun to each planet
-        for (let i = 0; i < this.planets.length; i++) {
-            this.calculateSunGravity(i, accelerationX, accelerationY);
+        // Views are rebuilt from the loaded state, which arrives with the new generation
+        for (const view of this.views.values()) {
+            view.remove();
         }
+        this.views.clear();
+        this.stars.length = 0;
+        this.planets.length = 0;
+        this.planetRenderer.update(this.planets);
+        this.names = new Map(snapshot.bodies
+            .filter(body => body.name)
+            .map(body => [body.id, body.name]));
+        this.namesVersion++;
         
-        // Calculate gravity between planets
-        this.calculatePlanetGravity(accelerationX, accelerationY);
+        // Saved trail points are taken to be one trail update apart, ending at the time of the snapshot
+        this.pendingTrails = new Map(snapshot.bodies
+            .filter(body => body.kind === BodyKind.PLANET && body.trail.length > 0 && this.trailFrame === 'inertial')
+            .map(body => [body.id, body.trail.map((point, i) => ({
+                ...point,
+                time: snapshot.elapsedTime - i * TRAIL_POINT_SPACING
+            }))]));
         
-        // Update velocity and position of each planet
-        for (let i = 0; i < this.planets.length; i++) {
-            this.planets[i].update(accelerationX[i], accelerationY[i], shouldUpdateTrailPositions);
-        }
+        this.integratorId = snapshot.integrator;
+        this.gravitySolver = snapshot.gravitySolver;
+        this.openingAngle = snapshot.openingAngle;
+        this.collisionPolicy = snapshot.collisionPolicy;
+        this.boundaryPolicy = snapshot.boundaryPolicy;
+        this.boundaryRadius = snapshot.boundaryRadius;
+        this.timeScale = snapshot.timeScale;
+        this.elapsedTime = snapshot.elapsedTime;
+        this.simulatedTime = snapshot.simulatedTime;
+        this.lastTrailUpdateTime = snapshot.elapsedTime;
         
-        return shouldUpdateTrailPositions;
+        this.generation++;
+        this.post({ type: 'load', snapshot: data, generation: this.generation });
     }
     
     /**
-     * Remove planets that are off-screen
-     * @param {number} maxX - Maximum X coordinate of the screen
+     * Request fixed simulation steps (called once per frame)
+     * @param {number} steps - Number of steps due this frame
+     * @param {number} maxX - Maximum X coordinate of the screen (used by the boundary policies)
      * @param {number} maxY - Maximum Y coordinate of the screen
+     * @returns {boolean} Whether a new state arrived since the previous call
+     */
+    update(steps, maxX, maxY) {
+        if (this.paused) {
+            // Time is stopped: only single steps (see stepOnce()) are run
+        } else if (this.isReplaying()) {
+            // Play the recording back (the live simulation waits at the newest frame)
+            this.pendingSteps = 0;
+            this.advanceReplay(steps);
+        } else {
+            // The speed sets the number of steps per tick (below 1, a step every few ticks), never the time step,
+            // so that the trajectory is the same at any speed
+            const stepRate = this.speed;
+            this.stepFraction += steps * stepRate;
+            const dueSteps = Math.floor(this.stepFraction);
+            this.stepFraction -= dueSteps;
+            
+            // Steps the simulation could not keep up with are dropped, like frames the clock skips
+            this.pendingSteps = Math.min(this.pendingSteps + dueSteps, Math.ceil(PhysicsConstants.MAX_STEPS_PER_FRAME * stepRate));
+        }
+        
+        // Send the pending steps unless the previous request is still being processed
+        if ((this.pendingSteps > 0 || this.stateRequested) && !this.stepInFlight) {
+            const buffer = this.spareBuffer;
+            this.spareBuffer = null;
+            this.stepInFlight = true;
+            this.post({ type: 'step', steps: this.pendingSteps, maxX, maxY, buffer }, buffer ? [buffer] : []);
+            this.pendingSteps = 0;
+            this.stateRequested = false;
+        }
+        
+        const stateUpdated = this.stateUpdated;
+        this.stateUpdated = false;
+        return stateUpdated;
+    }
+    
+    /**
+     * Handle a message from the simulation
+     * @param {Object} message - Message ({ type: 'state', ... })
      */
-    removeOutOfBoundsPlanets(maxX, maxY) {
-        // Early return if there are no planets
-        if (this.planets.length === 0) {
+    onSimulationMessage(message) {
+        if (message.type !== 'state') return;
+        
+        if (message.command === 'step') {
+            this.stepInFlight = false;
+        }
+        
+        // A state from before the last load is only good for its buffer
+        if (message.generation !== this.generation) {
+            this.spareBuffer = message.buffer;
             return;
         }
         
-        // Remove planets that are off-screen or have collided with the sun
-        // Process from the end to prevent index shifting due to removal
-        for (let i = this.planets.length - 1; i >= 0; i--) {
-            const planet = this.planets[i];
-            
-            // Remove planets that are off-screen
-            if (planet.isOutOfBounds(maxX, maxY)) {
-                planet.remove();
-                this.planets.splice(i, 1);
+        // The previous snapshot is no longer needed and goes back for reuse
+        if (this.state.buffer.byteLength > 0) {
+            this.spareBuffer = this.state.buffer;
+        }
+        
+        this.state = SimulationState.fromSnapshot(message.buffer, message.count);
+        this.elapsedTime = message.elapsedTime;
+        this.simulatedTime = message.simulatedTime;
+        this.stepCount = message.stepCount;
+        this.bodiesVersion = message.bodiesVersion;
+        this.diagnostics = message.diagnostics;
+        const frameCount = this.recorder.getFrameCount();
+        const recorded = this.recorder.record(this.state, this.elapsedTime, this.simulatedTime, this.bodiesVersion);
+        
+        // While a recorded moment is shown, the live state is only recorded
+        // (frames dropped to make room shift the frame numbers)
+        if (this.isReplaying()) {
+            const droppedFrames = frameCount + (recorded ? 1 : 0) - this.recorder.getFrameCount();
+            this.replayFrame = Math.max(this.replayFrame - droppedFrames, 0);
+            return;
+        }
+        
+        this.syncViews(this.state);
+        
+        // A planet moved by hand does not draw a trail across the jump
+        for (const id of this.movedIds) {
+            const view = this.views.get(id);
+            if (view && view.trail) {
+                view.trail.clear();
             }
-            // Remove planets that have collided with the sun and play sound effect
-            else if (planet.isCollidedWithSun()) {
-                // Record collision position and display effect
-                this.collisionEffectActive = true;
-                this.collisionEffectX = planet.x;
-                this.collisionEffectY = planet.y;
-                this.collisionEffectStartTime = Date.now();
+        }
+        this.movedIds.clear();
+        
+        // Effects and sound for collisions
+        for (const event of message.events) {
+            this.showImpactEffects(event);
+        }
+        this.playImpactSounds(message.events);
+        
+        // Move the trails with their frame, and add the current positions (at regular intervals)
+        this.updateTrails(this.state, this.elapsedTime, this.shouldUpdateTrails());
+        
+        this.stateUpdated = true;
+    }
+    
+    /**
+     * Create, update and remove star and planet views to match a state
+     * @param {SimulationState} state - State to show (the latest one, or a recorded one)
+     */
+    syncViews(state) {
+        const syncCount = ++this.syncCount;
+        
+        this.stars.length = 0;
+        this.planets.length = 0;
+        
+        for (let i = 0; i < state.count; i++) {
+            const id = state.id[i];
+            let view = this.views.get(id);
+            
+            // Create a view for a body seen for the first time
+            if (!view) {
+                const body = state.get(i);
+                view = body.kind === BodyKind.STAR ? new Sun(this.scene, body) : new Planet(this.scene, body, this.trailRenderer);
+                this.views.set(id, view);
                 
-                // Create collision effect mesh
-                if (this.collisionEffectMesh) {
-                    this.scene.remove(this.collisionEffectMesh);
+                // Restore the trail saved with a loaded body
+                if (this.pendingTrails.has(id)) {
+                    view.setTrail(this.pendingTrails.get(id));
+                    this.pendingTrails.delete(id);
                 }
-                
-                const effectGeometry = new THREE.CircleGeometry(CollisionConstants.COLLISION_EFFECT_RADIUS, 32);
-                const effectMaterial = new THREE.MeshBasicMaterial({
-                    color: CollisionConstants.COLLISION_EFFECT_COLOR
-                });
-                this.collisionEffectMesh = new THREE.Mesh(effectGeometry, effectMaterial);
-                this.collisionEffectMesh.position.set(this.collisionEffectX, this.collisionEffectY, 0);
-                this.scene.add(this.collisionEffectMesh);
-                
-                // Play sound for sun collision
-                this.audioManager.playSound('sunCollision');
-                
-                // Remove planet
-                planet.remove();
-                this.planets.splice(i, 1);
             }
+            
+            view.sync(state, i);
+            view.syncCount = syncCount;
+            (state.kind[i] === BodyKind.STAR ? this.stars : this.planets).push(view);
+        }
+        
+        // Remove views of bodies that no longer exist
+        for (const [id, view] of this.views) {
+            if (view.syncCount !== syncCount) {
+                view.remove();
+                this.views.delete(id);
+            }
+        }
+        
+        this.planetRenderer.update(this.planets);
+    }
+    
+    /**
+     * Stop or restart time (while stopped, nothing is stepped or played back)
+     * @param {boolean} paused - true to stop time
+     */
+    setPaused(paused) {
+        this.paused = paused;
+        if (paused) {
+            this.pendingSteps = 0;
+        }
+    }
+    
+    /**
+     * Check if time is stopped
+     * @returns {boolean} true if paused
+     */
+    isPaused() {
+        return this.paused;
+    }
+    
+    /**
+     * Stop time and advance by a single step (or recorded frame) in the current direction
+     */
+    stepOnce() {
+        this.setPaused(true);
+        
+        if (this.isReplaying()) {
+            this.seek(this.replayFrame + (this.reversed ? -1 : 1));
+        } else {
+            this.pendingSteps++;
+        }
+    }
+    
+    /**
+     * Set the speed multiplier
+     * @param {number} speed - Multiplier on the number of steps run per second (the time step stays the same)
+     */
+    setSpeed(speed) {
+        this.speed = speed;
+    }
+    
+    /**
+     * Get the speed multiplier
+     * @returns {number} Multiplier
+     */
+    getSpeed() {
+        return this.speed;
+    }
+    
+    /**
+     * Run time forward or backward (the simulation integrates with a negative time step, and the recording plays back in reverse)
+     * @param {boolean} reversed - true to run time backward
+     */
+    setReversed(reversed) {
+        this.reversed = reversed;
+        this.post({ type: 'setTimeFactor', timeFactor: reversed ? -1 : 1 });
+    }
+    
+    /**
+     * Check if time runs backward
+     * @returns {boolean} true if reversed
+     */
+    isReversed() {
+        return this.reversed;
+    }
+    
+    /**
+     * Get the simulated time of the state shown
+     * @returns {number} Simulated time (see TimeConstants.YEAR for its relation to years)
+     */
+    getSimulatedTime() {
+        return this.isReplaying() ? this.recorder.getSimulatedTime(this.replayFrame) : this.simulatedTime;
+    }
+    
+    /**
+     * Check if a recorded moment is shown instead of the live state
+     * @returns {boolean} true while scrubbing or playing back the recording
+     */
+    isReplaying() {
+        return this.replayFrame !== null;
+    }
+    
+    /**
+     * Get the number of recorded frames
+     * @returns {number} Number of frames
+     */
+    getReplayFrameCount() {
+        return this.recorder.getFrameCount();
+    }
+    
+    /**
+     * Get the recorded frame being shown
+     * @returns {number} Frame number (0 is the oldest; the newest one while showing the live state)
+     */
+    getReplayFrame() {
+        return this.isReplaying() ? this.replayFrame : this.recorder.getFrameCount() - 1;
+    }
+    
+    /**
+     * Get the simulation step time of a recorded frame
+     * @param {number} frame - Frame number (0 is the oldest)
+     * @returns {number} Elapsed time
+     */
+    getReplayElapsedTime(frame) {
+        return this.recorder.getElapsedTime(frame);
+    }
+    
+    /**
+     * Show a recorded frame (the newest one returns to the live state)
+     * @param {number} frame - Frame number (0 is the oldest)
+     */
+    seek(frame) {
+        const frameCount = this.recorder.getFrameCount();
+        if (frameCount === 0) return;
+        
+        frame = Math.max(0, Math.min(Math.round(frame), frameCount - 1));
+        if (frame === frameCount - 1) {
+            this.showLive();
+        } else {
+            this.showFrame(frame);
+            this.replayTime = this.recorder.getElapsedTime(frame);
+        }
+    }
+    
+    /**
+     * Discard the recording after the frame being shown and continue the simulation from it
+     */
+    branch() {
+        if (!this.isReplaying()) return;
+        
+        // The load reply records the branching frame again as the newest one
+        const data = this.serialize();
+        this.recorder.truncate(this.replayFrame);
+        this.load(readSnapshot(data), data);
+    }
+    
+    /**
+     * Play the recording by a number of steps' worth of time at the current speed and direction
+     * @param {number} steps - Number of steps
+     */
+    advanceReplay(steps) {
+        if (steps === 0) return;
+        
+        const direction = this.reversed ? -1 : 1;
+        this.replayTime += steps * PhysicsConstants.STEP_INTERVAL * this.speed * direction;
+        
+        // Show the last frame recorded by then (the live state once the recording runs out)
+        const frameCount = this.recorder.getFrameCount();
+        let frame = this.replayFrame;
+        while (frame + 1 < frameCount && this.recorder.getElapsedTime(frame + 1) <= this.replayTime) {
+            frame++;
+        }
+        while (frame > 0 && this.recorder.getElapsedTime(frame) > this.replayTime) {
+            frame--;
+        }
+        
+        // Playing backward stops at the oldest frame
+        this.replayTime = Math.max(this.replayTime, this.recorder.getElapsedTime(0));
+        
+        if (frame === frameCount - 1) {
+            this.showLive();
+        } else if (frame !== this.replayFrame) {
+            this.showFrame(frame);
         }
     }
     
+    /**
+     * Show a recorded frame, with trails rebuilt from the frames before it
+     * @param {number} frame - Frame number (0 is the oldest)
+     */
+    showFrame(frame) {
+        this.replayFrame = frame;
+        this.replayState = this.recorder.getState(frame);
+        this.syncViews(this.replayState);
+        this.restoreTrails(frame);
+        this.stateUpdated = true;
+    }
+    
+    /**
+     * Return from a recorded frame to the live state
+     */
+    showLive() {
+        this.replayFrame = null;
+        this.replayState = null;
+        this.syncViews(this.state);
+        this.restoreTrails(this.recorder.getFrameCount() - 1);
+        this.stateUpdated = true;
+    }
+    
+    /**
+     * Replace the planet trails with the positions recorded up to a frame
+     * (in a moving frame of reference the trails start over instead)
+     * @param {number} frame - Frame number (0 is the oldest)
+     */
+    restoreTrails(frame) {
+        if (frame < 0) return;
+        
+        const trails = this.trailFrame === 'inertial'
+            ? this.recorder.getTrails(frame, this.trailLength, RenderConstants.TRAIL_UPDATE_INTERVAL)
+            : new Map();
+        for (const planet of this.planets) {
+            planet.setTrail(trails.get(planet.id) || []);
+        }
+        this.updateTrails(this.getState(), this.recorder.getElapsedTime(frame), false);
+    }
+    
+    /**
+     * Show the effects of a collision or star impact (they run alongside those of earlier impacts)
+     * @param {Object} event - Collision or star impact event (see Simulation.takeEvents())
+     */
+    showImpactEffects(event) {
+        // A star impact rings in the star's color and makes the star flare
+        const star = event.type === 'starImpact' ? this.views.get(event.starId) : null;
+        const ringColor = star ? star.color : EffectConstants.RING_COLOR;
+        
+        // Debris moves on screen as the impactor did at the normal speed, in the current direction (the time step does
+        // not change with the speed, and faster speeds would send the debris off the screen at once)
+        const velocityScale = this.timeScale * (this.reversed ? -1 : 1) * 1000 / PhysicsConstants.STEP_INTERVAL;
+        
+        const intensity = this.effects.addImpact(event, ringColor, velocityScale);
+        if (star) {
+            star.flare(intensity);
+        }
+    }
+    
+    /**
+     * Play the sounds of the collisions and star impacts of a state: one sound per kind of event,
+     * louder with the total energy of the impacts (so that a burst of collisions does not start a sound for each)
+     * @param {Array<Object>} events - Collision and star impact events (see Simulation.takeEvents())
+     */
+    playImpactSounds(events) {
+        const energies = new Map();
+        for (const event of events) {
+            const preset = event.type === 'starImpact' ? 'sunCollision' : 'planetCollision';
+            energies.set(preset, (energies.get(preset) || 0) + event.energy);
+        }
+        for (const [preset, energy] of energies) {
+            this.audioManager.playSound(preset, EffectRenderer.intensityOf(energy));
+        }
+    }
+    
+    /**
+     * Advance the impact effects (called once per frame)
+     * @param {number} time - Time in seconds
+     * @param {THREE.Camera} camera - Camera showing the view
+     */
+    updateEffects(time, camera) {
+        this.effects.update(time, camera);
+    }
+    
+    /**
+     * Get the latest diagnostics
+     * @returns {Object} Diagnostics results (as returned by Diagnostics.getSummary()), or null before the first step
+     */
+    getDiagnostics() {
+        return this.diagnostics;
+    }
+    
     /**
      * Get the number of planets
      * @returns {number} Number of planets
@@ -233,35 +1126,63 @@ class PhysicsEngine {
     }
     
     /**
-     * Get the collection of planets
-     * @returns {Array<Planet>} Collection of planets
+     * Get the version of the set of bodies
+     * @returns {number} Number that changes whenever bodies are added, removed or edited
      */
-    getPlanets() {
-        return this.planets;
+    getBodiesVersion() {
+        return this.bodiesVersion;
+    }
+    
+    /**
+     * Get the view of a body
+     * @param {number} id - Body ID
+     * @returns {Sun|Planet|null} View of the body being shown, or null if it is not shown
+     */
+    getView(id) {
+        return this.views.get(id) || null;
     }
     
     /**
-     * Check if there is an active collision effect
-     * @returns {boolean} true if there is an active collision effect
+     * Get the body state being shown
+     * @returns {SimulationState} Latest state, or the recorded one shown during replay
      */
-    hasActiveCollisionEffect() {
-        return this.collisionEffectActive;
+    getState() {
+        return this.isReplaying() ? this.replayState : this.state;
     }
     
     /**
-     * Get X coordinate of collision effect
-     * @returns {number} X coordinate of collision effect
+     * Get the mesh drawing the planets (instance i is the planet at index i of getPlanets())
+     * @returns {THREE.InstancedMesh} Planet mesh
      */
-    getCollisionEffectX() {
-        return this.collisionEffectX;
+    getPlanetMesh() {
+        return this.planetRenderer.getMesh();
+    }
+    
+    /**
+     * Get the collection of stars
+     * @returns {Array<Sun>} Collection of stars
+     */
+    getStars() {
+        return this.stars;
+    }
+    
+    /**
+     * Get the collection of planets
+     * @returns {Array<Planet>} Collection of planets
+     */
+    getPlanets() {
+        return this.planets;
     }
     
     /**
-     * Get Y coordinate of collision effect
-     * @returns {number} Y coordinate of collision effect
+     * Get the number of shockwave rings and debris particles still shown
+     * @returns {number} Number of living rings and particles
      */
-    getCollisionEffectY() {
-        return this.collisionEffectY;
+    getActiveEffectCount() {
+        return this.effects.getActiveCount();
     }
     
 }
+
+// Simulation step time between trail points (trails are updated on the first step after the update interval)
+const TRAIL_POINT_SPACING = (Math.floor(RenderConstants.TRAIL_UPDATE_INTERVAL / PhysicsConstants.STEP_INTERVAL) + 1) * PhysicsConstants.STEP_INTERVAL;
@@ -0,0 +1,10 @@
+/**
+ * Physics Worker
+ * Steps the simulation off the main thread and posts the body state back to the renderer
+ */
+
+import { SimulationHost } from './SimulationHost.js';
+
+const host = new SimulationHost((message, transfer) => self.postMessage(message, transfer));
+
+self.addEventListener('message', event => host.handle(event.data));
@@ -1,167 +1,118 @@
+import { Trail } from './Trail.js';
+
 /**
  * Planet Class
- * Manages physical properties and rendering information of planets
+ * Mirrors the latest state of a planet of the simulation and draws its trail
+ * (the planets themselves are drawn together by PlanetRenderer)
  */
-class Planet {
+export class Planet {
     /**
      * Constructor
      * @param {THREE.Scene} scene - Three.js scene
-     * @param {number} x - Initial X coordinate
-     * @param {number} y - Initial Y coordinate
-     * @param {number} vx - Initial X velocity
-     * @param {number} vy - Initial Y velocity
-     * @param {number} color - Planet color
+     * @param {Object} body - Body properties from the simulation state (id, x, y, z, vx, vy, vz, mass, density, radius, color, pinned)
+     * @param {TrailRenderer} trailRenderer - Renderer drawing the trails
      */
-    constructor(scene, x, y, vx, vy, color) {
+    constructor(scene, body, trailRenderer) {
         this.scene = scene;
-        this.x = x;
-        this.y = y;
-        this.vx = vx;
-        this.vy = vy;
-        this.color = color;
-        
-        // Create planet geometry and material
-        this.geometry = new THREE.CircleGeometry(PlanetConstants.RADIUS, 16);
-        this.material = new THREE.MeshBasicMaterial({ 
-            color: this.color,
-            transparent: false,
-            opacity: 1.0
-        });
-        
-        // Create planet mesh
-        this.mesh = new THREE.Mesh(this.geometry, this.material);
-        this.mesh.position.set(this.x, this.y, 0);
-        this.scene.add(this.mesh);
-        
-        // Initialize trail (call after planet is created)
-        setTimeout(() => {
-            this.initTrail();
-        }, 0);
+        this.id = body.id;
+        this.x = body.x;
+        this.y = body.y;
+        this.z = body.z;
+        this.vx = body.vx;
+        this.vy = body.vy;
+        this.vz = body.vz;
+        this.color = body.color;
+        this.mass = body.mass;
+        this.density = body.density;
+        this.radius = body.radius;
+        this.pinned = body.pinned === 1;
+        
+        // Create the trail (empty until positions are added)
+        this.trail = new Trail(trailRenderer, this.color);
     }
     
     /**
-     * Initialize trail
+     * Replace the trail (e.g. with one restored from a snapshot)
+     * @param {Array<Object>} points - Trail points { x, y, z, time }, newest first
      */
-    initTrail() {
-        // Initialize trail positions
-        this.trailPositions = [];
-        for (let i = 0; i < PlanetConstants.TRAIL_LENGTH; i++) {
-            this.trailPositions.push({ x: this.x, y: this.y });
-        }
-        
-        // Create trail points
-        const points = [];
-        for (let i = 0; i < PlanetConstants.TRAIL_LENGTH; i++) {
-            points.push(new THREE.Vector3(this.x, this.y, 0));
-        }
-        
-        // Create trail geometry
-        this.trailGeometry = new THREE.BufferGeometry().setFromPoints(points);
-        
-        // Create trail material
-        this.trailMaterial = new THREE.LineBasicMaterial({
-            color: this.color,
-            transparent: true,
-            opacity: 0.5
-        });
-        
-        // Create trail line
-        this.trailLine = new THREE.Line(this.trailGeometry, this.trailMaterial);
-        this.scene.add(this.trailLine);
+    setTrail(points) {
+        this.trail.set(points);
     }
     
     /**
-     * Update trail geometry
+     * Update the planet from the simulation state
+     * @param {SimulationState} state - Body state
+     * @param {number} index - Index of this planet in the state
      */
-    updateTrailGeometry() {
-        // Create trail points
-        const points = [];
-        for (let i = 0; i < this.trailPositions.length; i++) {
-            const point = this.trailPositions[i];
-            points.push(new THREE.Vector3(point.x, point.y, 0));
+    sync(state, index) {
+        this.setMotion(state.x[index], state.y[index], state.z[index], state.vx[index], state.vy[index], state.vz[index]);
+        this.mass = state.mass[index];
+        this.density = state.density[index];
+        this.radius = state.radius[index];
+        this.pinned = state.pinned[index] === 1;
+        
+        // Merging and editing change the color
+        if (this.color !== state.color[index]) {
+            this.setColor(state.color[index]);
         }
-        
-        // Create new geometry
-        const newGeometry = new THREE.BufferGeometry().setFromPoints(points);
-        
-        // Dispose of old geometry
-        if (this.trailGeometry) {
-            this.trailGeometry.dispose();
-        }
-        
-        // Set new geometry
-        this.trailLine.geometry = newGeometry;
-        this.trailGeometry = newGeometry;
     }
     
     /**
-     * Update planet position
-     * @param {number} ax - X-direction acceleration
-     * @param {number} ay - Y-direction acceleration
-     * @param {boolean} updateTrails - Whether to update trails
+     * Set planet position and velocity
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @param {number} z - Z coordinate
+     * @param {number} vx - X velocity
+     * @param {number} vy - Y velocity
+     * @param {number} vz - Z velocity
      */
-    update(ax, ay, updateTrails) {
-        // Update velocity: v = v + a * dt
-        this.vx += ax * PhysicsConstants.TIME_SCALE;
-        this.vy += ay * PhysicsConstants.TIME_SCALE;
-        
-        // Update position: p = p + v * dt
-        this.x += this.vx * PhysicsConstants.TIME_SCALE;
-        this.y += this.vy * PhysicsConstants.TIME_SCALE;
-        
-        // Update mesh position
-        this.mesh.position.set(this.x, this.y, 0);
-        
-        // Update trail positions (at regular intervals)
-        if (updateTrails) {
-            // Shift old positions back
-            for (let j = PlanetConstants.TRAIL_LENGTH - 1; j > 0; j--) {
-                this.trailPositions[j] = this.trailPositions[j - 1];
-            }
-            
-            // Add latest position to the front
-            this.trailPositions[0] = { x: this.x, y: this.y };
-            
-            // Update trail geometry
-            this.updateTrailGeometry();
-        }
+    setMotion(x, y, z, vx, vy, vz) {
+        this.x = x;
+        this.y = y;
+        this.z = z;
+        this.vx = vx;
+        this.vy = vy;
+        this.vz = vz;
+    }
+    
+    /**
+     * Change planet color
+     * @param {number} color - New planet color
+     */
+    setColor(color) {
+        this.color = color;
+        this.trail.setColor(color);
     }
     
     /**
-     * Determine if planet is off-screen
-     * @param {number} maxX - Maximum X coordinate of the screen
-     * @param {number} maxY - Maximum Y coordinate of the screen
-     * @returns {boolean} true if off-screen
+     * Get planet mass
+     * @returns {number} Planet mass
      */
-    isOutOfBounds(maxX, maxY) {
-        return (Math.abs(this.x) > maxX || Math.abs(this.y) > maxY);
+    getMass() {
+        return this.mass;
     }
     
     /**
-     * Determine if planet has collided with the sun
-     * @returns {boolean} true if collided with the sun
+     * Get planet radius
+     * @returns {number} Planet radius
      */
-    isCollidedWithSun() {
-        // Collision occurs if distance from sun center is less than sun radius
-        const distanceSquared = this.x * this.x + this.y * this.y;
-        return (distanceSquared < SunConstants.RADIUS * SunConstants.RADIUS);
+    getRadius() {
+        return this.radius;
     }
     
     /**
-     * Remove planet
+     * Add the current position to the trail
+     * @param {number} time - Simulation step time of the position
+     */
+    updateTrail(time) {
+        this.trail.add(this.x, this.y, this.z, time);
+    }
+    
+    /**
+     * Remove planet (its instance disappears with the next update of the planet renderer, and its trail at once)
      */
     remove() {
-        // Remove mesh from scene
-        this.scene.remove(this.mesh);
-        
-        // Remove trail from scene
-        this.scene.remove(this.trailLine);
-        
-        // Dispose of geometry and material
-        this.geometry.dispose();
-        this.material.dispose();
-        this.trailGeometry.dispose();
-        this.trailMaterial.dispose();
+        this.trail.remove();
     }
     
     /**
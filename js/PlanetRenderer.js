@@ -0,0 +1,115 @@
+import { PlanetRendererConstants } from './Constants.js';
+
+/**
+ * Planet Renderer Class
+ * Draws every planet with a single instanced mesh: one unit disc (or sphere in 3D) scaled to each planet's radius
+ * and colored per instance, so that thousands of planets take one draw call
+ */
+export class PlanetRenderer {
+    /**
+     * Constructor
+     * @param {THREE.Scene} scene - Three.js scene
+     * @param {string} viewMode - Key of ViewModes (flat discs in the top view, lit spheres in 3D)
+     */
+    constructor(scene, viewMode = '2d') {
+        this.scene = scene;
+        this.viewMode = viewMode;
+        this.geometry = this.createGeometry();
+        this.material = this.createMaterial();
+        this.mesh = null;
+        this.allocate(PlanetRendererConstants.INITIAL_CAPACITY);
+        
+        // Reused for writing the instances
+        this.matrix = new THREE.Matrix4();
+        this.color = new THREE.Color();
+    }
+    
+    /**
+     * Create the geometry for the view mode
+     * @returns {THREE.BufferGeometry} Unit disc in the top view, unit sphere in 3D
+     */
+    createGeometry() {
+        if (this.viewMode === '3d') {
+            return new THREE.SphereGeometry(1, 16, 12);
+        }
+        return new THREE.CircleGeometry(1, 16);
+    }
+    
+    /**
+     * Create the material for the view mode (the instance colors multiply its white)
+     * @returns {THREE.Material} Unlit material in the top view, material lit by the stars in 3D
+     */
+    createMaterial() {
+        if (this.viewMode === '3d') {
+            return new THREE.MeshLambertMaterial({ color: 0xFFFFFF });
+        }
+        return new THREE.MeshBasicMaterial({ color: 0xFFFFFF });
+    }
+    
+    /**
+     * Replace the instanced mesh with one holding more instances (filled by the next update)
+     * @param {number} capacity - Number of instances
+     */
+    allocate(capacity) {
+        if (this.mesh) {
+            this.scene.remove(this.mesh);
+            this.mesh.dispose();
+        }
+        
+        this.capacity = capacity;
+        this.mesh = new THREE.InstancedMesh(this.geometry, this.material, capacity);
+        this.mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+        this.mesh.instanceColor = new THREE.InstancedBufferAttribute(new Float32Array(capacity * 3), 3).setUsage(THREE.DynamicDrawUsage);
+        this.mesh.count = 0;
+        this.mesh.frustumCulled = false; // The bounding sphere is the unit geometry's, not the instances'
+        this.scene.add(this.mesh);
+    }
+    
+    /**
+     * Switch between the flat look of the top view and the lit spheres of the 3D view
+     * @param {string} viewMode - Key of ViewModes
+     */
+    setViewMode(viewMode) {
+        if (viewMode === this.viewMode) return;
+        this.viewMode = viewMode;
+        
+        // Replace geometry and material
+        this.geometry.dispose();
+        this.material.dispose();
+        this.geometry = this.createGeometry();
+        this.material = this.createMaterial();
+        this.mesh.geometry = this.geometry;
+        this.mesh.material = this.material;
+    }
+    
+    /**
+     * Write the position, radius and color of every planet into the instances (instance i draws planets[i])
+     * @param {Array<Planet>} planets - Planet views (x, y, z, radius, color)
+     */
+    update(planets) {
+        if (planets.length > this.capacity) {
+            this.allocate(Math.max(planets.length, this.capacity * 2));
+        }
+        
+        const matrix = this.matrix;
+        for (let i = 0; i < planets.length; i++) {
+            const planet = planets[i];
+            matrix.makeScale(planet.radius, planet.radius, planet.radius);
+            matrix.setPosition(planet.x, planet.y, planet.z);
+            this.mesh.setMatrixAt(i, matrix);
+            this.mesh.setColorAt(i, this.color.setHex(planet.color));
+        }
+        
+        this.mesh.count = planets.length;
+        this.mesh.instanceMatrix.needsUpdate = true;
+        this.mesh.instanceColor.needsUpdate = true;
+    }
+    
+    /**
+     * Get the instanced mesh (e.g. for picking, where the instance ID is the index into the planets drawn)
+     * @returns {THREE.InstancedMesh} Mesh drawing the planets
+     */
+    getMesh() {
+        return this.mesh;
+    }
+}
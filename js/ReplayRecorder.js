@@ -0,0 +1,284 @@
+import { ReplayConstants } from './Constants.js';
+import { SimulationState, BodyFields, BodyKind } from './SimulationState.js';
+
+/**
+ * Replay Recorder Class
+ * Records body states frame by frame so that past moments can be shown again. Each frame stores only the positions
+ * and velocities of its bodies, in single precision, in a ring buffer that grows as needed up to a fixed size;
+ * the fields that only change along with the set of bodies (ID, kind, mass, color, ...) are kept exactly,
+ * once per version of the set, in a body table shared by the frames recorded with it.
+ */
+export class ReplayRecorder {
+    /**
+     * Constructor
+     * @param {number} maxBufferLength - Number of values the recording buffer may grow to
+     * @param {number} maxFrames - Maximum number of recorded frames
+     * @param {number} maxTableLength - Number of values the body tables may take together
+     */
+    constructor(maxBufferLength = ReplayConstants.MAX_BUFFER_LENGTH, maxFrames = ReplayConstants.MAX_FRAMES,
+        maxTableLength = ReplayConstants.MAX_TABLE_LENGTH) {
+        this.maxBufferLength = maxBufferLength;
+        this.data = new Float32Array(Math.min(ReplayConstants.INITIAL_BUFFER_LENGTH, maxBufferLength));
+        
+        // Frame headers, in a ring of maxFrames entries starting at firstFrame
+        this.maxFrames = maxFrames;
+        this.frameOffsets = new Float64Array(maxFrames);
+        this.frameBodyCounts = new Uint32Array(maxFrames);
+        this.frameTables = new Float64Array(maxFrames);
+        this.frameElapsedTimes = new Float64Array(maxFrames);
+        this.frameSimulatedTimes = new Float64Array(maxFrames);
+        this.firstFrame = 0;
+        this.frameCount = 0;
+        
+        // Body tables still used by recorded frames, oldest first (see tableOf(); tables are numbered
+        // from the first one ever made, firstTable being the number of tables[0]), and the values they take
+        this.maxTableLength = maxTableLength;
+        this.tables = [];
+        this.firstTable = 0;
+        this.tableLength = 0;
+        
+        // Position in data where the next frame is written
+        this.writeOffset = 0;
+    }
+    
+    /**
+     * Forget every recorded frame
+     */
+    clear() {
+        this.firstFrame = 0;
+        this.frameCount = 0;
+        this.writeOffset = 0;
+        this.firstTable += this.tables.length;
+        this.tables = [];
+        this.tableLength = 0;
+    }
+    
+    /**
+     * Get the number of recorded frames
+     * @returns {number} Number of frames
+     */
+    getFrameCount() {
+        return this.frameCount;
+    }
+    
+    /**
+     * Convert a frame number (0 is the oldest recorded frame) to its slot in the header ring
+     * @param {number} frame - Frame number
+     * @returns {number} Slot index
+     */
+    slot(frame) {
+        return (this.firstFrame + frame) % this.maxFrames;
+    }
+    
+    /**
+     * Drop the oldest frame, and the body tables no frame uses any more
+     */
+    dropOldest() {
+        this.firstFrame = (this.firstFrame + 1) % this.maxFrames;
+        this.frameCount--;
+        
+        const firstUsed = this.frameCount > 0 ? this.frameTables[this.slot(0)] : this.firstTable + this.tables.length;
+        while (this.firstTable < firstUsed) {
+            this.tableLength -= this.tables.shift().length;
+            this.firstTable++;
+        }
+    }
+    
+    /**
+     * Get the body table of a frame
+     * @param {number} slot - Slot of the frame
+     * @returns {Object} Table { bodiesVersion, count, length, fields } (fields: count values by body field name)
+     */
+    tableOf(slot) {
+        return this.tables[this.frameTables[slot] - this.firstTable];
+    }
+    
+    /**
+     * Check whether a state needs a new body table (its set of bodies differs from that of the newest table)
+     * @param {SimulationState} state - Body state
+     * @param {number} bodiesVersion - Version of the set of bodies
+     * @returns {boolean} true if no table holds its bodies
+     */
+    needsTable(state, bodiesVersion) {
+        const table = this.tables[this.tables.length - 1];
+        return !table || table.bodiesVersion !== bodiesVersion || table.count !== state.count;
+    }
+    
+    /**
+     * Append a frame (the oldest frames make room when the buffer is full)
+     * @param {SimulationState} state - Body state to record
+     * @param {number} elapsedTime - Simulation step time of the state
+     * @param {number} simulatedTime - Simulated time of the state
+     * @param {number} bodiesVersion - Version of the set of bodies (see Simulation.getBodiesVersion())
+     * @returns {boolean} false if the state is too large to record at all
+     */
+    record(state, elapsedTime, simulatedTime, bodiesVersion) {
+        const length = MotionFields.length * state.count;
+        const tableLength = ConstantFields.length * state.count;
+        if (length > this.maxBufferLength || tableLength > this.maxTableLength) return false;
+        
+        // A new body table is needed when the set of bodies changed (the oldest frames make room for it)
+        if (this.needsTable(state, bodiesVersion)) {
+            while (this.frameCount > 0 && this.tableLength + tableLength > this.maxTableLength) {
+                this.dropOldest();
+            }
+        }
+        
+        // Grow the buffer while the recording has not wrapped around yet
+        if (this.writeOffset + length > this.data.length && this.data.length < this.maxBufferLength) {
+            const data = new Float32Array(Math.min(Math.max(this.data.length * 2, this.writeOffset + length), this.maxBufferLength));
+            data.set(this.data.subarray(0, this.writeOffset));
+            this.data = data;
+        }
+        
+        // Wrap around when the frame does not fit at the end; frames left beyond this point are the oldest
+        if (this.writeOffset + length > this.data.length) {
+            while (this.frameCount > 0 && this.frameOffsets[this.slot(0)] >= this.writeOffset) {
+                this.dropOldest();
+            }
+            this.writeOffset = 0;
+        }
+        
+        // Drop the frames the new one overwrites
+        while (this.frameCount > 0) {
+            const offset = this.frameOffsets[this.slot(0)];
+            if (offset < this.writeOffset || offset >= this.writeOffset + length) break;
+            this.dropOldest();
+        }
+        if (this.frameCount === this.maxFrames) {
+            this.dropOldest();
+        }
+        
+        // Add the body table now (the newest one may have been dropped along with every frame using it)
+        if (this.needsTable(state, bodiesVersion)) {
+            const fields = {};
+            for (const field of ConstantFields) {
+                fields[field] = state[field].slice(0, state.count);
+            }
+            this.tables.push({ bodiesVersion, count: state.count, length: tableLength, fields });
+            this.tableLength += tableLength;
+        }
+        
+        // One section of count values per motion field
+        for (let f = 0; f < MotionFields.length; f++) {
+            this.data.set(state[MotionFields[f]].subarray(0, state.count), this.writeOffset + f * state.count);
+        }
+        
+        const slot = this.slot(this.frameCount);
+        this.frameOffsets[slot] = this.writeOffset;
+        this.frameBodyCounts[slot] = state.count;
+        this.frameTables[slot] = this.firstTable + this.tables.length - 1;
+        this.frameElapsedTimes[slot] = elapsedTime;
+        this.frameSimulatedTimes[slot] = simulatedTime;
+        this.frameCount++;
+        this.writeOffset += length;
+        return true;
+    }
+    
+    /**
+     * Keep only the oldest frames (e.g. to branch a new run from a past moment)
+     * @param {number} frameCount - Number of frames to keep
+     */
+    truncate(frameCount) {
+        if (frameCount >= this.frameCount) return;
+        if (frameCount <= 0) {
+            this.clear();
+            return;
+        }
+        
+        this.frameCount = frameCount;
+        const slot = this.slot(frameCount - 1);
+        this.writeOffset = this.frameOffsets[slot] + MotionFields.length * this.frameBodyCounts[slot];
+        while (this.firstTable + this.tables.length - 1 > this.frameTables[slot]) {
+            this.tableLength -= this.tables.pop().length;
+        }
+    }
+    
+    /**
+     * Get the simulation step time of a frame
+     * @param {number} frame - Frame number (0 is the oldest)
+     * @returns {number} Elapsed time
+     */
+    getElapsedTime(frame) {
+        return this.frameElapsedTimes[this.slot(frame)];
+    }
+    
+    /**
+     * Get the simulated time of a frame
+     * @param {number} frame - Frame number (0 is the oldest)
+     * @returns {number} Simulated time
+     */
+    getSimulatedTime(frame) {
+        return this.frameSimulatedTimes[this.slot(frame)];
+    }
+    
+    /**
+     * Copy the body state of a frame
+     * @param {number} frame - Frame number (0 is the oldest)
+     * @returns {SimulationState} New state holding the recorded bodies
+     */
+    getState(frame) {
+        const slot = this.slot(frame);
+        const offset = this.frameOffsets[slot];
+        const count = this.frameBodyCounts[slot];
+        const table = this.tableOf(slot);
+        
+        const state = new SimulationState(count, null, count);
+        for (const field of ConstantFields) {
+            state[field].set(table.fields[field]);
+        }
+        for (let f = 0; f < MotionFields.length; f++) {
+            state[MotionFields[f]].set(this.data.subarray(offset + f * count, offset + (f + 1) * count));
+        }
+        return state;
+    }
+    
+    /**
+     * Collect the recent positions of every planet in a frame
+     * @param {number} frame - Frame number (0 is the oldest)
+     * @param {number} length - Maximum number of positions per planet
+     * @param {number} interval - Minimum simulation step time between positions (frames closer to the previous one are skipped)
+     * @returns {Map<number, Array<Object>>} Positions { x, y, z, time } by body ID, newest first
+     */
+    getTrails(frame, length, interval = 0) {
+        const trails = new Map();
+        
+        let lastTime = Infinity;
+        for (let k = 0; k < length && frame >= 0; frame--) {
+            const slot = this.slot(frame);
+            const time = this.frameElapsedTimes[slot];
+            if (lastTime - time < interval) continue;
+            lastTime = time;
+            
+            const offset = this.frameOffsets[slot];
+            const count = this.frameBodyCounts[slot];
+            const { id: ids, kind: kinds } = this.tableOf(slot).fields;
+            const xs = offset + MotionFields.indexOf('x') * count;
+            const ys = offset + MotionFields.indexOf('y') * count;
+            const zs = offset + MotionFields.indexOf('z') * count;
+            
+            // Trails start with the planets of the requested frame and end where a planet did not exist yet
+            for (let i = 0; i < count; i++) {
+                if (kinds[i] !== BodyKind.PLANET) continue;
+                
+                const id = ids[i];
+                let trail = trails.get(id);
+                if (!trail) {
+                    if (k > 0) continue;
+                    trail = [];
+                    trails.set(id, trail);
+                } else if (trail.length < k) {
+                    continue;
+                }
+                trail.push({ x: this.data[xs + i], y: this.data[ys + i], z: this.data[zs + i], time });
+            }
+            k++;
+        }
+        
+        return trails;
+    }
+}
+
+// Fields recorded in every frame, and the fields kept in the body tables
+const MotionFields = ['x', 'y', 'z', 'vx', 'vy', 'vz'];
+const ConstantFields = BodyFields.filter(field => !MotionFields.includes(field));
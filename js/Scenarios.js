@@ -0,0 +1,274 @@
+import { PhysicsConstants, SunConstants, ScenarioConstants } from './Constants.js';
+import { Simulation } from './Simulation.js';
+
+/**
+ * Gravitational parameter of a body in simulation units
+ * @param {number} mass - Mass of the body
+ * @returns {number} G * M (with distances in world units)
+ */
+function gravitationalParameter(mass) {
+    return PhysicsConstants.G * mass / (PhysicsConstants.DISTANCE_SCALE * PhysicsConstants.DISTANCE_SCALE);
+}
+
+/**
+ * Density that gives a body the desired radius (masses stay realistic, sizes stay visible)
+ * @param {number} mass - Mass of the body
+ * @param {number} radius - Desired radius in world units
+ * @returns {number} Density
+ */
+function densityForRadius(mass, radius) {
+    return mass / (4 / 3 * Math.PI * radius * radius * radius);
+}
+
+/**
+ * Add a planet at the periapsis of a counterclockwise Kepler orbit around a star at rest at the origin
+ * (the orbit is tilted by its inclination about the X axis, which is then the line of nodes)
+ * @param {Simulation} simulation - Simulation to add the planet to
+ * @param {number} starMass - Mass of the star
+ * @param {Object} orbit - { distance (semi-major axis), angle (of periapsis), eccentricity, inclination, mass, radius, color }
+ */
+function addOrbitingPlanet(simulation, starMass, orbit) {
+    const eccentricity = orbit.eccentricity || 0;
+    const periapsis = orbit.distance * (1 - eccentricity);
+    
+    // Vis-viva at periapsis: v = sqrt(G * (M + m) * (1 + e) / (a * (1 - e)))
+    const speed = Math.sqrt(gravitationalParameter(starMass + orbit.mass) * (1 + eccentricity) / periapsis);
+    
+    const cos = Math.cos(orbit.angle);
+    const sin = Math.sin(orbit.angle);
+    const cosInclination = Math.cos(orbit.inclination || 0);
+    const sinInclination = Math.sin(orbit.inclination || 0);
+    simulation.addPlanet(
+        periapsis * cos, periapsis * sin * cosInclination, periapsis * sin * sinInclination,
+        -speed * sin, speed * cos * cosInclination, speed * cos * sinInclination,
+        orbit.mass, densityForRadius(orbit.mass, orbit.radius), orbit.color
+    );
+}
+
+/**
+ * Move every body so that the center of mass is at the origin and at rest (keeps the system in view)
+ * @param {Simulation} simulation - Simulation holding the bodies
+ */
+function toCenterOfMassFrame(simulation) {
+    const { count, x, y, z, vx, vy, vz, mass } = simulation.state;
+    
+    let totalMass = 0;
+    let centerX = 0;
+    let centerY = 0;
+    let centerZ = 0;
+    let velocityX = 0;
+    let velocityY = 0;
+    let velocityZ = 0;
+    for (let i = 0; i < count; i++) {
+        totalMass += mass[i];
+        centerX += mass[i] * x[i];
+        centerY += mass[i] * y[i];
+        centerZ += mass[i] * z[i];
+        velocityX += mass[i] * vx[i];
+        velocityY += mass[i] * vy[i];
+        velocityZ += mass[i] * vz[i];
+    }
+    
+    for (let i = 0; i < count; i++) {
+        x[i] -= centerX / totalMass;
+        y[i] -= centerY / totalMass;
+        z[i] -= centerZ / totalMass;
+        vx[i] -= velocityX / totalMass;
+        vy[i] -= velocityY / totalMass;
+        vz[i] -= velocityZ / totalMass;
+    }
+}
+
+// Mass of the Earth relative to the Sun
+const EARTH_MASS = 3.003e-6 * SunConstants.MASS;
+
+/**
+ * Preset planetary systems (key: scenario ID)
+ * label: name shown in the picker, viewSize: half height of the view in world units,
+ * timeScale: simulated time per step, integrator: key of Integrators,
+ * build(simulation): adds the bodies to an empty simulation
+ */
+export const Scenarios = {
+    single: {
+        label: 'Single sun',
+        viewSize: ScenarioConstants.VIEW_SIZE,
+        timeScale: PhysicsConstants.TIME_SCALE,
+        integrator: PhysicsConstants.DEFAULT_INTEGRATOR,
+        build(simulation) {
+            // The original starting scene: a sun at the origin, at rest
+            simulation.addStar(0, 0, 0, 0, 0, 0);
+        }
+    },
+    
+    innerSolarSystem: {
+        label: 'Inner solar system',
+        viewSize: 40,
+        timeScale: 1e11,
+        integrator: 'yoshida',
+        build(simulation) {
+            // Real semi-major axes, eccentricities and masses (1 AU = ScenarioConstants.AU); sizes are exaggerated
+            const au = ScenarioConstants.AU;
+            simulation.addStar(0, 0, 0, 0, 0, 0, SunConstants.MASS, SunConstants.RADIUS, SunConstants.COLOR, SunConstants.TEMPERATURE);
+            addOrbitingPlanet(simulation, SunConstants.MASS, { distance: 0.387 * au, eccentricity: 0.206, angle: 0.5, mass: 0.055 * EARTH_MASS, radius: 0.35, color: 0xB1ADAD });
+            addOrbitingPlanet(simulation, SunConstants.MASS, { distance: 0.723 * au, eccentricity: 0.007, angle: 2.6, mass: 0.815 * EARTH_MASS, radius: 0.5, color: 0xE6C27A });
+            addOrbitingPlanet(simulation, SunConstants.MASS, { distance: 1.000 * au, eccentricity: 0.017, angle: 4.2, mass: 1.000 * EARTH_MASS, radius: 0.5, color: 0x4F8FD6 });
+            addOrbitingPlanet(simulation, SunConstants.MASS, { distance: 1.524 * au, eccentricity: 0.093, angle: 5.9, mass: 0.107 * EARTH_MASS, radius: 0.4, color: 0xD1603D });
+            toCenterOfMassFrame(simulation);
+        }
+    },
+    
+    binaryStar: {
+        label: 'Binary star with circumbinary planets',
+        viewSize: 50,
+        timeScale: 1e11,
+        integrator: 'yoshida',
+        build(simulation) {
+            // Two stars on a circular orbit around their center of mass
+            const mass1 = SunConstants.MASS;
+            const mass2 = 0.6 * SunConstants.MASS;
+            const separation = 8;
+            const relativeSpeed = Math.sqrt(gravitationalParameter(mass1 + mass2) / separation);
+            simulation.addStar(-separation * mass2 / (mass1 + mass2), 0, 0, 0, -relativeSpeed * mass2 / (mass1 + mass2), 0, mass1, 2, 0xFFD27F);
+            simulation.addStar(separation * mass1 / (mass1 + mass2), 0, 0, 0, relativeSpeed * mass1 / (mass1 + mass2), 0, mass2, 1.6, 0xFF8C42);
+            
+            // Planets well outside the binary's unstable zone (about 2.4 separations) orbit both stars as one
+            addOrbitingPlanet(simulation, mass1 + mass2, { distance: 30, angle: 1, mass: 10 * EARTH_MASS, radius: 0.6, color: 0x7FD8FF });
+            addOrbitingPlanet(simulation, mass1 + mass2, { distance: 42, angle: 4, mass: 3 * EARTH_MASS, radius: 0.5, color: 0xB4FF9F });
+            toCenterOfMassFrame(simulation);
+        }
+    },
+    
+    trojans: {
+        label: 'Lagrange point trojans',
+        viewSize: 40,
+        timeScale: 2e11,
+        integrator: 'yoshida',
+        build(simulation) {
+            // A Jupiter-mass planet on a circular orbit
+            const starMass = SunConstants.MASS;
+            const planetMass = 1e-3 * starMass;
+            const distance = 25;
+            simulation.addStar(0, 0, 0, 0, 0, 0);
+            addOrbitingPlanet(simulation, starMass, { distance, angle: 0, mass: planetMass, radius: 1.2, color: 0xD8B08C });
+            
+            // Trojans near L4 and L5 (60 degrees ahead of and behind the planet) rotate rigidly with the planet
+            // (in this frame the star is at rest); starting 0.2 rad off the points makes them librate on tadpole paths
+            // (one per point: in 2D, trojans sharing a point sooner or later collide)
+            const angularSpeed = Math.sqrt(gravitationalParameter(starMass + planetMass) / (distance * distance * distance));
+            for (const [pointAngle, color] of [[Math.PI / 3, 0x9FE2BF], [-Math.PI / 3, 0xF4A3C1]]) {
+                const x = distance * Math.cos(pointAngle + 0.2);
+                const y = distance * Math.sin(pointAngle + 0.2);
+                simulation.addPlanet(x, y, 0, -angularSpeed * y, angularSpeed * x, 0, 1, densityForRadius(1, 0.3), color);
+            }
+            toCenterOfMassFrame(simulation);
+        }
+    },
+    
+    figureEight: {
+        label: 'Figure-eight three-body orbit',
+        viewSize: 30,
+        timeScale: 2e11,
+        integrator: 'yoshida',
+        build(simulation) {
+            // Chenciner-Montgomery choreography for G = m = 1, scaled to world units
+            const scale = 20;
+            const speedScale = Math.sqrt(gravitationalParameter(SunConstants.MASS) / scale);
+            const x1 = 0.97000436 * scale;
+            const y1 = -0.24308753 * scale;
+            const vx3 = -0.93240737 * speedScale;
+            const vy3 = -0.86473146 * speedScale;
+            simulation.addStar(x1, y1, 0, -vx3 / 2, -vy3 / 2, 0, SunConstants.MASS, 1.5, 0xFFA500);
+            simulation.addStar(-x1, -y1, 0, -vx3 / 2, -vy3 / 2, 0, SunConstants.MASS, 1.5, 0x66CCFF);
+            simulation.addStar(0, 0, 0, vx3, vy3, 0, SunConstants.MASS, 1.5, 0xFF66AA);
+        }
+    },
+    
+    trappist: {
+        label: 'TRAPPIST-1-like resonant chain',
+        viewSize: 45,
+        timeScale: 6e11,
+        integrator: 'yoshida',
+        build(simulation) {
+            // Ultra-cool dwarf of about 0.09 solar masses and 2566 K
+            const starMass = 0.09 * SunConstants.MASS;
+            simulation.addStar(0, 0, 0, 0, 0, 0, starMass, 1.5, 0xFF5533, 2566);
+            
+            // Periods (days) in a near-resonant chain (8:5, 5:3, 3:2, 3:2, 4:3, 3:2); distances follow Kepler's third law
+            const planets = [
+                { period: 1.51, mass: 1.37, radius: 1.12, color: 0xFFB38A },
+                { period: 2.42, mass: 1.31, radius: 1.10, color: 0xFFD59A },
+                { period: 4.05, mass: 0.39, radius: 0.79, color: 0xC9E4A6 },
+                { period: 6.10, mass: 0.69, radius: 0.92, color: 0x8FD3C8 },
+                { period: 9.21, mass: 1.04, radius: 1.05, color: 0x8FB8E8 },
+                { period: 12.35, mass: 1.32, radius: 1.13, color: 0xB39DDB },
+                { period: 18.77, mass: 0.33, radius: 0.76, color: 0xE0A3D8 }
+            ];
+            const outerDistance = 40;
+            planets.forEach((planet, index) => {
+                addOrbitingPlanet(simulation, starMass, {
+                    distance: outerDistance * Math.pow(planet.period / 18.77, 2 / 3),
+                    angle: index * 2.39996, // Golden angle spreads the planets around the star
+                    mass: planet.mass * EARTH_MASS,
+                    radius: planet.radius * 0.45,
+                    color: planet.color
+                });
+            });
+            toCenterOfMassFrame(simulation);
+        }
+    },
+    
+    slingshot: {
+        label: 'Slingshot flyby',
+        viewSize: 60,
+        timeScale: 1e11,
+        integrator: 'yoshida',
+        build(simulation) {
+            // A brown dwarf on a circular orbit
+            const starMass = SunConstants.MASS;
+            const giantMass = 0.03 * starMass;
+            simulation.addStar(0, 0, 0, 0, 0, 0);
+            addOrbitingPlanet(simulation, starMass, { distance: 25, angle: 255.5 * Math.PI / 180, mass: giantMass, radius: 1.5, color: 0xC08A5A });
+            
+            // A bound probe climbing out from periapsis, timed to pass behind the giant, gains enough energy to escape
+            addOrbitingPlanet(simulation, starMass, { distance: 22, eccentricity: 0.5, angle: Math.PI, mass: 1, radius: 0.3, color: 0xFFFFFF });
+            toCenterOfMassFrame(simulation);
+        }
+    },
+    
+    inclined: {
+        label: 'Inclined orbits (3D)',
+        viewSize: 40,
+        timeScale: 2e11,
+        integrator: 'yoshida',
+        build(simulation) {
+            // A brown dwarf in the X-Y plane pulls on two planets on inclined orbits, so that their orbital planes
+            // wobble and slowly precess around its own (best seen in the 3D view)
+            const starMass = SunConstants.MASS;
+            const degree = Math.PI / 180;
+            simulation.addStar(0, 0, 0, 0, 0, 0);
+            addOrbitingPlanet(simulation, starMass, { distance: 32, angle: 0, mass: 0.03 * starMass, radius: 1.4, color: 0xC08A5A });
+            addOrbitingPlanet(simulation, starMass, { distance: 13, eccentricity: 0.1, angle: 1, inclination: 30 * degree, mass: EARTH_MASS, radius: 0.5, color: 0x7FD8FF });
+            addOrbitingPlanet(simulation, starMass, { distance: 7, angle: 3, inclination: 15 * degree, mass: 0.5 * EARTH_MASS, radius: 0.4, color: 0xB4FF9F });
+            toCenterOfMassFrame(simulation);
+        }
+    }
+};
+
+/**
+ * Create the snapshot of a preset scenario
+ * @param {string} id - Scenario ID (key of Scenarios)
+ * @returns {Object} Snapshot (see Snapshot.js), loadable with PhysicsEngine.deserialize() or Simulation.deserialize()
+ * @throws {Error} If there is no such scenario
+ */
+export function createScenario(id) {
+    const scenario = Scenarios[id];
+    if (!scenario) {
+        throw new Error(`Unknown scenario "${id}"`);
+    }
+    
+    const simulation = new Simulation();
+    simulation.setIntegrator(scenario.integrator);
+    simulation.setTimeScale(scenario.timeScale);
+    scenario.build(simulation);
+    return simulation.serialize();
+}
@@ -0,0 +1,49 @@
+import { SelectionConstants } from './Constants.js';
+
+/**
+ * Selection View Class
+ * Draws a ring around the selected body, turned toward the camera and a few pixels wider than the body
+ */
+export class SelectionView {
+    /**
+     * Constructor
+     * @param {THREE.Scene} scene - Three.js scene
+     */
+    constructor(scene) {
+        this.scene = scene;
+        
+        // Unit circle, scaled to the body every frame
+        const points = [];
+        for (let i = 0; i < SelectionConstants.RING_SEGMENTS; i++) {
+            const angle = i * 2 * Math.PI / SelectionConstants.RING_SEGMENTS;
+            points.push(new THREE.Vector3(Math.cos(angle), Math.sin(angle), 0));
+        }
+        this.geometry = new THREE.BufferGeometry().setFromPoints(points);
+        this.material = new THREE.LineBasicMaterial({ color: SelectionConstants.RING_COLOR });
+        this.ring = new THREE.LineLoop(this.geometry, this.material);
+        this.ring.visible = false;
+        this.scene.add(this.ring);
+    }
+    
+    /**
+     * Put the ring around a body, or hide it
+     * @param {Object|null} body - Star or planet view (x, y, z, pinned, getRadius()), or null to hide the ring
+     * @param {THREE.Camera} camera - Camera the scene is rendered with
+     * @param {number} screenHeight - Height of the screen in pixels
+     */
+    update(body, camera, screenHeight) {
+        this.ring.visible = body !== null;
+        if (!body) return;
+        
+        this.ring.position.set(body.x, body.y, body.z);
+        
+        // Size of a pixel at the body's distance from the camera
+        const pixelSize = camera.isOrthographicCamera
+            ? (camera.top - camera.bottom) / screenHeight
+            : 2 * camera.position.distanceTo(this.ring.position) * Math.tan(camera.fov * Math.PI / 360) / screenHeight;
+        
+        this.ring.quaternion.copy(camera.quaternion);
+        this.ring.scale.setScalar(body.getRadius() + SelectionConstants.RING_MARGIN * pixelSize);
+        this.material.color.setHex(body.pinned ? SelectionConstants.PINNED_RING_COLOR : SelectionConstants.RING_COLOR);
+    }
+}
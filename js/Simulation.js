@@ -0,0 +1,613 @@
+import { BarnesHutTree } from './BarnesHutTree.js';
+import { BoundarySystem } from './BoundarySystem.js';
+import { CollisionSystem } from './CollisionSystem.js';
+import { PhysicsConstants, SunConstants, PlanetConstants, PlanetTypes, AsteroidBeltConstants, BarnesHutConstants } from './Constants.js';
+import { pairPotential, radiusFromMass } from './Gravity.js';
+import { createIntegrator } from './Integrators.js';
+import { SimulationState, BodyKind } from './SimulationState.js';
+import { createSnapshot, readSnapshot } from './Snapshot.js';
+import { temperatureToColor } from './StarColor.js';
+
+/**
+ * Simulation Class
+ * Advances stars and planets stored in a SimulationState
+ * (no rendering, DOM or audio, so it can run in a worker or headless in Node)
+ */
+export class Simulation {
+    /**
+     * Constructor
+     */
+    constructor() {
+        this.state = new SimulationState();
+        this.timeScale = PhysicsConstants.TIME_SCALE;
+        this.elapsedTime = 0;
+        this.stepCount = 0;
+        
+        // Multiplier on the time step (below 1 for slow motion, negative to run time backward)
+        // and the simulated time passed (the sum of the time steps)
+        this.timeFactor = 1;
+        this.simulatedTime = 0;
+        this.distanceScaleSquared = PhysicsConstants.DISTANCE_SCALE * PhysicsConstants.DISTANCE_SCALE;
+        
+        // ID given to the next body
+        this.nextId = 1;
+        
+        // Incremented whenever bodies are added, removed or edited
+        this.bodiesVersion = 0;
+        
+        // Numerical integrator used to advance the simulation
+        this.integrator = createIntegrator(PhysicsConstants.DEFAULT_INTEGRATOR);
+        
+        // Gravity solver ('direct' or 'barnesHut') and Barnes-Hut opening angle
+        this.gravitySolver = PhysicsConstants.DEFAULT_GRAVITY_SOLVER;
+        this.openingAngle = BarnesHutConstants.OPENING_ANGLE;
+        this.barnesHutTree = new BarnesHutTree();
+        
+        // Planet-planet collision handling
+        this.collisionSystem = new CollisionSystem();
+        
+        // What happens to bodies far from the system (removal, or wrapping around a periodic domain)
+        this.boundarySystem = new BoundarySystem();
+        
+        // Events since the last call to takeEvents() (collisions, star impacts)
+        this.events = [];
+    }
+    
+    /**
+     * Add a body
+     * @param {Object} body - Body properties (kind, x, y, z, vx, vy, vz, mass, density, radius, color)
+     * @returns {number} ID of the added body
+     */
+    addBody(body) {
+        const id = this.nextId++;
+        this.state.add(Object.assign({}, body, { id }));
+        this.bodiesVersion++;
+        return id;
+    }
+    
+    /**
+     * Add a planet
+     * @param {number} x - Initial X coordinate
+     * @param {number} y - Initial Y coordinate
+     * @param {number} z - Initial Z coordinate
+     * @param {number} vx - Initial X velocity
+     * @param {number} vy - Initial Y velocity
+     * @param {number} vz - Initial Z velocity
+     * @param {number} mass - Planet mass
+     * @param {number} density - Planet density
+     * @param {number} color - Planet color
+     * @returns {number} ID of the added planet
+     */
+    addPlanet(x, y, z, vx, vy, vz, mass = PlanetConstants.MASS, density = PlanetConstants.DENSITY, color = 0xFFFFFF) {
+        const id = this.addBody({
+            kind: BodyKind.PLANET,
+            x, y, z, vx, vy, vz, mass, density, color,
+            radius: radiusFromMass(mass, density)
+        });
+        
+        // Remove the oldest planet if the maximum number of planets is exceeded
+        this.removeOldest(BodyKind.PLANET, PlanetConstants.MAX_COUNT);
+        
+        return id;
+    }
+    
+    /**
+     * Add a star
+     * @param {number} x - Initial X coordinate
+     * @param {number} y - Initial Y coordinate
+     * @param {number} z - Initial Z coordinate
+     * @param {number} vx - Initial X velocity
+     * @param {number} vy - Initial Y velocity
+     * @param {number} vz - Initial Z velocity
+     * @param {number} mass - Star mass
+     * @param {number} radius - Star radius
+     * @param {number} color - Star color (ignored if a temperature is given)
+     * @param {number} temperature - Surface temperature in kelvin, from which the color is derived (0 to use the color)
+     * @returns {number} ID of the added star
+     */
+    addStar(x, y, z, vx, vy, vz, mass = SunConstants.MASS, radius = SunConstants.RADIUS, color = SunConstants.COLOR, temperature = 0) {
+        const id = this.addBody({
+            kind: BodyKind.STAR,
+            x, y, z, vx, vy, vz, mass, radius, temperature,
+            color: temperature > 0 ? temperatureToColor(temperature) : color
+        });
+        
+        // Remove the oldest star if the maximum number of stars is exceeded
+        this.removeOldest(BodyKind.STAR, SunConstants.MAX_COUNT);
+        
+        return id;
+    }
+    
+    /**
+     * Remove the oldest bodies of a kind while there are more than allowed
+     * @param {number} kind - Value of BodyKind
+     * @param {number} maxCount - Maximum number of bodies of that kind
+     */
+    removeOldest(kind, maxCount) {
+        let count = this.countBodies(kind);
+        
+        // Bodies are kept in insertion order, so the first ones are the oldest
+        for (let i = 0; i < this.state.count && count > maxCount; i++) {
+            if (this.state.kind[i] === kind) {
+                this.removeBody(i);
+                i--;
+                count--;
+            }
+        }
+    }
+    
+    /**
+     * Remove a body
+     * @param {number} index - Index of the body in the state
+     */
+    removeBody(index) {
+        this.state.removeAt(index);
+        this.bodiesVersion++;
+    }
+    
+    /**
+     * Change properties of a body
+     * (a planet's radius follows its new mass, a star's color its new temperature, and a color set directly
+     * replaces the temperature; a pinned body stops and stays where it is placed)
+     * @param {number} id - Body ID
+     * @param {Object} changes - New values of some of x, y, z, vx, vy, vz, mass, color, temperature and pinned
+     * @returns {boolean} true if the body exists
+     */
+    editBody(id, changes) {
+        const state = this.state;
+        const index = state.indexOf(id);
+        if (index < 0) return false;
+        
+        for (const field of EditableFields) {
+            if (changes[field] !== undefined) {
+                state[field][index] = Number(changes[field]);
+            }
+        }
+        if (changes.mass !== undefined && state.kind[index] === BodyKind.PLANET) {
+            state.radius[index] = radiusFromMass(state.mass[index], state.density[index]);
+        }
+        if (state.kind[index] !== BodyKind.STAR || (changes.color !== undefined && changes.temperature === undefined)) {
+            state.temperature[index] = 0;
+        } else if (state.temperature[index] > 0) {
+            state.color[index] = temperatureToColor(state.temperature[index]);
+        }
+        if (state.pinned[index]) {
+            state.vx[index] = 0;
+            state.vy[index] = 0;
+            state.vz[index] = 0;
+        }
+        
+        // Views pick up the new mass, color or radius when the set of bodies changes
+        this.bodiesVersion++;
+        return true;
+    }
+    
+    /**
+     * Delete a body
+     * @param {number} id - Body ID
+     * @returns {boolean} true if the body existed
+     */
+    deleteBody(id) {
+        const index = this.state.indexOf(id);
+        if (index < 0) return false;
+        
+        this.removeBody(index);
+        return true;
+    }
+    
+    /**
+     * Count bodies of a kind
+     * @param {number} kind - Value of BodyKind
+     * @returns {number} Number of bodies
+     */
+    countBodies(kind) {
+        let count = 0;
+        for (let i = 0; i < this.state.count; i++) {
+            if (this.state.kind[i] === kind) count++;
+        }
+        return count;
+    }
+    
+    /**
+     * Add a belt of small bodies on circular orbits around the first star (in the X-Y plane)
+     * @param {number} count - Number of bodies
+     * @param {number} innerRadius - Inner radius of the belt
+     * @param {number} outerRadius - Outer radius of the belt
+     */
+    addAsteroidBelt(count, innerRadius, outerRadius) {
+        const starIndex = this.state.kind.indexOf(BodyKind.STAR);
+        if (starIndex === -1) return;
+        
+        const star = this.state.get(starIndex);
+        const asteroid = PlanetTypes.asteroid;
+        for (let i = 0; i < count; i++) {
+            // Uniform surface density: r = sqrt(random between inner^2 and outer^2)
+            const r = Math.sqrt(innerRadius * innerRadius + Math.random() * (outerRadius * outerRadius - innerRadius * innerRadius));
+            const angle = Math.random() * Math.PI * 2;
+            
+            // Circular orbital speed: v = sqrt(G * M / r)
+            const speed = Math.sqrt(PhysicsConstants.G * star.mass / (r * this.distanceScaleSquared));
+            
+            // Counterclockwise orbit relative to the star
+            this.addPlanet(
+                star.x + r * Math.cos(angle), star.y + r * Math.sin(angle), star.z,
+                star.vx - speed * Math.sin(angle), star.vy + speed * Math.cos(angle), star.vz,
+                asteroid.mass, asteroid.density, AsteroidBeltConstants.COLOR
+            );
+        }
+    }
+    
+    /**
+     * Calculate gravity between every pair of bodies by direct summation
+     * @param {Float64Array} x - X coordinates of the bodies
+     * @param {Float64Array} y - Y coordinates of the bodies
+     * @param {Float64Array} z - Z coordinates of the bodies
+     * @param {Float64Array} mass - Masses of the bodies
+     * @param {Float64Array} ax - Array of X-direction accelerations
+     * @param {Float64Array} ay - Array of Y-direction accelerations
+     * @param {Float64Array} az - Array of Z-direction accelerations
+     */
+    calculateDirectGravity(x, y, z, mass, ax, ay, az) {
+        const bodyCount = x.length;
+        const minDistanceSquared = PhysicsConstants.MIN_DISTANCE * PhysicsConstants.MIN_DISTANCE;
+        const gravityFactor = PhysicsConstants.G / this.distanceScaleSquared;
+        const period = this.boundarySystem.getPeriod();
+        
+        // Each pair is visited once
+        for (let i = 0; i < bodyCount; i++) {
+            const xi = x[i];
+            const yi = y[i];
+            const zi = z[i];
+            let accelX = 0;
+            let accelY = 0;
+            let accelZ = 0;
+            
+            for (let j = i + 1; j < bodyCount; j++) {
+                // Calculate distance between the bodies (to the nearest image in a periodic domain)
+                let dx = x[j] - xi;
+                let dy = y[j] - yi;
+                const dz = z[j] - zi;
+                if (period > 0) {
+                    dx -= period * Math.round(dx / period);
+                    dy -= period * Math.round(dy / period);
+                }
+                const r2 = dx*dx + dy*dy + dz*dz;
+                
+                // Apply minimum distance (to prevent collisions)
+                const effectiveR2 = r2 < minDistanceSquared ? minDistanceSquared : r2;
+                
+                // Law of universal gravitation: F = G * m1 * m2 / r^2, so a = F / m1 = G * m2 / r^2 along d / r
+                const factor = gravityFactor / (effectiveR2 * Math.sqrt(effectiveR2));
+                
+                // Acceleration of body i
+                accelX += factor * mass[j] * dx;
+                accelY += factor * mass[j] * dy;
+                accelZ += factor * mass[j] * dz;
+                
+                // Acceleration of body j (opposite direction)
+                ax[j] -= factor * mass[i] * dx;
+                ay[j] -= factor * mass[i] * dy;
+                az[j] -= factor * mass[i] * dz;
+            }
+            
+            ax[i] += accelX;
+            ay[i] += accelY;
+            az[i] += accelZ;
+        }
+    }
+    
+    /**
+     * Calculate the acceleration of every body for the given positions
+     * (called by the integrator, possibly several times per step at trial positions)
+     * @param {Float64Array} x - X coordinates of the bodies
+     * @param {Float64Array} y - Y coordinates of the bodies
+     * @param {Float64Array} z - Z coordinates of the bodies
+     * @param {Float64Array} mass - Masses of the bodies
+     * @param {Float64Array} ax - Output array of X-direction accelerations
+     * @param {Float64Array} ay - Output array of Y-direction accelerations
+     * @param {Float64Array} az - Output array of Z-direction accelerations
+     */
+    computeAccelerations(x, y, z, mass, ax, ay, az) {
+        ax.fill(0);
+        ay.fill(0);
+        az.fill(0);
+        
+        if (this.gravitySolver === 'barnesHut') {
+            // Approximate distant groups of bodies by their center of mass
+            this.barnesHutTree.build(x, y, z, mass);
+            this.barnesHutTree.computeAccelerations(x, y, z, mass, this.openingAngle, ax, ay, az, this.boundarySystem.getPeriod());
+        } else {
+            // Sum the gravity of every pair exactly
+            this.calculateDirectGravity(x, y, z, mass, ax, ay, az);
+        }
+    }
+    
+    /**
+     * Calculate the total potential energy of the current bodies with the selected gravity solver
+     * @returns {number} Potential energy
+     */
+    calculatePotentialEnergy() {
+        const state = this.state;
+        const gravityFactor = PhysicsConstants.G / this.distanceScaleSquared;
+        const period = this.boundarySystem.getPeriod();
+        
+        if (this.gravitySolver === 'barnesHut') {
+            this.barnesHutTree.build(state.x, state.y, state.z, state.mass);
+            return this.barnesHutTree.computePotentialEnergy(state.x, state.y, state.z, state.mass, this.openingAngle, period);
+        }
+        
+        // Sum every pair once: U = m1 * phi(G * m2, r)
+        let energy = 0;
+        for (let i = 0; i < state.count; i++) {
+            for (let j = i + 1; j < state.count; j++) {
+                let dx = state.x[j] - state.x[i];
+                let dy = state.y[j] - state.y[i];
+                const dz = state.z[j] - state.z[i];
+                if (period > 0) {
+                    dx -= period * Math.round(dx / period);
+                    dy -= period * Math.round(dy / period);
+                }
+                energy += state.mass[i] * pairPotential(gravityFactor * state.mass[j], Math.sqrt(dx * dx + dy * dy + dz * dz));
+            }
+        }
+        return energy;
+    }
+    
+    /**
+     * Select the gravity solver
+     * @param {string} solver - 'direct' (exact pair summation) or 'barnesHut' (tree approximation)
+     */
+    setGravitySolver(solver) {
+        this.gravitySolver = solver;
+    }
+    
+    /**
+     * Set the Barnes-Hut opening angle
+     * @param {number} openingAngle - Cell size / distance ratio below which a cell is approximated (smaller is more accurate)
+     */
+    setOpeningAngle(openingAngle) {
+        this.openingAngle = openingAngle;
+    }
+    
+    /**
+     * Select the numerical integrator
+     * @param {string} id - Integrator ID (key of Integrators)
+     */
+    setIntegrator(id) {
+        this.integrator = createIntegrator(id);
+    }
+    
+    /**
+     * Select the collision policy
+     * @param {string} policy - Key of CollisionPolicies
+     */
+    setCollisionPolicy(policy) {
+        this.collisionSystem.setPolicy(policy);
+    }
+    
+    /**
+     * Select the boundary policy
+     * @param {string} policy - Key of BoundaryPolicies
+     */
+    setBoundaryPolicy(policy) {
+        this.boundarySystem.setPolicy(policy);
+    }
+    
+    /**
+     * Set the size of the boundary
+     * @param {number} radius - Escape radius, or half the side of the periodic domain, in world units
+     */
+    setBoundaryRadius(radius) {
+        this.boundarySystem.setRadius(radius);
+    }
+    
+    /**
+     * Set the simulated time per step
+     * @param {number} timeScale - Simulated time per step
+     */
+    setTimeScale(timeScale) {
+        this.timeScale = timeScale;
+    }
+    
+    /**
+     * Set the multiplier on the time step
+     * @param {number} timeFactor - Multiplier (e.g. 0.5 for half speed, -1 to run time backward)
+     */
+    setTimeFactor(timeFactor) {
+        this.timeFactor = timeFactor;
+    }
+    
+    /**
+     * Get the settings stored in snapshots
+     * @returns {Object} { integrator, gravitySolver, openingAngle, collisionPolicy, boundaryPolicy, boundaryRadius, timeScale, elapsedTime, simulatedTime }
+     */
+    getSettings() {
+        return {
+            integrator: this.integrator.id,
+            gravitySolver: this.gravitySolver,
+            openingAngle: this.openingAngle,
+            collisionPolicy: this.collisionSystem.getPolicy(),
+            boundaryPolicy: this.boundarySystem.getPolicy(),
+            boundaryRadius: this.boundarySystem.getRadius(),
+            timeScale: this.timeScale,
+            elapsedTime: this.elapsedTime,
+            simulatedTime: this.simulatedTime
+        };
+    }
+    
+    /**
+     * Write the bodies and settings as a snapshot
+     * @returns {Object} Snapshot (see Snapshot.js)
+     */
+    serialize() {
+        return createSnapshot(this.state, this.getSettings());
+    }
+    
+    /**
+     * Replace the bodies and settings with those of a snapshot
+     * @param {Object} data - Snapshot (see Snapshot.js)
+     * @throws {Error} If the snapshot is invalid
+     */
+    deserialize(data) {
+        const snapshot = readSnapshot(data);
+        
+        // Bodies keep their IDs so that the renderer can match them with the saved trails
+        this.state = new SimulationState(Math.max(snapshot.bodies.length, 1));
+        for (const body of snapshot.bodies) {
+            this.state.add(body);
+        }
+        this.nextId = 1 + snapshot.bodies.reduce((max, body) => Math.max(max, body.id), 0);
+        this.bodiesVersion++;
+        this.events = [];
+        
+        this.setIntegrator(snapshot.integrator);
+        this.setGravitySolver(snapshot.gravitySolver);
+        this.setOpeningAngle(snapshot.openingAngle);
+        this.setCollisionPolicy(snapshot.collisionPolicy);
+        this.setBoundaryPolicy(snapshot.boundaryPolicy);
+        this.setBoundaryRadius(snapshot.boundaryRadius);
+        this.setTimeScale(snapshot.timeScale);
+        this.elapsedTime = snapshot.elapsedTime;
+        this.simulatedTime = snapshot.simulatedTime;
+    }
+    
+    /**
+     * Advance the simulation by one fixed step
+     * @param {number} maxX - Maximum X coordinate of the screen (used by the boundary policies; unbounded if omitted)
+     * @param {number} maxY - Maximum Y coordinate of the screen
+     */
+    step(maxX = Infinity, maxY = Infinity) {
+        // Advance the simulation clock (step time always moves forward, simulated time follows the time factor)
+        this.elapsedTime += PhysicsConstants.STEP_INTERVAL;
+        this.stepCount++;
+        this.simulatedTime += this.timeScale * this.timeFactor;
+        
+        // Early return if there are no bodies
+        const state = this.state;
+        if (state.count === 0) {
+            return;
+        }
+        
+        // Accelerations cached by the integrator are only valid within one step (bodies may change in between)
+        state.ax = null;
+        state.ay = null;
+        state.az = null;
+        
+        // Split the step into fixed sub-steps (the result does not depend on the frame rate);
+        // a negative time step retraces the trajectory (exactly up to rounding for the symplectic integrators)
+        const computeAccelerations = (x, y, z, ax, ay, az) => {
+            this.computeAccelerations(x, y, z, state.mass, ax, ay, az);
+            this.holdPinned(ax, ay, az);
+        };
+        const dt = this.timeScale * this.timeFactor / PhysicsConstants.SUB_STEPS;
+        for (let i = 0; i < PhysicsConstants.SUB_STEPS; i++) {
+            this.integrator.step(state, dt, computeAccelerations);
+        }
+        
+        // Resolve planet-planet collisions
+        for (const collision of this.collisionSystem.resolve(this)) {
+            this.events.push(Object.assign({ type: 'collision' }, collision));
+        }
+        
+        // Bounces give pinned bodies a velocity: take it away again
+        this.holdPinned(state.vx, state.vy, state.vz);
+        
+        // Apply the boundary, and remove planets lost past it or that have collided with a star
+        this.removeLostPlanets(maxX, maxY);
+    }
+    
+    /**
+     * Zero a per-body vector for every pinned body (their accelerations or velocities, so that they stay in place
+     * while still pulling on the others)
+     * @param {Float64Array} x - X components
+     * @param {Float64Array} y - Y components
+     * @param {Float64Array} z - Z components
+     */
+    holdPinned(x, y, z) {
+        const pinned = this.state.pinned;
+        for (let i = 0; i < pinned.length; i++) {
+            if (pinned[i]) {
+                x[i] = 0;
+                y[i] = 0;
+                z[i] = 0;
+            }
+        }
+    }
+    
+    /**
+     * Remove planets lost past the boundary (see BoundarySystem) or that have fallen into a star
+     * @param {number} maxX - Maximum X coordinate of the screen
+     * @param {number} maxY - Maximum Y coordinate of the screen
+     */
+    removeLostPlanets(maxX, maxY) {
+        const state = this.state;
+        const lost = this.boundarySystem.apply(state, maxX, maxY);
+        
+        // Process from the end to prevent index shifting due to removal
+        for (let i = state.count - 1; i >= 0; i--) {
+            if (state.kind[i] !== BodyKind.PLANET) continue;
+            
+            if (lost[i]) {
+                this.removeBody(i);
+            } else {
+                const star = this.findStarContaining(i);
+                if (star >= 0) {
+                    this.events.push(Object.assign(
+                        { type: 'starImpact', id: state.id[i], starId: state.id[star], x: state.x[i], y: state.y[i], z: state.z[i] },
+                        CollisionSystem.describeImpact(state, i, star)
+                    ));
+                    this.removeBody(i);
+                }
+            }
+        }
+    }
+    
+    /**
+     * Find the star a body's center is inside of
+     * @param {number} index - Index of the body
+     * @returns {number} Index of the star it collided with, or -1 if none
+     */
+    findStarContaining(index) {
+        const state = this.state;
+        const period = this.boundarySystem.getPeriod();
+        for (let j = 0; j < state.count; j++) {
+            if (state.kind[j] !== BodyKind.STAR || j === index) continue;
+            
+            // Collision occurs if distance from star center is less than star radius
+            // (in a periodic domain, the distance to the nearest image of the star, as for gravity)
+            let dx = state.x[index] - state.x[j];
+            let dy = state.y[index] - state.y[j];
+            const dz = state.z[index] - state.z[j];
+            if (period > 0) {
+                dx -= period * Math.round(dx / period);
+                dy -= period * Math.round(dy / period);
+            }
+            if (dx * dx + dy * dy + dz * dz < state.radius[j] * state.radius[j]) {
+                return j;
+            }
+        }
+        return -1;
+    }
+    
+    /**
+     * Get and clear the events that happened since the last call
+     * @returns {Array<Object>} Events ({ type: 'collision', x, y, z, policy } or { type: 'starImpact', id, starId, x, y, z } with the IDs
+     *     of the planet and the star), each with its impact { energy, vx, vy, vz, color } (see CollisionSystem.describeImpact())
+     */
+    takeEvents() {
+        const events = this.events;
+        this.events = [];
+        return events;
+    }
+    
+    /**
+     * Get the version of the set of bodies
+     * @returns {number} Number that changes whenever bodies are added, removed or edited
+     */
+    getBodiesVersion() {
+        return this.bodiesVersion;
+    }
+}
+
+// Body fields that editBody() can change
+const EditableFields = ['x', 'y', 'z', 'vx', 'vy', 'vz', 'mass', 'color', 'temperature', 'pinned'];
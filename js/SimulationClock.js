@@ -0,0 +1,53 @@
+/**
+ * Simulation Clock Class
+ * Converts elapsed real time into a whole number of fixed simulation steps
+ */
+export class SimulationClock {
+    /**
+     * Constructor
+     * @param {number} stepInterval - Real time covered by one simulation step (milliseconds)
+     * @param {number} maxStepsPerFrame - Maximum number of steps returned per frame
+     */
+    constructor(stepInterval, maxStepsPerFrame) {
+        this.stepInterval = stepInterval;
+        this.maxStepsPerFrame = maxStepsPerFrame;
+        this.accumulator = 0;
+        this.lastTime = null;
+    }
+    
+    /**
+     * Advance the clock to the current time
+     * @param {number} currentTime - Current time (milliseconds)
+     * @returns {number} Number of simulation steps to run this frame
+     */
+    advance(currentTime) {
+        // The first call only starts the clock
+        if (this.lastTime === null) {
+            this.lastTime = currentTime;
+            return 0;
+        }
+        
+        // Accumulate elapsed real time
+        this.accumulator += currentTime - this.lastTime;
+        this.lastTime = currentTime;
+        
+        // Consume as many whole steps as the accumulated time allows
+        let steps = Math.floor(this.accumulator / this.stepInterval);
+        this.accumulator -= steps * this.stepInterval;
+        
+        // Drop the backlog after long stalls (e.g. background tabs) instead of catching up
+        if (steps > this.maxStepsPerFrame) {
+            steps = this.maxStepsPerFrame;
+        }
+        
+        return steps;
+    }
+    
+    /**
+     * Reset the clock so that the next call to advance() starts from zero
+     */
+    reset() {
+        this.accumulator = 0;
+        this.lastTime = null;
+    }
+}
@@ -0,0 +1,124 @@
+import { Diagnostics } from './Diagnostics.js';
+import { Simulation } from './Simulation.js';
+
+/**
+ * Simulation Host Class
+ * Runs a Simulation on behalf of the renderer: applies commands and replies with the body state
+ * (used inside the physics worker, or on the main thread when workers are unavailable)
+ */
+export class SimulationHost {
+    /**
+     * Constructor
+     * @param {Function} send - Function (message, transfer) that delivers replies to the renderer
+     */
+    constructor(send) {
+        this.send = send;
+        this.simulation = new Simulation();
+        this.diagnostics = new Diagnostics();
+        
+        // Number of the last snapshot loaded (echoed in replies so that stale states can be told apart)
+        this.generation = 0;
+    }
+    
+    /**
+     * Apply a command sent by the renderer
+     * @param {Object} command - Command ({ type, ... })
+     */
+    handle(command) {
+        const simulation = this.simulation;
+        
+        switch (command.type) {
+            case 'addPlanet':
+                simulation.addPlanet(command.x, command.y, command.z, command.vx, command.vy, command.vz, command.mass, command.density, command.color);
+                break;
+            case 'addStar':
+                simulation.addStar(command.x, command.y, command.z, command.vx, command.vy, command.vz, command.mass, command.radius, command.color, command.temperature);
+                break;
+            case 'editBody':
+                simulation.editBody(command.id, command.changes);
+                break;
+            case 'deleteBody':
+                simulation.deleteBody(command.id);
+                break;
+            case 'addAsteroidBelt':
+                simulation.addAsteroidBelt(command.count, command.innerRadius, command.outerRadius);
+                break;
+            case 'setIntegrator':
+                simulation.setIntegrator(command.id);
+                break;
+            case 'setGravitySolver':
+                simulation.setGravitySolver(command.solver);
+                break;
+            case 'setOpeningAngle':
+                simulation.setOpeningAngle(command.openingAngle);
+                break;
+            case 'setCollisionPolicy':
+                simulation.setCollisionPolicy(command.policy);
+                break;
+            case 'setBoundaryPolicy':
+                simulation.setBoundaryPolicy(command.policy);
+                break;
+            case 'setBoundaryRadius':
+                simulation.setBoundaryRadius(command.radius);
+                break;
+            case 'setTimeScale':
+                simulation.setTimeScale(command.timeScale);
+                break;
+            case 'setTimeFactor':
+                simulation.setTimeFactor(command.timeFactor);
+                break;
+            case 'load':
+                simulation.deserialize(command.snapshot);
+                this.diagnostics = new Diagnostics();
+                this.generation = command.generation;
+                this.postState(command.type, null);
+                break;
+            case 'step':
+                this.step(command);
+                break;
+            default:
+                throw new Error(`Unknown simulation command "${command.type}"`);
+        }
+    }
+    
+    /**
+     * Advance the simulation and reply with the resulting state
+     * @param {Object} command - { steps, maxX, maxY, buffer } (buffer is a spare snapshot buffer handed back for reuse)
+     */
+    step(command) {
+        const simulation = this.simulation;
+        
+        for (let i = 0; i < command.steps; i++) {
+            simulation.step(command.maxX, command.maxY);
+        }
+        
+        this.postState(command.type, command.buffer);
+    }
+    
+    /**
+     * Reply with the current state and its diagnostics (computed once per reply rather than per step,
+     * as the potential energy takes a pass over every pair of bodies)
+     * @param {string} command - Type of the command being answered
+     * @param {ArrayBuffer} buffer - Spare snapshot buffer to reuse (or null)
+     */
+    postState(command, buffer) {
+        const simulation = this.simulation;
+        this.diagnostics.update(simulation);
+        
+        // The snapshot buffer is transferred (not copied) to the renderer
+        buffer = simulation.state.writeSnapshot(buffer);
+        this.send({
+            type: 'state',
+            command,
+            generation: this.generation,
+            count: simulation.state.count,
+            buffer,
+            elapsedTime: simulation.elapsedTime,
+            simulatedTime: simulation.simulatedTime,
+            stepCount: simulation.stepCount,
+            bodiesVersion: simulation.bodiesVersion,
+            events: simulation.takeEvents(),
+            diagnostics: this.diagnostics.getSummary()
+        }, [buffer]);
+    }
+}
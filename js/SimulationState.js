@@ -0,0 +1,165 @@
+/**
+ * Simulation State Class
+ * Stores every body's properties in one Float64Array buffer, one contiguous section per field
+ * (so that the whole state can be transferred between threads as a single buffer)
+ */
+export class SimulationState {
+    /**
+     * Constructor
+     * @param {number} capacity - Number of bodies the buffer can hold
+     * @param {ArrayBuffer} buffer - Existing buffer to wrap (a new one is allocated if omitted)
+     * @param {number} count - Number of bodies stored in the existing buffer
+     */
+    constructor(capacity = 64, buffer = null, count = 0) {
+        this.capacity = capacity;
+        this.buffer = buffer || new ArrayBuffer(BodyFields.length * capacity * Float64Array.BYTES_PER_ELEMENT);
+        this.setCount(count);
+    }
+    
+    /**
+     * Set the number of bodies and recreate the field views (each view is exactly count long)
+     * @param {number} count - Number of bodies
+     */
+    setCount(count) {
+        this.count = count;
+        for (let f = 0; f < BodyFields.length; f++) {
+            const offset = f * this.capacity * Float64Array.BYTES_PER_ELEMENT;
+            this[BodyFields[f]] = new Float64Array(this.buffer, offset, count);
+        }
+    }
+    
+    /**
+     * Grow the buffer so that it can hold the given number of bodies
+     * @param {number} capacity - Required number of bodies
+     */
+    ensureCapacity(capacity) {
+        if (capacity <= this.capacity) return;
+        
+        const newCapacity = Math.max(capacity, this.capacity * 2);
+        const newBuffer = new ArrayBuffer(BodyFields.length * newCapacity * Float64Array.BYTES_PER_ELEMENT);
+        for (let f = 0; f < BodyFields.length; f++) {
+            new Float64Array(newBuffer, f * newCapacity * Float64Array.BYTES_PER_ELEMENT, this.count).set(this[BodyFields[f]]);
+        }
+        
+        this.capacity = newCapacity;
+        this.buffer = newBuffer;
+        this.setCount(this.count);
+    }
+    
+    /**
+     * Append a body
+     * @param {Object} body - Body properties (keys of BodyFields; missing ones are 0)
+     * @returns {number} Index of the new body
+     */
+    add(body) {
+        this.ensureCapacity(this.count + 1);
+        const index = this.count;
+        this.setCount(this.count + 1);
+        for (const field of BodyFields) {
+            this[field][index] = body[field] || 0;
+        }
+        return index;
+    }
+    
+    /**
+     * Remove a body (later bodies move down by one, so insertion order is kept)
+     * @param {number} index - Index of the body
+     */
+    removeAt(index) {
+        for (const field of BodyFields) {
+            this[field].copyWithin(index, index + 1);
+        }
+        this.setCount(this.count - 1);
+    }
+    
+    /**
+     * Get a body as a plain object
+     * @param {number} index - Index of the body
+     * @returns {Object} Body properties
+     */
+    get(index) {
+        const body = {};
+        for (const field of BodyFields) {
+            body[field] = this[field][index];
+        }
+        return body;
+    }
+    
+    /**
+     * Find a body by ID
+     * @param {number} id - Body ID
+     * @returns {number} Index of the body, or -1 if there is none
+     */
+    indexOf(id) {
+        return this.id.indexOf(id);
+    }
+    
+    /**
+     * Calculate the center of mass of the bodies and its velocity
+     * @returns {Object} { x, y, z, vx, vy, vz, mass } (all 0 without bodies)
+     */
+    getCenterOfMass() {
+        let mass = 0;
+        let x = 0;
+        let y = 0;
+        let z = 0;
+        let vx = 0;
+        let vy = 0;
+        let vz = 0;
+        for (let i = 0; i < this.count; i++) {
+            mass += this.mass[i];
+            x += this.mass[i] * this.x[i];
+            y += this.mass[i] * this.y[i];
+            z += this.mass[i] * this.z[i];
+            vx += this.mass[i] * this.vx[i];
+            vy += this.mass[i] * this.vy[i];
+            vz += this.mass[i] * this.vz[i];
+        }
+        
+        if (mass > 0) {
+            x /= mass;
+            y /= mass;
+            z /= mass;
+            vx /= mass;
+            vy /= mass;
+            vz /= mass;
+        }
+        return { x, y, z, vx, vy, vz, mass };
+    }
+    
+    /**
+     * Copy the bodies into a compact buffer (capacity equal to count) for sending to another thread
+     * @param {ArrayBuffer} buffer - Reusable buffer (a new one is allocated if it is missing or too small)
+     * @returns {ArrayBuffer} Buffer holding the snapshot
+     */
+    writeSnapshot(buffer) {
+        const byteLength = BodyFields.length * this.count * Float64Array.BYTES_PER_ELEMENT;
+        if (!buffer || buffer.byteLength < byteLength) {
+            buffer = new ArrayBuffer(byteLength);
+        }
+        for (let f = 0; f < BodyFields.length; f++) {
+            new Float64Array(buffer, f * this.count * Float64Array.BYTES_PER_ELEMENT, this.count).set(this[BodyFields[f]]);
+        }
+        return buffer;
+    }
+    
+    /**
+     * Wrap a snapshot written by writeSnapshot()
+     * @param {ArrayBuffer} buffer - Snapshot buffer
+     * @param {number} count - Number of bodies in the snapshot
+     * @returns {SimulationState} State viewing the snapshot
+     */
+    static fromSnapshot(buffer, count) {
+        return new SimulationState(count, buffer, count);
+    }
+}
+
+// Fields stored for every body (each is a Float64Array view on the state; 'pinned' is 1 for a body held in place,
+// and 'temperature' is a star's surface temperature in kelvin, or 0 for a star colored directly and for planets)
+export const BodyFields = ['id', 'kind', 'x', 'y', 'z', 'vx', 'vy', 'vz', 'mass', 'density', 'radius', 'color', 'pinned', 'temperature'];
+
+// Values of the 'kind' field
+export const BodyKind = {
+    PLANET: 0,
+    STAR: 1
+};
@@ -0,0 +1,403 @@
+import { PhysicsConstants, SunConstants, PlanetConstants, BarnesHutConstants, CollisionConstants, BoundaryConstants, ShareConstants } from './Constants.js';
+import { Integrators } from './Integrators.js';
+import { BoundaryPolicies } from './BoundarySystem.js';
+import { CollisionPolicies } from './CollisionSystem.js';
+import { radiusFromMass } from './Gravity.js';
+import { BodyKind } from './SimulationState.js';
+
+// Identifies snapshot files of this simulator
+export const SNAPSHOT_FORMAT = 'threejs_gravsim';
+
+// Current version of the snapshot schema (see README "Snapshot format")
+export const SNAPSHOT_VERSION = 1;
+
+// Body kinds as written in snapshots
+const KindNames = {
+    [BodyKind.PLANET]: 'planet',
+    [BodyKind.STAR]: 'star'
+};
+
+/**
+ * Create a snapshot of the simulation
+ * @param {SimulationState} state - Body state
+ * @param {Object} settings - { integrator, gravitySolver, openingAngle, collisionPolicy, boundaryPolicy, boundaryRadius, timeScale, elapsedTime, simulatedTime }
+ * @param {Map<number, Array<Object>>} trails - Trail points { x, y, z } by body ID, newest first (omitted if not given)
+ * @param {Map<number, string>} names - Names given to bodies, by body ID (omitted if not given)
+ * @returns {Object} Snapshot (plain object that can be written as JSON)
+ */
+export function createSnapshot(state, settings, trails = new Map(), names = new Map()) {
+    const bodies = [];
+    for (let i = 0; i < state.count; i++) {
+        const body = {
+            id: state.id[i],
+            kind: KindNames[state.kind[i]],
+            x: state.x[i],
+            y: state.y[i],
+            z: state.z[i],
+            vx: state.vx[i],
+            vy: state.vy[i],
+            vz: state.vz[i],
+            mass: state.mass[i],
+            radius: state.radius[i],
+            color: colorToHex(state.color[i])
+        };
+        if (state.kind[i] === BodyKind.PLANET) {
+            body.density = state.density[i];
+        } else if (state.temperature[i] > 0) {
+            body.temperature = state.temperature[i];
+        }
+        if (state.pinned[i]) {
+            body.pinned = true;
+        }
+        if (names.get(body.id)) {
+            body.name = names.get(body.id);
+        }
+        if (trails.has(body.id)) {
+            body.trail = trails.get(body.id).map(point => [point.x, point.y, point.z]);
+        }
+        bodies.push(body);
+    }
+    
+    return {
+        format: SNAPSHOT_FORMAT,
+        version: SNAPSHOT_VERSION,
+        integrator: settings.integrator,
+        gravitySolver: settings.gravitySolver,
+        openingAngle: settings.openingAngle,
+        collisionPolicy: settings.collisionPolicy,
+        boundaryPolicy: settings.boundaryPolicy,
+        boundaryRadius: settings.boundaryRadius,
+        timeScale: settings.timeScale,
+        elapsedTime: settings.elapsedTime,
+        simulatedTime: settings.simulatedTime,
+        bodies
+    };
+}
+
+/**
+ * Validate a snapshot and fill in optional values
+ * @param {Object} data - Snapshot as parsed from JSON
+ * @returns {Object} Snapshot with every value present (body kinds as BodyKind, colors as numbers, pinned as 0 or 1,
+ *     trails as { x, y, z })
+ * @throws {Error} If the data is not a snapshot this version can read
+ */
+export function readSnapshot(data) {
+    if (!data || typeof data !== 'object' || data.format !== SNAPSHOT_FORMAT) {
+        throw new Error('Not a gravity simulator snapshot');
+    }
+    if (!Number.isInteger(data.version) || data.version < 1 || data.version > SNAPSHOT_VERSION) {
+        throw new Error(`Unsupported snapshot version ${data.version} (this version reads up to ${SNAPSHOT_VERSION})`);
+    }
+    if (!Array.isArray(data.bodies)) {
+        throw new Error('Snapshot has no "bodies" array');
+    }
+    
+    const choice = (value, options, fallback, name) => {
+        if (value === undefined) return fallback;
+        if (!Object.prototype.hasOwnProperty.call(options, value)) throw new Error(`Unknown ${name} "${value}"`);
+        return value;
+    };
+    
+    // Bodies without an ID (e.g. written by hand) get one after the highest ID in the file
+    const ids = new Set();
+    let nextId = 1 + data.bodies.reduce((max, body) => Math.max(max, Number.isInteger(body && body.id) ? body.id : 0), 0);
+    
+    const bodies = data.bodies.map((body, index) => {
+        const where = `body ${index}`;
+        if (!body || typeof body !== 'object') {
+            throw new Error(`${where} is not an object`);
+        }
+        
+        if (body.kind !== 'star' && body.kind !== 'planet') {
+            throw new Error(`${where} has unknown kind "${body.kind}"`);
+        }
+        const kind = body.kind === 'star' ? BodyKind.STAR : BodyKind.PLANET;
+        
+        const number = (name, fallback) => {
+            const value = body[name] === undefined ? fallback : body[name];
+            if (typeof value !== 'number' || !Number.isFinite(value)) {
+                throw new Error(`${where} has no valid "${name}"`);
+            }
+            return value;
+        };
+        
+        const id = body.id === undefined ? nextId++ : body.id;
+        if (!Number.isInteger(id) || id < 1 || ids.has(id)) {
+            throw new Error(`${where} has an invalid or duplicate "id"`);
+        }
+        ids.add(id);
+        
+        const mass = number('mass', kind === BodyKind.STAR ? SunConstants.MASS : PlanetConstants.MASS);
+        const density = kind === BodyKind.PLANET ? number('density', PlanetConstants.DENSITY) : 0;
+        if (mass <= 0 || (kind === BodyKind.PLANET && density <= 0)) {
+            throw new Error(`${where} must have a positive mass and density`);
+        }
+        
+        // Trail points are [x, y, z], or [x, y] for points in the X-Y plane (written before bodies had a Z coordinate)
+        const trail = body.trail === undefined ? [] : body.trail;
+        const isPoint = point => Array.isArray(point) && (point.length === 2 || point.length === 3) && point.every(Number.isFinite);
+        if (!Array.isArray(trail) || !trail.every(isPoint)) {
+            throw new Error(`${where} has an invalid "trail"`);
+        }
+        
+        const pinned = body.pinned === undefined ? false : body.pinned;
+        if (typeof pinned !== 'boolean') {
+            throw new Error(`${where} has an invalid "pinned" (expected true or false)`);
+        }
+        const name = body.name === undefined ? '' : body.name;
+        if (typeof name !== 'string') {
+            throw new Error(`${where} has an invalid "name"`);
+        }
+        const temperature = kind === BodyKind.STAR ? number('temperature', 0) : 0;
+        if (temperature < 0) {
+            throw new Error(`${where} has a negative "temperature"`);
+        }
+        
+        return {
+            id,
+            kind,
+            x: number('x'),
+            y: number('y'),
+            z: number('z', 0),
+            vx: number('vx', 0),
+            vy: number('vy', 0),
+            vz: number('vz', 0),
+            mass,
+            density,
+            radius: number('radius', kind === BodyKind.STAR ? SunConstants.RADIUS : radiusFromMass(mass, density)),
+            color: hexToColor(body.color === undefined ? colorToHex(kind === BodyKind.STAR ? SunConstants.COLOR : 0xFFFFFF) : body.color, where),
+            pinned: pinned ? 1 : 0,
+            temperature,
+            name,
+            trail: trail.map(([x, y, z = 0]) => ({ x, y, z }))
+        };
+    });
+    
+    const setting = (name, fallback) => {
+        const value = data[name] === undefined ? fallback : data[name];
+        if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+            throw new Error(`Snapshot has an invalid "${name}"`);
+        }
+        return value;
+    };
+    
+    // A boundary of size 0 would make the periodic domain empty
+    const boundaryRadius = setting('boundaryRadius', BoundaryConstants.RADIUS);
+    if (boundaryRadius === 0) {
+        throw new Error('Snapshot has an invalid "boundaryRadius"');
+    }
+    
+    // Simulated time goes negative when time runs backward past the start
+    const simulatedTime = data.simulatedTime === undefined ? 0 : data.simulatedTime;
+    if (typeof simulatedTime !== 'number' || !Number.isFinite(simulatedTime)) {
+        throw new Error('Snapshot has an invalid "simulatedTime"');
+    }
+    
+    return {
+        format: SNAPSHOT_FORMAT,
+        version: SNAPSHOT_VERSION,
+        integrator: choice(data.integrator, Integrators, PhysicsConstants.DEFAULT_INTEGRATOR, 'integrator'),
+        gravitySolver: choice(data.gravitySolver, { direct: true, barnesHut: true }, PhysicsConstants.DEFAULT_GRAVITY_SOLVER, 'gravity solver'),
+        openingAngle: setting('openingAngle', BarnesHutConstants.OPENING_ANGLE),
+        collisionPolicy: choice(data.collisionPolicy, CollisionPolicies, CollisionConstants.DEFAULT_POLICY, 'collision policy'),
+        boundaryPolicy: choice(data.boundaryPolicy, BoundaryPolicies, BoundaryConstants.DEFAULT_POLICY, 'boundary policy'),
+        boundaryRadius,
+        timeScale: setting('timeScale', PhysicsConstants.TIME_SCALE),
+        elapsedTime: setting('elapsedTime', 0),
+        simulatedTime,
+        bodies
+    };
+}
+
+/**
+ * Convert a color to CSS hex notation
+ * @param {number} color - Color (0xRRGGBB)
+ * @returns {string} Color as "#rrggbb"
+ */
+export function colorToHex(color) {
+    return '#' + color.toString(16).padStart(6, '0');
+}
+
+/**
+ * Convert a color in CSS hex notation to a number
+ * @param {string} hex - Color as "#rrggbb"
+ * @param {string} where - Description of the body, for the error message
+ * @returns {number} Color (0xRRGGBB)
+ * @throws {Error} If the color is not in "#rrggbb" notation
+ */
+function hexToColor(hex, where) {
+    if (typeof hex !== 'string' || !/^#[0-9a-fA-F]{6}$/.test(hex)) {
+        throw new Error(`${where} has an invalid "color" (expected "#rrggbb")`);
+    }
+    return parseInt(hex.slice(1), 16);
+}
+
+// Version of the compact (URL) encoding
+export const SNAPSHOT_CODE_VERSION = 1;
+
+// Settings stored as indices in the compact encoding (append only, so that old links stay valid)
+const IntegratorCodes = ['euler', 'verlet', 'leapfrog', 'rk4', 'yoshida'];
+const GravitySolverCodes = ['direct', 'barnesHut'];
+const CollisionPolicyCodes = ['merge', 'bounce', 'fragment'];
+const BoundaryPolicyCodes = ['screen', 'keep', 'escapeRadius', 'unbound', 'wrap'];
+
+// Byte sizes of the compact encoding: header (version, 4 setting indices: integrator, gravity solver, collision
+// and boundary policy, body count, and 5 doubles: time scale, opening angle, elapsed time, simulated time and
+// boundary radius) and each body (kind with flags, RGB color and 8 doubles: x, y, z, vx, vy, vz, mass, and radius
+// for stars or density for planets), which optional fields follow when their flag is set: the temperature of a star
+// (a double) and the name (UTF-8, after its length in bytes as an unsigned 16-bit integer)
+const CODE_HEADER_SIZE = 5 + 4 + 5 * 8;
+const CODE_BODY_SIZE = 4 + 8 * 8;
+const CODE_PINNED = 0x80;
+const CODE_NAMED = 0x40;
+const CODE_TEMPERATURE = 0x20;
+const CODE_KIND_MASK = 0x1F;
+
+/**
+ * Encode a snapshot compactly (binary, base64url) for use in a URL; trails are left out
+ * @param {Object} data - Snapshot (see createSnapshot())
+ * @returns {string} Encoded snapshot
+ * @throws {Error} If the code would be longer than ShareConstants.MAX_CODE_LENGTH
+ */
+export function encodeSnapshot(data) {
+    const snapshot = readSnapshot(data);
+    const encoder = new TextEncoder();
+    const names = snapshot.bodies.map(body => encoder.encode(body.name).subarray(0, 0xFFFF));
+    const size = snapshot.bodies.reduce((size, body, index) => size + CODE_BODY_SIZE
+        + (body.temperature > 0 ? 8 : 0)
+        + (names[index].length > 0 ? 2 + names[index].length : 0), CODE_HEADER_SIZE);
+    
+    // Base64url takes 4 characters per 3 bytes
+    const length = Math.ceil(size * 4 / 3);
+    if (length > ShareConstants.MAX_CODE_LENGTH) {
+        throw new Error(`The system is too large to share as a link (${snapshot.bodies.length} bodies would take ${length} characters,`
+            + ` the limit is ${ShareConstants.MAX_CODE_LENGTH}); save it as a file instead`);
+    }
+    
+    const bytes = new Uint8Array(size);
+    const view = new DataView(bytes.buffer);
+    
+    view.setUint8(0, SNAPSHOT_CODE_VERSION);
+    view.setUint8(1, IntegratorCodes.indexOf(snapshot.integrator));
+    view.setUint8(2, GravitySolverCodes.indexOf(snapshot.gravitySolver));
+    view.setUint8(3, CollisionPolicyCodes.indexOf(snapshot.collisionPolicy));
+    view.setUint8(4, BoundaryPolicyCodes.indexOf(snapshot.boundaryPolicy));
+    view.setUint32(5, snapshot.bodies.length, true);
+    [snapshot.timeScale, snapshot.openingAngle, snapshot.elapsedTime, snapshot.simulatedTime, snapshot.boundaryRadius]
+        .forEach((value, i) => view.setFloat64(9 + i * 8, value, true));
+    
+    // Full double precision, so that a shared system evolves exactly like the original
+    let offset = CODE_HEADER_SIZE;
+    snapshot.bodies.forEach((body, index) => {
+        const name = names[index];
+        const flags = (body.pinned ? CODE_PINNED : 0) | (name.length > 0 ? CODE_NAMED : 0) | (body.temperature > 0 ? CODE_TEMPERATURE : 0);
+        view.setUint8(offset, body.kind | flags);
+        view.setUint8(offset + 1, (body.color >> 16) & 0xFF);
+        view.setUint8(offset + 2, (body.color >> 8) & 0xFF);
+        view.setUint8(offset + 3, body.color & 0xFF);
+        [body.x, body.y, body.z, body.vx, body.vy, body.vz, body.mass, body.kind === BodyKind.STAR ? body.radius : body.density]
+            .forEach((value, i) => view.setFloat64(offset + 4 + i * 8, value, true));
+        offset += CODE_BODY_SIZE;
+        
+        if (flags & CODE_TEMPERATURE) {
+            view.setFloat64(offset, body.temperature, true);
+            offset += 8;
+        }
+        if (flags & CODE_NAMED) {
+            view.setUint16(offset, name.length, true);
+            bytes.set(name, offset + 2);
+            offset += 2 + name.length;
+        }
+    });
+    
+    // Base64url: base64 without padding, using characters that need no escaping in a URL
+    let binary = '';
+    for (let i = 0; i < bytes.length; i++) {
+        binary += String.fromCharCode(bytes[i]);
+    }
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decode a snapshot encoded by encodeSnapshot()
+ * @param {string} code - Encoded snapshot
+ * @returns {Object} Snapshot (see createSnapshot())
+ * @throws {Error} If the code is malformed
+ */
+export function decodeSnapshot(code) {
+    let binary;
+    try {
+        binary = atob(code.replace(/-/g, '+').replace(/_/g, '/'));
+    } catch (error) {
+        throw new Error('Scenario code is not valid base64url');
+    }
+    
+    const bytes = Uint8Array.from(binary, character => character.charCodeAt(0));
+    const view = new DataView(bytes.buffer);
+    if (bytes.length === 0) {
+        throw new Error('Scenario code is too short');
+    }
+    const version = view.getUint8(0);
+    if (version !== SNAPSHOT_CODE_VERSION) {
+        throw new Error(`Unsupported scenario code version ${version}`);
+    }
+    if (bytes.length < CODE_HEADER_SIZE) {
+        throw new Error('Scenario code is too short');
+    }
+    
+    const count = view.getUint32(5, true);
+    const decoder = new TextDecoder();
+    const bodies = [];
+    let offset = CODE_HEADER_SIZE;
+    for (let index = 0; index < count; index++) {
+        if (offset + CODE_BODY_SIZE > bytes.length) {
+            throw new Error('Scenario code is truncated');
+        }
+        const value = i => view.getFloat64(offset + 4 + i * 8, true);
+        const kindByte = view.getUint8(offset);
+        const kind = (kindByte & CODE_KIND_MASK) === BodyKind.STAR ? 'star' : 'planet';
+        const color = (view.getUint8(offset + 1) << 16) | (view.getUint8(offset + 2) << 8) | view.getUint8(offset + 3);
+        const body = { kind, x: value(0), y: value(1), z: value(2), vx: value(3), vy: value(4), vz: value(5), mass: value(6), color: colorToHex(color) };
+        body[kind === 'star' ? 'radius' : 'density'] = value(7);
+        if (kindByte & CODE_PINNED) {
+            body.pinned = true;
+        }
+        offset += CODE_BODY_SIZE;
+        
+        if (kindByte & CODE_TEMPERATURE) {
+            if (offset + 8 > bytes.length) {
+                throw new Error('Scenario code is truncated');
+            }
+            body.temperature = view.getFloat64(offset, true);
+            offset += 8;
+        }
+        if (kindByte & CODE_NAMED) {
+            const length = offset + 2 <= bytes.length ? view.getUint16(offset, true) : Infinity;
+            if (offset + 2 + length > bytes.length) {
+                throw new Error('Scenario code is truncated');
+            }
+            body.name = decoder.decode(bytes.subarray(offset + 2, offset + 2 + length));
+            offset += 2 + length;
+        }
+        bodies.push(body);
+    }
+    if (offset !== bytes.length) {
+        throw new Error('Scenario code has trailing data');
+    }
+    
+    // Unknown indices become undefined, which readSnapshot() replaces with the defaults
+    return {
+        format: SNAPSHOT_FORMAT,
+        version: SNAPSHOT_VERSION,
+        integrator: IntegratorCodes[view.getUint8(1)],
+        gravitySolver: GravitySolverCodes[view.getUint8(2)],
+        collisionPolicy: CollisionPolicyCodes[view.getUint8(3)],
+        boundaryPolicy: BoundaryPolicyCodes[view.getUint8(4)],
+        timeScale: view.getFloat64(9, true),
+        openingAngle: view.getFloat64(17, true),
+        elapsedTime: view.getFloat64(25, true),
+        simulatedTime: view.getFloat64(33, true),
+        boundaryRadius: view.getFloat64(41, true),
+        bodies
+    };
+}
@@ -0,0 +1,20 @@
+import { SunConstants } from './Constants.js';
+
+/**
+ * Get the color of a star from its surface temperature
+ * (Tanner Helland's piecewise approximation of the color of a black body, fitted to Mitchell Charity's blackbody color table)
+ * @param {number} temperature - Surface temperature in kelvin (clamped to SunConstants.MIN_TEMPERATURE - MAX_TEMPERATURE)
+ * @returns {number} Color as 0xRRGGBB
+ */
+export function temperatureToColor(temperature) {
+    const t = Math.min(Math.max(temperature, SunConstants.MIN_TEMPERATURE), SunConstants.MAX_TEMPERATURE) / 100;
+    
+    const red = t <= 66 ? 255 : 329.698727446 * Math.pow(t - 60, -0.1332047592);
+    const green = t <= 66
+        ? 99.4708025861 * Math.log(t) - 161.1195681661
+        : 288.1221695283 * Math.pow(t - 60, -0.0755148492);
+    const blue = t >= 66 ? 255 : t <= 19 ? 0 : 138.5177312231 * Math.log(t - 10) - 305.0447927307;
+    
+    const channel = value => Math.round(Math.min(Math.max(value, 0), 255));
+    return (channel(red) << 16) | (channel(green) << 8) | channel(blue);
+}
@@ -1,108 +1,180 @@
+import { SunConstants, EffectConstants } from './Constants.js';
+
 /**
  * Sun Class
- * Manages rendering and physical properties of the sun
+ * Renders a star of the simulation and mirrors its latest state
+ * (stars are dynamic bodies: they attract and are attracted by every other body).
+ * The star is drawn by shaders on two quads turned toward the camera: a limb-darkened photosphere,
+ * which looks like a sphere from any direction, and a glowing corona with rays that shift over time;
+ * nothing is allocated after construction. Impacts make the star flare up briefly.
  */
-class Sun {
+export class Sun {
     /**
      * Constructor
      * @param {THREE.Scene} scene - Three.js scene
+     * @param {Object} body - Body properties from the simulation state (id, x, y, z, vx, vy, vz, mass, radius, color, pinned, temperature)
      */
-    constructor(scene) {
+    constructor(scene, body) {
         this.scene = scene;
+        this.id = body.id;
+        this.x = body.x;
+        this.y = body.y;
+        this.z = body.z;
+        this.vx = body.vx;
+        this.vy = body.vy;
+        this.vz = body.vz;
+        this.mass = body.mass;
+        this.radius = body.radius;
+        this.color = body.color;
+        this.pinned = body.pinned === 1;
+        this.temperature = body.temperature;
+        
+        // Brightening from recent impacts (0 when calm), and the time it was last faded at
+        this.flareLevel = 0;
+        this.flareTime = null;
+        
+        // Group holding every visual part of the star (moved as a whole, and turned to face the camera)
+        this.group = new THREE.Group();
+        this.group.position.set(this.x, this.y, this.z);
+        this.scene.add(this.group);
         
         // Create sun light
-        this.light = new THREE.PointLight(SunConstants.COLOR, 1, 1000);
+        this.light = new THREE.PointLight(this.color, 1, 1000);
         this.light.position.set(0, 0, 0);
-        this.scene.add(this.light);
+        this.group.add(this.light);
         
-        // Create sun rays
-        this.createSunRays();
+        // Uniforms shared by the photosphere and the corona (the seed sets each star's own pattern of rays)
+        this.uniforms = {
+            color: { value: new THREE.Color(this.color) },
+            time: { value: 0 },
+            seed: { value: Math.random() * 100 },
+            coronaSize: { value: SunConstants.CORONA_SIZE },
+            flare: { value: 0 }
+        };
         
-        // Create sun geometry and material
-        this.geometry = new THREE.CircleGeometry(SunConstants.RADIUS, 32);
-        this.material = new THREE.MeshBasicMaterial({
-            color: SunConstants.COLOR,
-            transparent: false,
-            opacity: 1.0
+        // Corona and rays, on a quad reaching CORONA_SIZE radii from the center (added to whatever is behind)
+        this.coronaGeometry = new THREE.PlaneGeometry(2, 2);
+        this.coronaMaterial = new THREE.ShaderMaterial({
+            uniforms: this.uniforms,
+            vertexShader: VERTEX_SHADER,
+            fragmentShader: CORONA_FRAGMENT_SHADER,
+            transparent: true,
+            depthWrite: false,
+            blending: THREE.AdditiveBlending
         });
+        this.corona = new THREE.Mesh(this.coronaGeometry, this.coronaMaterial);
+        this.group.add(this.corona);
         
-        // Create sun mesh
+        // Photosphere, on a unit disc scaled to the radius
+        this.geometry = new THREE.CircleGeometry(1, 64);
+        this.material = new THREE.ShaderMaterial({
+            uniforms: this.uniforms,
+            vertexShader: VERTEX_SHADER,
+            fragmentShader: PHOTOSPHERE_FRAGMENT_SHADER
+        });
         this.mesh = new THREE.Mesh(this.geometry, this.material);
-        this.scene.add(this.mesh);
+        this.group.add(this.mesh);
+        
+        this.setRadius(this.radius);
+    }
+    
+    /**
+     * Turn the star toward the camera, so that the corona and rays spread around it in any view
+     * @param {THREE.Camera} camera - Camera showing the view
+     */
+    faceCamera(camera) {
+        this.group.quaternion.copy(camera.quaternion);
     }
     
     /**
-     * Create sun rays
+     * Update sun (called once per frame)
+     * @param {number} time - Time in seconds driving the animation of the surface and the rays
      */
-    createSunRays() {
-        this.rays = [];
+    update(time) {
+        this.uniforms.time.value = time;
         
-        // Create 10 rays
-        for (let i = 0; i < 10; i++) {
-            // Random angle (0-359 degrees)
-            const angle = Math.random() * Math.PI * 2;
-            
-            // Line starting point (sun center, Z coordinate set behind the sun body)
-            const startX = 0;
-            const startY = 0;
-            const startZ = -1; // Set behind the sun body
-            
-            // Line endpoint 
-            const length = 2 + Math.random() * 2;
-            const endX = length * Math.cos(angle);
-            const endY = length * Math.sin(angle);
-            const endZ = -1; // Set behind the sun body
-            
-            // Create ray geometry
-            const rayGeometry = new THREE.BufferGeometry();
-            const vertices = new Float32Array([
-                startX, startY, startZ,
-                endX, endY, endZ
-            ]);
-            rayGeometry.setAttribute('position', new THREE.BufferAttribute(vertices, 3));
-            
-            // Create ray material
-            const rayMaterial = new THREE.LineBasicMaterial({
-                color: SunConstants.COLOR
-            });
-            
-            // Create ray line
-            const ray = new THREE.Line(rayGeometry, rayMaterial);
-            this.scene.add(ray);
-            this.rays.push(ray);
+        // The color is edited in the body panel
+        this.uniforms.color.value.setHex(this.color);
+        this.light.color.setHex(this.color);
+        
+        // Fade the flare
+        if (this.flareTime !== null) {
+            this.flareLevel *= Math.exp(-Math.max(time - this.flareTime, 0) / EffectConstants.FLARE_DECAY);
         }
+        this.flareTime = time;
+        this.uniforms.flare.value = this.flareLevel;
+        this.light.intensity = 1 + this.flareLevel;
     }
     
     /**
-     * Calculate sun color
-     * @returns {THREE.Color} Sun color
+     * Brighten the star after an impact (flares add up, to at most EffectConstants.MAX_FLARE, and fade with update())
+     * @param {number} intensity - Impact intensity (see EffectRenderer.intensityOf())
      */
-    calculateColor() {
-        // Generate brightness fluctuation (range 0.7-1.3)
-        const brightness = 1.0 + (Math.random() * 2 - 1) * SunConstants.BRIGHTNESS_FLUCTUATION;
+    flare(intensity) {
+        this.flareLevel = Math.min(this.flareLevel + EffectConstants.FLARE_STRENGTH * intensity, EffectConstants.MAX_FLARE);
+    }
+    
+    /**
+     * Update the sun from the simulation state
+     * @param {SimulationState} state - Body state
+     * @param {number} index - Index of this star in the state
+     */
+    sync(state, index) {
+        this.setMotion(state.x[index], state.y[index], state.z[index], state.vx[index], state.vy[index], state.vz[index]);
+        this.mass = state.mass[index];
+        this.pinned = state.pinned[index] === 1;
+        this.temperature = state.temperature[index];
         
-        // Apply brightness to base color
-        const color = new THREE.Color(SunConstants.COLOR);
-        color.r = Math.min(1, color.r * brightness);
-        color.g = Math.min(1, color.g * brightness);
-        color.b = Math.min(1, color.b * brightness);
+        // The color is applied by update() on the next frame
+        this.color = state.color[index];
+        if (this.radius !== state.radius[index]) {
+            this.setRadius(state.radius[index]);
+        }
+    }
+    
+    /**
+     * Set sun position and velocity
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @param {number} z - Z coordinate
+     * @param {number} vx - X velocity
+     * @param {number} vy - Y velocity
+     * @param {number} vz - Z velocity
+     */
+    setMotion(x, y, z, vx, vy, vz) {
+        this.x = x;
+        this.y = y;
+        this.z = z;
+        this.vx = vx;
+        this.vy = vy;
+        this.vz = vz;
         
-        return color;
+        // Update group position
+        this.group.position.set(this.x, this.y, this.z);
+    }
+    
+    /**
+     * Change sun radius
+     * @param {number} radius - New sun radius
+     */
+    setRadius(radius) {
+        this.radius = radius;
+        this.mesh.scale.setScalar(radius);
+        this.corona.scale.setScalar(radius * SunConstants.CORONA_SIZE);
     }
     
     /**
-     * Update sun
+     * Remove sun
      */
-    update() {
-        // Update sun color
-        const newColor = this.calculateColor();
-        this.material.color.copy(newColor);
-        this.light.color.copy(newColor);
+    remove() {
+        // Remove every visual part from scene
+        this.scene.remove(this.group);
         
-        // Update rays (create new rays)
-        this.rays.forEach(ray => this.scene.remove(ray));
-        this.rays = [];
-        this.createSunRays();
+        // Dispose of geometries and materials
+        this.geometry.dispose();
+        this.material.dispose();
+        this.coronaGeometry.dispose();
+        this.coronaMaterial.dispose();
     }
     
     /**
@@ -110,7 +182,7 @@ class Sun {
      * @returns {number} Sun mass
      */
     getMass() {
-        return SunConstants.MASS;
+        return this.mass;
     }
     
     /**
@@ -118,6 +190,62 @@ class Sun {
      * @returns {number} Sun radius
      */
     getRadius() {
-        return SunConstants.RADIUS;
+        return this.radius;
     }
 }
+
+// Passes the position on the quad (-1 to 1 on both axes) to the fragment shaders
+const VERTEX_SHADER = `
+    varying vec2 vPosition;
+    
+    void main() {
+        vPosition = position.xy;
+        gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+    }
+`;
+
+// Photosphere: whiter at the center and darker and redder toward the limb (linear limb darkening, stronger
+// for blue light), with a faint shifting granulation; a flare brightens and whitens it
+const PHOTOSPHERE_FRAGMENT_SHADER = `
+    uniform vec3 color;
+    uniform float time;
+    uniform float seed;
+    uniform float flare;
+    varying vec2 vPosition;
+    
+    void main() {
+        float mu = sqrt(max(1.0 - dot(vPosition, vPosition), 0.0));
+        vec3 limb = 1.0 - vec3(0.35, 0.5, 0.65) * (1.0 - mu);
+        float granulation = sin(17.0 * vPosition.x + 0.9 * time + seed) * sin(19.0 * vPosition.y - 1.1 * time + seed)
+            + sin(23.0 * (vPosition.x + vPosition.y) + 0.7 * time);
+        vec3 surface = mix(color, vec3(1.0), min(0.25 * mu + 0.3 * flare, 1.0));
+        gl_FragColor = vec4(surface * limb * (1.0 + 0.03 * granulation + 0.5 * flare), 1.0);
+    }
+`;
+
+// Corona: a glow falling off with height above the surface, and rays from two interfering angular waves
+// whose phases drift at different speeds (whole numbers of waves per turn, so there is no seam); a flare brightens
+// the corona and spreads the glow outward
+const CORONA_FRAGMENT_SHADER = `
+    uniform vec3 color;
+    uniform float time;
+    uniform float seed;
+    uniform float coronaSize;
+    uniform float flare;
+    varying vec2 vPosition;
+    
+    void main() {
+        float r = length(vPosition) * coronaSize;
+        if (r < 1.0 || r > coronaSize) discard;
+        
+        float height = r - 1.0;
+        float angle = atan(vPosition.y, vPosition.x);
+        float glow = exp(-4.0 * height / (1.0 + flare));
+        float rays = (0.5 + 0.5 * sin(7.0 * angle + seed + 0.4 * time + 2.0 * sin(3.0 * angle - 0.25 * time)))
+            * (0.5 + 0.5 * sin(11.0 * angle - seed + 0.3 * time + 1.5 * sin(5.0 * angle + 0.35 * time)));
+        rays = rays * rays * exp(-1.2 * height);
+        
+        float intensity = (0.8 * glow + 0.6 * rays) * (1.0 + flare) * (1.0 - smoothstep(0.7 * coronaSize, coronaSize, r));
+        gl_FragColor = vec4(color, intensity);
+    }
+`;
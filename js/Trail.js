@@ -0,0 +1,144 @@
+/**
+ * Trail Class
+ * Keeps the recent path of a body as a column of the shared ring buffer of a TrailRenderer, which draws
+ * every trail at once. Points are added one per row of the buffer, so a trail that misses a row starts over.
+ */
+export class Trail {
+    /**
+     * Constructor
+     * @param {TrailRenderer} renderer - Renderer holding the points
+     * @param {number} color - Line color
+     */
+    constructor(renderer, color) {
+        this.renderer = renderer;
+        this.column = renderer.attach(this);
+        
+        // Number of points, and the tick of the renderer the newest one was added in
+        this.count = 0;
+        this.newestTick = -1;
+        
+        this.setColor(color);
+    }
+    
+    /**
+     * Get the number of points still held (points in rows reused since the trail was last added to are gone)
+     * @returns {number} Number of points
+     */
+    getCount() {
+        const renderer = this.renderer;
+        return Math.max(Math.min(this.count, renderer.length - (renderer.tick - this.newestTick)), 0);
+    }
+    
+    /**
+     * Remove every point
+     */
+    clear() {
+        const count = this.getCount();
+        if (count > 0) {
+            this.renderer.clearPoints(this.column, this.newestTick - count + 1, this.newestTick);
+        }
+        this.count = 0;
+    }
+    
+    /**
+     * Replace the points (e.g. with a trail restored from a snapshot or a recording), ending in the renderer's newest row
+     * @param {Array<Object>} points - Points { x, y, z, time } in world coordinates, newest first
+     */
+    set(points) {
+        this.clear();
+        
+        const renderer = this.renderer;
+        const count = Math.min(points.length, renderer.length);
+        for (let age = 0; age < count; age++) {
+            const point = points[age];
+            renderer.writePoint(this.column, renderer.tick - age, point.x, point.y, point.z, point.time);
+        }
+        this.count = count;
+        this.newestTick = renderer.tick;
+        this.updateOldestTime();
+    }
+    
+    /**
+     * Add a point to the row started last (see TrailRenderer.startRow())
+     * @param {number} x - X coordinate in world space
+     * @param {number} y - Y coordinate in world space
+     * @param {number} z - Z coordinate in world space
+     * @param {number} time - Simulation step time of the point
+     */
+    add(x, y, z, time) {
+        const renderer = this.renderer;
+        if (renderer.length === 0 || this.newestTick === renderer.tick) return;
+        
+        // A trail continues only from a point in the previous row
+        if (this.newestTick !== renderer.tick - 1) {
+            this.clear();
+        }
+        
+        renderer.writePoint(this.column, renderer.tick, x, y, z, time);
+        this.count = Math.min(this.count + 1, renderer.length);
+        this.newestTick = renderer.tick;
+        this.updateOldestTime();
+    }
+    
+    /**
+     * Pass the time of the oldest point to the renderer (the line fades out toward it)
+     */
+    updateOldestTime() {
+        const count = this.getCount();
+        if (count > 0) {
+            this.renderer.setOldestTime(this.column, this.renderer.readTime(this.column, this.newestTick - count + 1));
+        }
+    }
+    
+    /**
+     * Get the newest point
+     * @returns {Object|null} Point { x, y, z } in world coordinates, or null if the trail is empty
+     */
+    getLatest() {
+        return this.getCount() > 0 ? this.renderer.readPoint(this.column, this.newestTick) : null;
+    }
+    
+    /**
+     * Get the points
+     * @param {number} limit - Maximum number of points returned
+     * @returns {Array<Object>} Points { x, y, z } in world coordinates, newest first
+     */
+    getPoints(limit = Infinity) {
+        const points = [];
+        const count = Math.min(limit, this.getCount());
+        for (let age = 0; age < count; age++) {
+            points.push(this.renderer.readPoint(this.column, this.newestTick - age));
+        }
+        return points;
+    }
+    
+    /**
+     * Change the line color
+     * @param {number} color - New color
+     */
+    setColor(color) {
+        this.color = color;
+        this.renderer.setColor(this.column, color);
+    }
+    
+    /**
+     * Remove the trail, freeing its column
+     */
+    remove() {
+        this.clear();
+        this.renderer.detach(this.column);
+    }
+}
+
+// How trails are kept
+export const TrailModes = {
+    infinite: 'Full length',
+    timed: 'Time-limited'
+};
+
+// Frames of reference the trails are drawn in
+export const TrailFrames = {
+    inertial: 'Inertial',
+    coMoving: 'Co-moving with followed body',
+    rotating: 'Rotating with followed body'
+};
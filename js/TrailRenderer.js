@@ -0,0 +1,407 @@
+import { TrailConstants } from './Constants.js';
+
+/**
+ * Trail Renderer Class
+ * Draws the trails of all planets as one set of line segments over a shared, preallocated ring buffer.
+ * The buffer holds one row of points per trail update and one column per trail, so adding a point to every trail
+ * writes (and uploads) a single row, and all trails take one draw call. Every point keeps the time it was added at,
+ * from which the shader fades the lines with age and hides points beyond the time limit; the color of each trail
+ * and the time of its oldest point are read from a small texture indexed by column.
+ * Points are stored in the trails' frame of reference (relative to a moving center, turned with a rotating frame),
+ * and the lines are drawn with the frame's current position and rotation.
+ * The buffer holds at most TrailConstants.MAX_POINTS points, so with many trails each keeps fewer points than asked for.
+ */
+export class TrailRenderer {
+    /**
+     * Constructor
+     * @param {THREE.Scene} scene - Three.js scene
+     * @param {number} length - Maximum number of points per trail
+     */
+    constructor(scene, length) {
+        this.scene = scene;
+        
+        // Frame of reference the points are stored in (center and rotation about the Z axis)
+        this.frame = { x: 0, y: 0, z: 0, angle: 0 };
+        
+        // Trail of each column (null for a free column)
+        this.trails = [];
+        
+        this.material = new THREE.ShaderMaterial({
+            uniforms: {
+                trailData: { value: null },
+                trailDataSize: { value: new THREE.Vector2() },
+                opacity: { value: TrailConstants.OPACITY },
+                now: { value: 0 },
+                maxAge: { value: NO_TIME_LIMIT },
+                fade: { value: false }
+            },
+            vertexShader: VERTEX_SHADER,
+            fragmentShader: FRAGMENT_SHADER,
+            transparent: true,
+            depthWrite: false
+        });
+        this.lines = null;
+        this.texture = null;
+        
+        // Reused for converting colors
+        this.color = new THREE.Color();
+        
+        this.allocate(length, TrailConstants.INITIAL_CAPACITY);
+    }
+    
+    /**
+     * Replace the ring buffer (every trail starts over)
+     * @param {number} length - Maximum number of points per trail (0 hides the trails)
+     * @param {number} capacity - Number of columns (a multiple of DATA_WIDTH)
+     */
+    allocate(length, capacity) {
+        // Number of points asked for, and the number kept (fewer when the columns would not fit otherwise)
+        this.requestedLength = length;
+        this.length = TrailRenderer.fitLength(length, capacity);
+        this.capacity = capacity;
+        
+        // One row more than the points, kept as a gap between the newest and the oldest points
+        this.rowCount = this.length + 1;
+        
+        // Row the next points are written to, and the number of rows started so far
+        // (a trail tells from it whether its newest point is in the previous row)
+        this.head = 0;
+        this.tick = 0;
+        
+        this.build(new Float32Array(this.rowCount * capacity * 3), new Float32Array(this.rowCount * capacity).fill(GAP_TIME),
+            new Float32Array(capacity * 4));
+        for (const trail of this.trails) {
+            if (trail) {
+                trail.count = 0;
+                trail.newestTick = -1;
+                this.setColor(trail.column, trail.color);
+            }
+        }
+    }
+    
+    /**
+     * Get the number of points per trail kept in a buffer of the given number of columns
+     * @param {number} length - Number of points asked for
+     * @param {number} capacity - Number of columns
+     * @returns {number} Number of points (at most length, and with the gap row at most TrailConstants.MAX_POINTS in all)
+     */
+    static fitLength(length, capacity) {
+        return Math.max(Math.min(length, Math.floor(TrailConstants.MAX_POINTS / capacity) - 1), 0);
+    }
+    
+    /**
+     * Make room for more trails, keeping the points of the existing ones (unless the trails have to be shortened
+     * to fit, in which case every trail starts over)
+     */
+    grow() {
+        const oldCapacity = this.capacity;
+        const capacity = oldCapacity * 2;
+        if (TrailRenderer.fitLength(this.requestedLength, capacity) < this.length) {
+            this.allocate(this.requestedLength, capacity);
+            return;
+        }
+        
+        const positions = new Float32Array(this.rowCount * capacity * 3);
+        const times = new Float32Array(this.rowCount * capacity).fill(GAP_TIME);
+        for (let row = 0; row < this.rowCount; row++) {
+            positions.set(this.positions.subarray(row * oldCapacity * 3, (row + 1) * oldCapacity * 3), row * capacity * 3);
+            times.set(this.times.subarray(row * oldCapacity, (row + 1) * oldCapacity), row * capacity);
+        }
+        const data = new Float32Array(capacity * 4);
+        data.set(this.data);
+        
+        this.capacity = capacity;
+        this.build(positions, times, data);
+    }
+    
+    /**
+     * Create the line segments and the trail texture over new arrays
+     * @param {Float32Array} positions - Point positions (row by row, one vertex per column)
+     * @param {Float32Array} times - Point times
+     * @param {Float32Array} data - Color and oldest point time of each column (RGBA)
+     */
+    build(positions, times, data) {
+        const capacity = this.capacity;
+        const vertexCount = this.rowCount * capacity;
+        this.positions = positions;
+        this.times = times;
+        this.data = data;
+        
+        // Column of each vertex, and a segment from each point to the next row's point of the same trail
+        const columns = new Float32Array(vertexCount);
+        const indices = new Uint32Array(vertexCount * 2);
+        for (let row = 0; row < this.rowCount; row++) {
+            const nextRow = (row + 1) % this.rowCount;
+            for (let column = 0; column < capacity; column++) {
+                const vertex = row * capacity + column;
+                columns[vertex] = column;
+                indices[vertex * 2] = vertex;
+                indices[vertex * 2 + 1] = nextRow * capacity + column;
+            }
+        }
+        
+        if (this.lines) {
+            this.scene.remove(this.lines);
+            this.geometry.dispose();
+            this.texture.dispose();
+        }
+        this.geometry = new THREE.BufferGeometry();
+        this.positionAttribute = new THREE.BufferAttribute(positions, 3).setUsage(THREE.DynamicDrawUsage);
+        this.timeAttribute = new THREE.BufferAttribute(times, 1).setUsage(THREE.DynamicDrawUsage);
+        this.geometry.setAttribute('position', this.positionAttribute);
+        this.geometry.setAttribute('time', this.timeAttribute);
+        this.geometry.setAttribute('trail', new THREE.BufferAttribute(columns, 1));
+        this.geometry.setIndex(new THREE.BufferAttribute(indices, 1));
+        
+        this.texture = new THREE.DataTexture(data, DATA_WIDTH, capacity / DATA_WIDTH, THREE.RGBAFormat, THREE.FloatType);
+        this.texture.needsUpdate = true;
+        this.material.uniforms.trailData.value = this.texture;
+        this.material.uniforms.trailDataSize.value.set(DATA_WIDTH, capacity / DATA_WIDTH);
+        
+        this.lines = new THREE.LineSegments(this.geometry, this.material);
+        this.lines.frustumCulled = false; // Vertices change in place, the bounding sphere would go stale
+        this.lines.visible = this.length > 0;
+        this.setFrame(this.frame);
+        this.scene.add(this.lines);
+    }
+    
+    /**
+     * Change the maximum number of points per trail (every trail starts over)
+     * @param {number} length - Maximum number of points per trail
+     */
+    setLength(length) {
+        if (length !== this.requestedLength) {
+            this.allocate(length, this.capacity);
+        }
+    }
+    
+    /**
+     * Give a trail a column of its own (empty)
+     * @param {Trail} trail - Trail
+     * @returns {number} Column
+     */
+    attach(trail) {
+        let column = this.trails.indexOf(null);
+        if (column < 0) {
+            column = this.trails.length;
+            if (column >= this.capacity) {
+                this.grow();
+            }
+        }
+        this.trails[column] = trail;
+        return column;
+    }
+    
+    /**
+     * Free the column of a removed trail (its points must be cleared first)
+     * @param {number} column - Column
+     */
+    detach(column) {
+        this.trails[column] = null;
+    }
+    
+    /**
+     * Start a row of points (followed by adding the current position to each trail); the row after it is cleared
+     * to be the gap between the newest and the oldest points, which also drops the oldest point of full trails
+     */
+    startRow() {
+        if (this.length === 0) return;
+        
+        const row = this.head;
+        this.head = (row + 1) % this.rowCount;
+        this.tick++;
+        this.times.fill(GAP_TIME, this.head * this.capacity, (this.head + 1) * this.capacity);
+        this.markChanged(Math.min(row, this.head) * this.capacity, (Math.max(row, this.head) + 1) * this.capacity - 1);
+    }
+    
+    /**
+     * Get the row holding the points of a tick
+     * @param {number} tick - Tick (this.tick for the newest row; only the last length ticks are kept)
+     * @returns {number} Row
+     */
+    rowOf(tick) {
+        return ((this.head - 1 - (this.tick - tick)) % this.rowCount + this.rowCount) % this.rowCount;
+    }
+    
+    /**
+     * Write a point
+     * @param {number} column - Column of the trail
+     * @param {number} tick - Tick of the point
+     * @param {number} x - X coordinate in world space
+     * @param {number} y - Y coordinate in world space
+     * @param {number} z - Z coordinate in world space
+     * @param {number} time - Simulation step time of the point
+     */
+    writePoint(column, tick, x, y, z, time) {
+        // Into the frame of reference: relative to its center, turned back by its rotation
+        const dx = x - this.frame.x;
+        const dy = y - this.frame.y;
+        const cos = Math.cos(this.frame.angle);
+        const sin = Math.sin(this.frame.angle);
+        const vertex = this.rowOf(tick) * this.capacity + column;
+        this.positions[vertex * 3] = dx * cos + dy * sin;
+        this.positions[vertex * 3 + 1] = -dx * sin + dy * cos;
+        this.positions[vertex * 3 + 2] = z - this.frame.z;
+        this.times[vertex] = time;
+        this.markChanged(vertex, vertex);
+    }
+    
+    /**
+     * Convert a stored point back to world coordinates with the current frame of reference
+     * @param {number} column - Column of the trail
+     * @param {number} tick - Tick of the point
+     * @returns {Object} Point { x, y, z }
+     */
+    readPoint(column, tick) {
+        const vertex = this.rowOf(tick) * this.capacity + column;
+        const x = this.positions[vertex * 3];
+        const y = this.positions[vertex * 3 + 1];
+        const cos = Math.cos(this.frame.angle);
+        const sin = Math.sin(this.frame.angle);
+        return {
+            x: this.frame.x + x * cos - y * sin,
+            y: this.frame.y + x * sin + y * cos,
+            z: this.frame.z + this.positions[vertex * 3 + 2]
+        };
+    }
+    
+    /**
+     * Get the time of a point
+     * @param {number} column - Column of the trail
+     * @param {number} tick - Tick of the point
+     * @returns {number} Simulation step time
+     */
+    readTime(column, tick) {
+        return this.times[this.rowOf(tick) * this.capacity + column];
+    }
+    
+    /**
+     * Hide points of a trail
+     * @param {number} column - Column of the trail
+     * @param {number} firstTick - Tick of the oldest point hidden
+     * @param {number} lastTick - Tick of the newest point hidden
+     */
+    clearPoints(column, firstTick, lastTick) {
+        for (let tick = firstTick; tick <= lastTick; tick++) {
+            const vertex = this.rowOf(tick) * this.capacity + column;
+            this.times[vertex] = GAP_TIME;
+            this.markChanged(vertex, vertex);
+        }
+    }
+    
+    /**
+     * Add vertices to the range uploaded with the next render (merged with the range still waiting for it)
+     * @param {number} first - First vertex changed
+     * @param {number} last - Last vertex changed
+     */
+    markChanged(first, last) {
+        for (const attribute of [this.positionAttribute, this.timeAttribute]) {
+            const range = attribute.updateRange;
+            const size = attribute.itemSize;
+            
+            // A count of -1 means that nothing is waiting (the renderer resets it after each upload)
+            let start = first * size;
+            let end = (last + 1) * size;
+            if (range.count !== -1) {
+                start = Math.min(start, range.offset);
+                end = Math.max(end, range.offset + range.count);
+            }
+            range.offset = start;
+            range.count = end - start;
+            attribute.needsUpdate = true;
+        }
+    }
+    
+    /**
+     * Set the color of a trail
+     * @param {number} column - Column of the trail
+     * @param {number} color - Line color
+     */
+    setColor(column, color) {
+        this.color.setHex(color);
+        this.data[column * 4] = this.color.r;
+        this.data[column * 4 + 1] = this.color.g;
+        this.data[column * 4 + 2] = this.color.b;
+        this.texture.needsUpdate = true;
+    }
+    
+    /**
+     * Set the time of the oldest point of a trail (the line fades out toward it when there is no time limit)
+     * @param {number} column - Column of the trail
+     * @param {number} time - Simulation step time
+     */
+    setOldestTime(column, time) {
+        this.data[column * 4 + 3] = time;
+        this.texture.needsUpdate = true;
+    }
+    
+    /**
+     * Move the trails with their frame of reference
+     * @param {Object} frame - Center { x, y, z } and rotation about the Z axis (angle) of the frame
+     */
+    setFrame(frame) {
+        this.frame = frame;
+        this.lines.position.set(frame.x, frame.y, frame.z);
+        this.lines.rotation.z = frame.angle;
+    }
+    
+    /**
+     * Set the current time and how the lines fade
+     * @param {number} now - Current simulation step time
+     * @param {number} maxAge - Age beyond which points are hidden (Infinity for no limit)
+     * @param {boolean} fade - Whether the lines fade out toward their oldest point (or the time limit)
+     */
+    setTime(now, maxAge, fade) {
+        const uniforms = this.material.uniforms;
+        uniforms.now.value = now;
+        uniforms.maxAge.value = isFinite(maxAge) ? maxAge : NO_TIME_LIMIT;
+        uniforms.fade.value = fade;
+    }
+}
+
+// Width of the trail texture (the number of columns is a multiple of it)
+const DATA_WIDTH = 256;
+
+// Age standing for "no time limit" in the shader, and the time of the gap and cleared points (older than any limit,
+// so the segments touching them are hidden)
+const NO_TIME_LIMIT = 1e30;
+const GAP_TIME = -1e37;
+
+const VERTEX_SHADER = `
+    attribute float time;
+    attribute float trail;
+    uniform sampler2D trailData;
+    uniform vec2 trailDataSize;
+    uniform float now;
+    uniform float maxAge;
+    uniform bool fade;
+    varying float vAge;
+    varying float vFadeSpan;
+    varying vec3 vColor;
+    
+    void main() {
+        // Color and oldest point time of the trail
+        vec2 cell = vec2(mod(trail, trailDataSize.x), floor(trail / trailDataSize.x));
+        vec4 data = texture2D(trailData, (cell + 0.5) / trailDataSize);
+        vColor = data.rgb;
+        
+        // Fade out over the time limit, or over the age of the oldest point
+        vAge = now - time;
+        vFadeSpan = fade ? (maxAge < ${NO_TIME_LIMIT.toExponential()} ? maxAge : now - data.a) : 0.0;
+        gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+    }
+`;
+
+const FRAGMENT_SHADER = `
+    uniform float opacity;
+    uniform float maxAge;
+    varying float vAge;
+    varying float vFadeSpan;
+    varying vec3 vColor;
+    
+    void main() {
+        if (vAge > maxAge) discard;
+        float alpha = vFadeSpan > 0.0 ? opacity * clamp(1.0 - vAge / vFadeSpan, 0.0, 1.0) : opacity;
+        gl_FragColor = vec4(vColor, alpha);
+    }
+`;
@@ -3,17 +3,55 @@
  * Solar system simulation using Three.js
  */
 
-// Global variables
-let scene, camera, renderer;
-let physicsEngine, inputHandler, sun;
-let container, planetCountElement;
-let lastDrawTime = 0;
+import { BodyPanel } from './BodyPanel.js';
+import { BoundaryPolicies } from './BoundarySystem.js';
+import { BoundaryView } from './BoundaryView.js';
+import { CameraController, ViewModes } from './CameraController.js';
+import { CollisionPolicies } from './CollisionSystem.js';
+import { PhysicsConstants, PlanetTypes, AsteroidBeltConstants, RenderConstants, ScenarioConstants, TimeConstants, CameraConstants, TrailConstants } from './Constants.js';
+import { DiagnosticsHUD } from './DiagnosticsHUD.js';
+import { FieldView, FieldLayers } from './FieldView.js';
+import { InputHandler } from './InputHandler.js';
+import { Integrators } from './Integrators.js';
+import { findPrimary, computeOrbitalElements } from './OrbitalElements.js';
+import { OrbitPanel } from './OrbitPanel.js';
+import { OrbitView } from './OrbitView.js';
+import { PhysicsEngine } from './PhysicsEngine.js';
+import { Scenarios, createScenario } from './Scenarios.js';
+import { SelectionView } from './SelectionView.js';
+import { SimulationClock } from './SimulationClock.js';
+import { encodeSnapshot, decodeSnapshot } from './Snapshot.js';
+import { TrailModes, TrailFrames } from './Trail.js';
+
+// Module variables
+let scene, camera, renderer, cameraController;
+let physicsEngine, inputHandler;
+let diagnosticsHUD, boundaryView, fieldView, orbitPanel, orbitView, bodyPanel, selectionView;
+let container, planetCountElement, followSelect, orbitSelect, orbitReadout;
+let pauseButton, reverseButton, branchButton, timelineSlider, timelineTimeElement, simulatedTimeElement;
+let simulationClock;
+
+// Bodies listed in the follow and orbit menus (the lists are rebuilt when they change)
+let bodyMenuKey = '';
+
+// Selected body whose panel and orbital elements were last shown (ID, or null; the selection itself is made
+// by picking bodies in the input handler or in the orbit menu)
+let shownSelectionId = null;
 
 // Initialization
 function init() {
     // Get HTML elements
     container = document.getElementById('container');
     planetCountElement = document.getElementById('planet-count');
+    followSelect = document.getElementById('follow-select');
+    orbitSelect = document.getElementById('orbit-select');
+    orbitReadout = document.getElementById('orbit-readout');
+    pauseButton = document.getElementById('pause-button');
+    reverseButton = document.getElementById('reverse-button');
+    branchButton = document.getElementById('branch-button');
+    timelineSlider = document.getElementById('timeline-slider');
+    timelineTimeElement = document.getElementById('timeline-time');
+    simulatedTimeElement = document.getElementById('simulated-time');
     
     // Initialize Three.js scene, camera, and renderer
     initThreeJS();
@@ -21,11 +59,52 @@ function init() {
     // Initialize physics engine
     physicsEngine = new PhysicsEngine(scene);
     
-    // Initialize sun
-    sun = new Sun(scene);
+    // Restore the system shared in the URL, or start with the default scenario
+    if (!restoreFromHash()) {
+        loadScenario(ScenarioConstants.DEFAULT);
+    }
     
     // Initialize input handler
-    inputHandler = new InputHandler(physicsEngine, camera, container);
+    inputHandler = new InputHandler(physicsEngine, container, cameraController);
+    
+    // Initialize the boundary outline and the indicators of bodies beyond the view
+    boundaryView = new BoundaryView(scene);
+    
+    // Initialize the overlays of the gravitational field (all off at first)
+    fieldView = new FieldView(scene);
+    
+    // Initialize the orbital elements of the selected planet and its conic
+    orbitPanel = new OrbitPanel(orbitReadout, formatSimulatedTime);
+    orbitView = new OrbitView(scene);
+    
+    // Initialize the panel that edits the selected body, and the ring around it
+    bodyPanel = new BodyPanel({
+        panel: document.getElementById('body-panel'),
+        name: document.getElementById('body-name-input'),
+        mass: document.getElementById('body-mass-input'),
+        vx: document.getElementById('body-vx-input'),
+        vy: document.getElementById('body-vy-input'),
+        vz: document.getElementById('body-vz-input'),
+        color: document.getElementById('body-color-input'),
+        temperatureLabel: document.getElementById('body-temperature-label'),
+        temperature: document.getElementById('body-temperature-input'),
+        pinned: document.getElementById('body-pinned-input'),
+        deleteButton: document.getElementById('body-delete-button'),
+        closeButton: document.getElementById('body-close-button')
+    }, physicsEngine, () => inputHandler.setSelectedId(null));
+    selectionView = new SelectionView(scene);
+    
+    // Initialize diagnostics display (the diagnostics themselves are computed by the simulation)
+    diagnosticsHUD = new DiagnosticsHUD(
+        document.getElementById('diagnostics-readout'),
+        document.getElementById('energy-graph')
+    );
+    
+    // Initialize control panel
+    initControls();
+    
+    // Initialize fixed-timestep simulation clock
+    simulationClock = new SimulationClock(PhysicsConstants.STEP_INTERVAL, PhysicsConstants.MAX_STEPS_PER_FRAME);
     
     // Start animation loop
     animate();
@@ -48,24 +127,391 @@ function initThreeJS() {
     const height = window.innerHeight;
     const aspectRatio = width / height;
     
-    // Set camera field of view based on screen size
-    const viewSize = 50;
+    // Create renderer (the orbit controls of the 3D view listen to its canvas)
+    renderer = new THREE.WebGLRenderer({ antialias: true });
+    renderer.setSize(width, height);
+    container.appendChild(renderer.domElement);
+    
+    // Set camera field of view based on screen size (the controller zooms, pans and follows bodies,
+    // and switches to its perspective camera in 3D)
+    const viewSize = ScenarioConstants.VIEW_SIZE;
     camera = new THREE.OrthographicCamera(
         -viewSize * aspectRatio, viewSize * aspectRatio,
         viewSize, -viewSize,
-        0.1, 1000
+        CameraConstants.NEAR, CameraConstants.FAR
     );
-    camera.position.z = 10;
-    
-    // Create renderer
-    renderer = new THREE.WebGLRenderer({ antialias: true });
-    renderer.setSize(width, height);
-    container.appendChild(renderer.domElement);
+    cameraController = new CameraController(camera, viewSize, aspectRatio, renderer.domElement);
     
     // Handle window resize
     window.addEventListener('resize', onWindowResize);
 }
 
+/**
+ * Initialize control panel
+ */
+function initControls() {
+    // List the preset systems and load the one picked
+    const scenarioSelect = document.getElementById('scenario-select');
+    for (const id in Scenarios) {
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = Scenarios[id].label;
+        scenarioSelect.appendChild(option);
+    }
+    scenarioSelect.value = ScenarioConstants.DEFAULT;
+    scenarioSelect.addEventListener('change', () => {
+        loadScenario(scenarioSelect.value);
+        inputHandler.setSelectedId(null);
+        syncControls();
+    });
+    
+    // List available integrators and switch when another one is picked
+    const integratorSelect = document.getElementById('integrator-select');
+    for (const id in Integrators) {
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = new Integrators[id]().label;
+        integratorSelect.appendChild(option);
+    }
+    integratorSelect.addEventListener('change', () => {
+        physicsEngine.setIntegrator(integratorSelect.value);
+    });
+    
+    // Choose whether dragging launches a planet or a star
+    const launchSelect = document.getElementById('launch-select');
+    launchSelect.value = inputHandler.getLaunchType();
+    launchSelect.addEventListener('change', () => {
+        inputHandler.setLaunchType(launchSelect.value);
+    });
+    
+    // List planet types and choose the one launched by dragging
+    const planetTypeSelect = document.getElementById('planet-type-select');
+    for (const type in PlanetTypes) {
+        const option = document.createElement('option');
+        option.value = type;
+        option.textContent = PlanetTypes[type].label;
+        planetTypeSelect.appendChild(option);
+    }
+    planetTypeSelect.value = inputHandler.getPlanetType();
+    planetTypeSelect.addEventListener('change', () => {
+        inputHandler.setPlanetType(planetTypeSelect.value);
+    });
+    
+    // Angle out of the plane of the velocity given to launched bodies
+    const inclinationInput = document.getElementById('inclination-input');
+    const inclinationValue = document.getElementById('inclination-value');
+    inclinationInput.value = inputHandler.getLaunchInclination();
+    inclinationValue.textContent = `${inputHandler.getLaunchInclination()}°`;
+    inclinationInput.addEventListener('input', () => {
+        inputHandler.setLaunchInclination(parseFloat(inclinationInput.value));
+        inclinationValue.textContent = `${inputHandler.getLaunchInclination()}°`;
+    });
+    
+    // List collision policies and switch when another one is picked
+    const collisionSelect = document.getElementById('collision-select');
+    for (const policy in CollisionPolicies) {
+        const option = document.createElement('option');
+        option.value = policy;
+        option.textContent = CollisionPolicies[policy];
+        collisionSelect.appendChild(option);
+    }
+    collisionSelect.addEventListener('change', () => {
+        physicsEngine.setCollisionPolicy(collisionSelect.value);
+    });
+    
+    // List boundary policies, and set the escape radius (or the size of the periodic domain)
+    const boundarySelect = document.getElementById('boundary-select');
+    for (const policy in BoundaryPolicies) {
+        const option = document.createElement('option');
+        option.value = policy;
+        option.textContent = BoundaryPolicies[policy];
+        boundarySelect.appendChild(option);
+    }
+    boundarySelect.addEventListener('change', () => {
+        physicsEngine.setBoundaryPolicy(boundarySelect.value);
+    });
+    const boundaryRadiusInput = document.getElementById('boundary-radius-input');
+    boundaryRadiusInput.addEventListener('change', () => {
+        const radius = parseFloat(boundaryRadiusInput.value);
+        if (radius > 0) {
+            physicsEngine.setBoundaryRadius(radius);
+        }
+        boundaryRadiusInput.value = physicsEngine.getBoundaryRadius();
+    });
+    
+    // Switch between direct summation and the Barnes-Hut tree
+    const gravitySelect = document.getElementById('gravity-select');
+    gravitySelect.addEventListener('change', () => {
+        physicsEngine.setGravitySolver(gravitySelect.value);
+    });
+    
+    // Tune the Barnes-Hut opening angle
+    const openingAngleInput = document.getElementById('opening-angle-input');
+    const openingAngleValue = document.getElementById('opening-angle-value');
+    openingAngleInput.addEventListener('input', () => {
+        physicsEngine.setOpeningAngle(parseFloat(openingAngleInput.value));
+        openingAngleValue.textContent = physicsEngine.getOpeningAngle().toFixed(2);
+    });
+    
+    // Add many small bodies at once
+    document.getElementById('asteroid-belt-button').addEventListener('click', () => {
+        physicsEngine.addAsteroidBelt(
+            AsteroidBeltConstants.COUNT,
+            AsteroidBeltConstants.INNER_RADIUS,
+            AsteroidBeltConstants.OUTER_RADIUS
+        );
+    });
+    
+    // Save the simulation to a file, and load one picked from disk or dropped onto the page
+    const loadInput = document.getElementById('load-input');
+    document.getElementById('save-button').addEventListener('click', downloadSnapshot);
+    document.getElementById('load-button').addEventListener('click', () => loadInput.click());
+    loadInput.addEventListener('change', () => {
+        if (loadInput.files.length > 0) {
+            loadSnapshotFile(loadInput.files[0]);
+        }
+        loadInput.value = '';
+    });
+    window.addEventListener('dragover', event => {
+        event.preventDefault();
+    });
+    window.addEventListener('drop', event => {
+        event.preventDefault();
+        if (event.dataTransfer.files.length > 0) {
+            loadSnapshotFile(event.dataTransfer.files[0]);
+        }
+    });
+    
+    // Pause and resume, step, run time backward, and change the speed
+    pauseButton.addEventListener('click', () => {
+        physicsEngine.setPaused(!physicsEngine.isPaused());
+    });
+    document.getElementById('step-button').addEventListener('click', () => {
+        physicsEngine.stepOnce();
+    });
+    reverseButton.addEventListener('click', () => {
+        physicsEngine.setReversed(!physicsEngine.isReversed());
+    });
+    const speedSelect = document.getElementById('speed-select');
+    for (const speed of TimeConstants.SPEEDS) {
+        const option = document.createElement('option');
+        option.value = speed;
+        option.textContent = `${speed}x`;
+        speedSelect.appendChild(option);
+    }
+    speedSelect.value = physicsEngine.getSpeed();
+    speedSelect.addEventListener('change', () => {
+        physicsEngine.setSpeed(parseFloat(speedSelect.value));
+    });
+    
+    // Scrub through the recording, and branch a new run from the moment shown
+    timelineSlider.addEventListener('input', () => {
+        physicsEngine.seek(parseInt(timelineSlider.value, 10));
+    });
+    branchButton.addEventListener('click', () => {
+        physicsEngine.branch();
+    });
+    
+    // Follow a body or the center of mass with the view, or go back to the framing of the system
+    followSelect.addEventListener('change', () => {
+        const value = followSelect.value;
+        const target = value === 'free' ? null : value === 'centerOfMass' ? value : Number(value);
+        cameraController.follow(target, physicsEngine.getState());
+    });
+    
+    // Switch between the top view and the 3D view with perspective and orbit controls
+    const viewSelect = document.getElementById('view-select');
+    for (const mode in ViewModes) {
+        const option = document.createElement('option');
+        option.value = mode;
+        option.textContent = ViewModes[mode];
+        viewSelect.appendChild(option);
+    }
+    viewSelect.value = cameraController.getMode();
+    viewSelect.addEventListener('change', () => {
+        cameraController.setMode(viewSelect.value);
+        physicsEngine.setViewMode(viewSelect.value);
+    });
+    
+    // Keep whole trails or only their recent part, draw them in a frame moving with the followed body, and set their length
+    const trailModeSelect = document.getElementById('trail-mode-select');
+    for (const mode in TrailModes) {
+        const option = document.createElement('option');
+        option.value = mode;
+        option.textContent = TrailModes[mode];
+        trailModeSelect.appendChild(option);
+    }
+    trailModeSelect.value = physicsEngine.getTrailMode();
+    const trailTimeInput = document.getElementById('trail-time-input');
+    trailTimeInput.value = physicsEngine.getTrailTimeLimit() / 1000;
+    trailTimeInput.disabled = physicsEngine.getTrailMode() !== 'timed';
+    trailModeSelect.addEventListener('change', () => {
+        physicsEngine.setTrailMode(trailModeSelect.value);
+        trailTimeInput.disabled = trailModeSelect.value !== 'timed';
+    });
+    trailTimeInput.addEventListener('change', () => {
+        const seconds = parseFloat(trailTimeInput.value);
+        if (seconds > 0) {
+            physicsEngine.setTrailTimeLimit(seconds * 1000);
+        }
+        trailTimeInput.value = physicsEngine.getTrailTimeLimit() / 1000;
+    });
+    const trailFrameSelect = document.getElementById('trail-frame-select');
+    for (const frame in TrailFrames) {
+        const option = document.createElement('option');
+        option.value = frame;
+        option.textContent = TrailFrames[frame];
+        trailFrameSelect.appendChild(option);
+    }
+    trailFrameSelect.value = physicsEngine.getTrailFrame();
+    trailFrameSelect.addEventListener('change', () => {
+        physicsEngine.setTrailFrame(trailFrameSelect.value);
+    });
+    const trailLengthSelect = document.getElementById('trail-length-select');
+    for (const length of TrailConstants.LENGTHS) {
+        const option = document.createElement('option');
+        option.value = length;
+        option.textContent = length > 0 ? `${length} points` : 'No trails';
+        trailLengthSelect.appendChild(option);
+    }
+    trailLengthSelect.value = physicsEngine.getTrailLength();
+    trailLengthSelect.addEventListener('change', () => {
+        physicsEngine.setTrailLength(parseInt(trailLengthSelect.value, 10));
+    });
+    const trailFadeInput = document.getElementById('trail-fade-input');
+    trailFadeInput.checked = physicsEngine.isTrailFading();
+    trailFadeInput.addEventListener('change', () => {
+        physicsEngine.setTrailFade(trailFadeInput.checked);
+    });
+    
+    // Turn the overlays of the gravitational field on and off
+    const fieldLayers = document.getElementById('field-layers');
+    for (const layer in FieldLayers) {
+        const label = document.createElement('label');
+        const input = document.createElement('input');
+        input.type = 'checkbox';
+        input.id = `field-${layer}-input`;
+        label.htmlFor = input.id;
+        label.textContent = FieldLayers[layer];
+        input.addEventListener('change', () => {
+            fieldView.setLayerVisible(layer, input.checked);
+        });
+        fieldLayers.append(label, input);
+    }
+    
+    // Select a body to show its orbital elements (the same selection as picking it in the view)
+    orbitSelect.addEventListener('change', () => {
+        inputHandler.setSelectedId(orbitSelect.value === 'none' ? null : Number(orbitSelect.value));
+    });
+    document.getElementById('reset-view-button').addEventListener('click', () => {
+        cameraController.resetView();
+    });
+    
+    // Put the current system into the URL (and the clipboard) for sharing, and follow links pasted into this tab
+    document.getElementById('share-button').addEventListener('click', shareSnapshot);
+    window.addEventListener('hashchange', () => {
+        if (restoreFromHash()) {
+            inputHandler.setSelectedId(null);
+            syncControls();
+        }
+    });
+    
+    // Show the current settings
+    syncControls();
+}
+
+/**
+ * Show the physics engine's current settings in the control panel
+ */
+function syncControls() {
+    document.getElementById('integrator-select').value = physicsEngine.getIntegrator();
+    document.getElementById('collision-select').value = physicsEngine.getCollisionPolicy();
+    document.getElementById('boundary-select').value = physicsEngine.getBoundaryPolicy();
+    document.getElementById('boundary-radius-input').value = physicsEngine.getBoundaryRadius();
+    document.getElementById('gravity-select').value = physicsEngine.getGravitySolver();
+    document.getElementById('opening-angle-input').value = physicsEngine.getOpeningAngle();
+    document.getElementById('opening-angle-value').textContent = physicsEngine.getOpeningAngle().toFixed(2);
+}
+
+/**
+ * Replace the simulation with a preset scenario and frame it
+ * @param {string} id - Scenario ID (key of Scenarios)
+ */
+function loadScenario(id) {
+    physicsEngine.deserialize(createScenario(id));
+    cameraController.setHomeView(Scenarios[id].viewSize);
+}
+
+/**
+ * Download the current simulation as a JSON snapshot
+ */
+function downloadSnapshot() {
+    const json = JSON.stringify(physicsEngine.serialize(), null, 2);
+    const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+    
+    // Name the file after the current date and time (e.g. gravsim-2025-01-31T12-34-56.json)
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `gravsim-${new Date().toISOString().slice(0, 19).replace(/:/g, '-')}.json`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Load a JSON snapshot file into the simulation
+ * @param {File} file - Snapshot file
+ */
+function loadSnapshotFile(file) {
+    file.text()
+        .then(text => {
+            physicsEngine.deserialize(JSON.parse(text));
+            inputHandler.setSelectedId(null);
+            syncControls();
+        })
+        .catch(error => {
+            alert(`Could not load ${file.name}: ${error.message}`);
+        });
+}
+
+/**
+ * Write the current system into the URL hash and copy the link to the clipboard
+ */
+function shareSnapshot() {
+    let code;
+    try {
+        code = encodeSnapshot(physicsEngine.serialize());
+    } catch (error) {
+        alert(`Could not share the system: ${error.message}`);
+        return;
+    }
+    const url = `${location.origin}${location.pathname}${location.search}#s=${code}`;
+    
+    // Replacing the state does not fire hashchange, so the simulation keeps running undisturbed
+    history.replaceState(null, '', url);
+    
+    // The clipboard is only available in secure contexts; the link stays in the address bar either way
+    if (navigator.clipboard) {
+        navigator.clipboard.writeText(url).catch(() => {});
+    }
+}
+
+/**
+ * Load the system encoded in the URL hash (#s=...), if any
+ * @returns {boolean} true if a system was loaded
+ */
+function restoreFromHash() {
+    const code = new URLSearchParams(location.hash.slice(1)).get('s');
+    if (!code) return false;
+    
+    try {
+        physicsEngine.deserialize(decodeSnapshot(code));
+        return true;
+    } catch (error) {
+        alert(`Could not restore the shared system: ${error.message}`);
+        return false;
+    }
+}
+
 /**
  * Handle window resize
  */
@@ -75,12 +521,7 @@ function onWindowResize() {
     const aspectRatio = width / height;
     
     // Update camera aspect ratio
-    const viewSize = 50;
-    camera.left = -viewSize * aspectRatio;
-    camera.right = viewSize * aspectRatio;
-    camera.top = viewSize;
-    camera.bottom = -viewSize;
-    camera.updateProjectionMatrix();
+    cameraController.setAspectRatio(aspectRatio);
     
     // Update renderer size
     renderer.setSize(width, height);
@@ -93,32 +534,65 @@ function animate() {
     requestAnimationFrame(animate);
     
     // Get current time
-    const currentTime = Date.now();
+    const currentTime = performance.now();
     
-    // Limit drawing interval (to reduce processing load)
-    if (currentTime - lastDrawTime > RenderConstants.DRAW_INTERVAL) {
-        lastDrawTime = currentTime;
-        
-        // Process input operations
-        const isPointerDown = inputHandler.update();
-        
-        // Update physics simulation
-        physicsEngine.update();
-        
-        // Remove planets that are off-screen
-        const maxBoundsX = camera.right + RenderConstants.SCREEN_MARGIN;
-        const maxBoundsY = camera.top + RenderConstants.SCREEN_MARGIN;
-        physicsEngine.removeOutOfBoundsPlanets(maxBoundsX, maxBoundsY);
-        
-        // Update sun
-        sun.update();
-        
-        // Display planet count
-        updatePlanetCount();
-        
-        // Render scene
-        renderer.render(scene, camera);
+    // Number of fixed simulation steps that fit into the elapsed time
+    const steps = simulationClock.advance(currentTime);
+    
+    // Run the physics simulation independently of the frame rate
+    // (with the default boundary policy, planets beyond the framing of the system and the part of the world on screen are removed)
+    const bounds = cameraController.getBounds(RenderConstants.SCREEN_MARGIN);
+    // The co-moving and rotating trail frames go with what the view follows
+    physicsEngine.setTrailReference(cameraController.getTarget());
+    const stateUpdated = physicsEngine.update(steps, bounds.maxX, bounds.maxY);
+    
+    // Move the view with the body or center of mass it follows
+    cameraController.update(physicsEngine.getState());
+    updateBodyMenus();
+    
+    // Process input operations
+    const isPointerDown = inputHandler.update();
+    
+    // Outline the boundary and point to bodies beyond the view
+    const viewCamera = cameraController.getCamera();
+    boundaryView.update(
+        viewCamera, window.innerHeight,
+        physicsEngine.getStars(), physicsEngine.getPlanets(),
+        physicsEngine.getBoundaryPolicy(), physicsEngine.getBoundaryRadius(),
+        physicsEngine.getState().getCenterOfMass()
+    );
+    
+    // Recompute the field overlays as the bodies move and the view changes
+    const selectedId = inputHandler.getSelectedId();
+    fieldView.update(
+        physicsEngine.getState(), cameraController.getViewArea(), physicsEngine.getBoundaryPeriod(),
+        selectedId === null ? null : physicsEngine.getView(selectedId), currentTime
+    );
+    
+    // Turn the stars toward the camera, so that their corona and rays spread around them in any view,
+    // and animate the rays in real time (they keep moving while time is paused)
+    physicsEngine.getStars().forEach(star => {
+        star.faceCamera(viewCamera);
+        star.update(currentTime / 1000);
+    });
+    
+    // Expand the shockwave rings and move the debris of recent impacts
+    physicsEngine.updateEffects(currentTime / 1000, viewCamera);
+    
+    // Update diagnostics display (at most once per frame, only when the simulation advanced)
+    if (stateUpdated) {
+        diagnosticsHUD.update(physicsEngine.getDiagnostics());
     }
+    
+    // Show the selected body in its panel, ring it and show its orbit
+    updateSelection(stateUpdated, viewCamera);
+    
+    // Display planet count and the replay position
+    updatePlanetCount();
+    updateTimeline();
+    
+    // Render scene
+    renderer.render(scene, viewCamera);
 }
 
 /**
@@ -128,5 +602,151 @@ function updatePlanetCount() {
     planetCountElement.textContent = `Planets: ${physicsEngine.getPlanetCount()}`;
 }
 
+/**
+ * List the stars and the most massive planets in the follow menu, and the planets in the orbit menu,
+ * when the bodies shown change
+ */
+function updateBodyMenus() {
+    const stars = physicsEngine.getStars();
+    const planets = physicsEngine.getPlanets();
+    const target = cameraController.getTarget();
+    const selectedId = inputHandler.getSelectedId();
+    const key = `${physicsEngine.getBodiesVersion()}/${physicsEngine.getNamesVersion()}/${stars.length}/${planets.length}/${target}/${selectedId}`;
+    if (key === bodyMenuKey) return;
+    bodyMenuKey = key;
+    
+    // Planets by mass (and whatever is being followed or selected, even if it is not among them)
+    const massivePlanets = planets.slice().sort((a, b) => b.mass - a.mass).slice(0, CameraConstants.FOLLOW_LIST_LENGTH);
+    const listed = (bodies, id) => {
+        const body = stars.concat(planets).find(view => view.id === id);
+        return body && !bodies.includes(body) ? bodies.concat([body]) : bodies;
+    };
+    
+    // Stars first in the follow menu
+    fillBodyMenu(followSelect, 2, listed(stars.concat(massivePlanets), target), stars);
+    followSelect.value = target === null ? 'free' : target;
+    
+    fillBodyMenu(orbitSelect, 1, listed(massivePlanets, selectedId), stars);
+    orbitSelect.value = selectedId === null ? 'none' : selectedId;
+}
+
+/**
+ * Replace the body options of a menu
+ * @param {HTMLSelectElement} select - Menu
+ * @param {number} fixedOptions - Number of leading options that are kept
+ * @param {Array<Object>} bodies - Star and planet views to list
+ * @param {Array<Object>} stars - Star views (to name the bodies)
+ */
+function fillBodyMenu(select, fixedOptions, bodies, stars) {
+    select.length = fixedOptions;
+    for (const body of bodies) {
+        const option = document.createElement('option');
+        option.value = body.id;
+        option.textContent = bodyName(body, stars);
+        select.appendChild(option);
+    }
+}
+
+/**
+ * Name a body for display
+ * @param {Object} body - Star or planet view
+ * @param {Array<Object>} stars - Star views
+ * @returns {string} Name given in the body panel, or the default name
+ */
+function bodyName(body, stars) {
+    return physicsEngine.getBodyName(body.id) || defaultBodyName(body, stars);
+}
+
+/**
+ * Name a body that has not been named
+ * @param {Object} body - Star or planet view
+ * @param {Array<Object>} stars - Star views
+ * @returns {string} Name (e.g. "Planet 3")
+ */
+function defaultBodyName(body, stars) {
+    return `${stars.includes(body) ? 'Star' : 'Planet'} ${body.id}`;
+}
+
+/**
+ * Show the selected body in its panel, ring it, and show its osculating orbital elements and conic
+ * @param {boolean} stateUpdated - Whether the simulation advanced (the panel and readout only change then,
+ *     or when the selection changes)
+ * @param {THREE.Camera} viewCamera - Camera the scene is rendered with
+ */
+function updateSelection(stateUpdated, viewCamera) {
+    const stars = physicsEngine.getStars();
+    const planets = physicsEngine.getPlanets();
+    const selectedId = inputHandler.getSelectedId();
+    const body = selectedId === null ? null : physicsEngine.getView(selectedId);
+    selectionView.update(body, viewCamera, window.innerHeight);
+    
+    if (!body) {
+        orbitView.update(null);
+        orbitReadout.hidden = true;
+        
+        // The selected body has merged or been removed once a new state does not have it (its view is also
+        // missing for a moment after an edit branches from a recorded moment, until the next state rebuilds the views)
+        if (selectedId === null || stateUpdated) {
+            inputHandler.setSelectedId(null);
+            bodyPanel.update(null, '');
+            shownSelectionId = null;
+        }
+        return;
+    }
+    
+    const refresh = stateUpdated || body.id !== shownSelectionId;
+    shownSelectionId = body.id;
+    if (refresh) {
+        bodyPanel.update(body, defaultBodyName(body, stars));
+    }
+    
+    const primary = findPrimary(body, stars.concat(planets));
+    const elements = primary ? computeOrbitalElements(body, primary) : null;
+    orbitView.update(elements, body, primary);
+    orbitReadout.hidden = false;
+    if (refresh) {
+        orbitPanel.update(elements, primary ? bodyName(primary, stars) : '');
+    }
+}
+
+/**
+ * Format a simulated time in days (below a year) or years
+ * @param {number} time - Simulated time
+ * @returns {string} Formatted time (e.g. "123.4 days" or "2.50 years")
+ */
+function formatSimulatedTime(time) {
+    const years = time / TimeConstants.YEAR;
+    if (Math.abs(years) < 1) {
+        return `${(years * TimeConstants.DAYS_PER_YEAR).toFixed(1)} days`;
+    }
+    return `${years.toFixed(2)} years`;
+}
+
+/**
+ * Update the time controls and timeline (buttons, simulated time, slider and replay position)
+ */
+function updateTimeline() {
+    const frameCount = physicsEngine.getReplayFrameCount();
+    const frame = physicsEngine.getReplayFrame();
+    
+    pauseButton.textContent = physicsEngine.isPaused() ? 'Play' : 'Pause';
+    reverseButton.textContent = physicsEngine.isReversed() ? 'Forward' : 'Reverse';
+    simulatedTimeElement.textContent = formatSimulatedTime(physicsEngine.getSimulatedTime());
+    branchButton.disabled = !physicsEngine.isReplaying();
+    
+    timelineSlider.max = Math.max(frameCount - 1, 0);
+    timelineSlider.value = Math.max(frame, 0);
+    
+    // Step time of the frame shown and of the newest frame (seconds since the oldest recorded frame)
+    if (frameCount > 0) {
+        const startTime = physicsEngine.getReplayElapsedTime(0);
+        const time = physicsEngine.getReplayElapsedTime(frame) - startTime;
+        const totalTime = physicsEngine.getReplayElapsedTime(frameCount - 1) - startTime;
+        timelineTimeElement.textContent = `${(time / 1000).toFixed(1)} s / ${(totalTime / 1000).toFixed(1)} s`;
+    } else {
+        timelineTimeElement.textContent = '';
+    }
+}
+
 // Initialize when page loading is complete
 window.addEventListener('DOMContentLoaded', init);
@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { BoundaryConstants } from '../js/Constants.js';
+import { Simulation } from '../js/Simulation.js';
+import { BodyKind } from '../js/SimulationState.js';
+
+// Half the side of the periodic domain, and the escape radius
+const RADIUS = BoundaryConstants.RADIUS;
+
+/**
+ * Create a simulation with a star at the origin and the given planets
+ * @param {string} policy - Boundary policy
+ * @param {Array<Array<number>>} planets - Position and velocity [x, y, vx, vy] of each planet
+ * @returns {Simulation} Simulation
+ */
+function createSystem(policy, planets) {
+    const simulation = new Simulation();
+    simulation.setBoundaryPolicy(policy);
+    simulation.addStar(0, 0, 0, 0, 0, 0);
+    for (const [x, y, vx, vy] of planets) {
+        simulation.addPlanet(x, y, 0, vx, vy, 0);
+    }
+    return simulation;
+}
+
+/**
+ * Get the X coordinates of the planets left after applying the boundary
+ * @param {Simulation} simulation - Simulation
+ * @param {number} maxX - Maximum X coordinate of the screen
+ * @param {number} maxY - Maximum Y coordinate of the screen
+ * @returns {Array<number>} X coordinates
+ */
+function remainingPlanets(simulation, maxX = 100, maxY = 100) {
+    simulation.removeLostPlanets(maxX, maxY);
+    const { state } = simulation;
+    return Array.from(state.x).filter((x, i) => state.kind[i] === BodyKind.PLANET);
+}
+
+test('the screen policy removes planets off the screen', () => {
+    const simulation = createSystem('screen', [[50, 0, 0, 0], [120, 0, 0, 0], [0, -101, 0, 0]]);
+    assert.deepEqual(remainingPlanets(simulation), [50]);
+});
+
+test('the keep policy keeps every planet', () => {
+    const simulation = createSystem('keep', [[50, 0, 0, 0], [1e6, 0, 0, 0]]);
+    assert.deepEqual(remainingPlanets(simulation), [50, 1e6]);
+});
+
+test('the escape radius policy removes planets past the radius from the center of mass', () => {
+    const simulation = createSystem('escapeRadius', [[RADIUS - 10, 0, 0, 0], [0, RADIUS + 10, 0, 0]]);
+    assert.deepEqual(remainingPlanets(simulation, 10, 10), [RADIUS - 10]);
+});
+
+test('the unbound policy removes off-screen planets only once they escape', () => {
+    const simulation = createSystem('unbound', [[120, 0, 0, 1e-12], [130, 0, 0, 1e-10], [50, 0, 0, 1e-10]]);
+    assert.deepEqual(remainingPlanets(simulation), [120, 50]);
+});
+
+test('the wrap policy folds every body into the periodic domain', () => {
+    const simulation = createSystem('wrap', [[RADIUS + 10, -RADIUS - 20, 0, 0], [-RADIUS, 0, 0, 0]]);
+    simulation.state.x[0] = 3 * RADIUS;
+    simulation.state.y[0] = 50;
+    assert.deepEqual(remainingPlanets(simulation), [-RADIUS + 10, -RADIUS]);
+    assert.equal(simulation.state.x[0], -RADIUS);
+    assert.equal(simulation.state.y[1], RADIUS - 20);
+});
+
+test('planets touching across the edge of the periodic domain collide', () => {
+    const simulation = createSystem('wrap', [[RADIUS - 0.2, 10, 0, 0], [-RADIUS + 0.2, 10, 0, 0]]);
+    simulation.collisionSystem.resolve(simulation);
+    assert.deepEqual(remainingPlanets(simulation).map(x => Math.abs(x)), [RADIUS]);
+    
+    // Without wrapping, the same planets are far apart
+    const apart = createSystem('keep', [[RADIUS - 0.2, 10, 0, 0], [-RADIUS + 0.2, 10, 0, 0]]);
+    assert.deepEqual(apart.collisionSystem.resolve(apart), []);
+});
+
+test('contacts across the edge are found among many planets', () => {
+    const planets = [];
+    for (let i = 0; i < 20; i++) {
+        planets.push([-RADIUS + 10 * i + 5, -50, 0, 0]);
+    }
+    planets.push([RADIUS - 0.3, 20, 0, 0], [-RADIUS + 0.3, 20, 0, 0]);
+    const simulation = createSystem('wrap', planets);
+    
+    const contacts = simulation.collisionSystem.findContacts(simulation.state, simulation.boundarySystem.getPeriod());
+    assert.deepEqual(contacts.map(pair => pair.map(index => simulation.state.x[index]).sort()), [[-RADIUS + 0.3, RADIUS - 0.3]]);
+});
+
+test('a planet falls into a star through the edge of the periodic domain', () => {
+    const simulation = createSystem('wrap', [[-RADIUS + 1, 0, 0, 0]]);
+    simulation.state.x[0] = RADIUS - 1;
+    assert.deepEqual(remainingPlanets(simulation), []);
+    assert.equal(simulation.takeEvents()[0].type, 'starImpact');
+});
@@ -0,0 +1,101 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { CollisionConstants } from '../js/Constants.js';
+import { Simulation } from '../js/Simulation.js';
+import { BodyKind } from '../js/SimulationState.js';
+
+/**
+ * Create a simulation holding two planets in contact, approaching each other along X
+ * @param {string} policy - Collision policy
+ * @returns {Simulation} Simulation
+ */
+function createCollision(policy) {
+    const simulation = new Simulation();
+    simulation.setCollisionPolicy(policy);
+    simulation.addPlanet(0, 0, 0, 1, 0.5, 0, 300000);
+    simulation.addPlanet(0.5, 0, 0, -1, 0, 0, 200000);
+    return simulation;
+}
+
+/**
+ * Sum the mass and momentum of the planets
+ * @param {SimulationState} state - Body state
+ * @returns {Object} { mass, px, py, pz }
+ */
+function totals(state) {
+    const sum = { mass: 0, px: 0, py: 0, pz: 0 };
+    for (let i = 0; i < state.count; i++) {
+        if (state.kind[i] !== BodyKind.PLANET) continue;
+        sum.mass += state.mass[i];
+        sum.px += state.mass[i] * state.vx[i];
+        sum.py += state.mass[i] * state.vy[i];
+        sum.pz += state.mass[i] * state.vz[i];
+    }
+    return sum;
+}
+
+/**
+ * Check that mass and momentum are the same within rounding
+ * @param {Object} actual - Totals after the collision
+ * @param {Object} expected - Totals before it
+ */
+function assertConserved(actual, expected) {
+    for (const key of Object.keys(expected)) {
+        assert.ok(Math.abs(actual[key] - expected[key]) <= 1e-9 * Math.abs(expected.mass), key);
+    }
+}
+
+test('merging keeps mass and momentum in one planet', () => {
+    const simulation = createCollision('merge');
+    const before = totals(simulation.state);
+    
+    const collisions = simulation.collisionSystem.resolve(simulation);
+    assert.equal(collisions.length, 1);
+    assert.equal(simulation.state.count, 1);
+    assertConserved(totals(simulation.state), before);
+});
+
+test('bouncing keeps momentum and kinetic energy', () => {
+    const simulation = createCollision('bounce');
+    const { state } = simulation;
+    const kineticEnergy = () => {
+        let energy = 0;
+        for (let i = 0; i < state.count; i++) {
+            energy += 0.5 * state.mass[i] * (state.vx[i] ** 2 + state.vy[i] ** 2 + state.vz[i] ** 2);
+        }
+        return energy;
+    };
+    const before = totals(state);
+    const energy = kineticEnergy();
+    
+    simulation.collisionSystem.resolve(simulation);
+    assert.equal(state.count, 2);
+    assert.ok(state.vx[0] < 0 && state.vx[1] > 0);
+    assertConserved(totals(state), before);
+    assert.ok(Math.abs(kineticEnergy() - energy) <= 1e-12 * energy);
+});
+
+test('fragmenting breaks the planets into equal fragments with their mass and momentum', () => {
+    const simulation = createCollision('fragment');
+    const before = totals(simulation.state);
+    
+    simulation.collisionSystem.resolve(simulation);
+    const { state } = simulation;
+    assert.equal(state.count, CollisionConstants.FRAGMENT_COUNT);
+    for (let i = 0; i < state.count; i++) {
+        assert.equal(state.mass[i], before.mass / CollisionConstants.FRAGMENT_COUNT);
+    }
+    assertConserved(totals(state), before);
+});
+
+test('a pinned planet merges instead of fragmenting and stays pinned in place', () => {
+    const simulation = createCollision('fragment');
+    const { state } = simulation;
+    simulation.editBody(state.id[1], { pinned: 1 });
+    
+    simulation.collisionSystem.resolve(simulation);
+    assert.equal(state.count, 1);
+    assert.equal(state.pinned[0], 1);
+    assert.deepEqual([state.x[0], state.y[0], state.vx[0], state.vy[0]], [0.5, 0, 0, 0]);
+});
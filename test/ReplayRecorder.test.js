@@ -0,0 +1,117 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ReplayRecorder } from '../js/ReplayRecorder.js';
+import { createScenario } from '../js/Scenarios.js';
+import { Simulation } from '../js/Simulation.js';
+import { BodyKind } from '../js/SimulationState.js';
+
+/**
+ * Run a scenario, recording every step
+ * @param {ReplayRecorder} recorder - Recorder
+ * @param {number} steps - Number of steps
+ * @param {Function} beforeStep - Called with the simulation and the step number before each step (optional)
+ * @returns {Array<Object>} States { x, id, count, elapsedTime } of every step, for comparison
+ */
+function record(recorder, steps, beforeStep = () => {}) {
+    const simulation = new Simulation();
+    simulation.deserialize(createScenario('innerSolarSystem'));
+    const states = [];
+    for (let i = 0; i < steps; i++) {
+        beforeStep(simulation, i);
+        simulation.step();
+        const { state } = simulation;
+        recorder.record(state, simulation.elapsedTime, simulation.simulatedTime, simulation.getBodiesVersion());
+        states.push({ x: Array.from(state.x), id: Array.from(state.id), count: state.count, elapsedTime: simulation.elapsedTime });
+    }
+    return states;
+}
+
+test('frames keep positions in single precision and the other fields exactly', () => {
+    const recorder = new ReplayRecorder();
+    const simulation = new Simulation();
+    simulation.deserialize(createScenario('innerSolarSystem'));
+    simulation.step();
+    recorder.record(simulation.state, simulation.elapsedTime, simulation.simulatedTime, simulation.getBodiesVersion());
+    
+    const state = recorder.getState(0);
+    assert.equal(state.count, simulation.state.count);
+    assert.deepEqual(Array.from(state.x), Array.from(simulation.state.x, Math.fround));
+    assert.deepEqual(Array.from(state.vy), Array.from(simulation.state.vy, Math.fround));
+    assert.deepEqual(Array.from(state.mass), Array.from(simulation.state.mass));
+    assert.deepEqual(Array.from(state.color), Array.from(simulation.state.color));
+    assert.equal(recorder.getSimulatedTime(0), simulation.simulatedTime);
+});
+
+test('frames keep the bodies they were recorded with', () => {
+    const recorder = new ReplayRecorder();
+    const states = record(recorder, 20, (simulation, i) => {
+        if (i === 10) simulation.addPlanet(40, 0, 0, 0, 5e-12, 0);
+    });
+    
+    assert.equal(recorder.getFrameCount(), 20);
+    for (const frame of [0, 9, 10, 19]) {
+        const state = recorder.getState(frame);
+        assert.equal(state.count, states[frame].count);
+        assert.deepEqual(Array.from(state.id), states[frame].id);
+        assert.deepEqual(Array.from(state.x), states[frame].x.map(Math.fround));
+    }
+    assert.equal(recorder.tables.length, 2);
+});
+
+test('the oldest frames make room once the buffer is full', () => {
+    const simulation = new Simulation();
+    simulation.deserialize(createScenario('innerSolarSystem'));
+    const frameLength = 6 * simulation.state.count;
+    const recorder = new ReplayRecorder(frameLength * 10 + 3, 1000);
+    const states = record(recorder, 25);
+    
+    assert.equal(recorder.getFrameCount(), 10);
+    for (let frame = 0; frame < 10; frame++) {
+        assert.equal(recorder.getElapsedTime(frame), states[15 + frame].elapsedTime);
+        assert.deepEqual(Array.from(recorder.getState(frame).x), states[15 + frame].x.map(Math.fround));
+    }
+});
+
+test('the number of frames is limited', () => {
+    const recorder = new ReplayRecorder(undefined, 8);
+    const states = record(recorder, 20);
+    assert.equal(recorder.getFrameCount(), 8);
+    assert.equal(recorder.getElapsedTime(0), states[12].elapsedTime);
+    assert.equal(recorder.getElapsedTime(7), states[19].elapsedTime);
+});
+
+test('states too large for the buffer are not recorded', () => {
+    const recorder = new ReplayRecorder(10);
+    record(recorder, 3);
+    assert.equal(recorder.getFrameCount(), 0);
+});
+
+test('truncating keeps the oldest frames and recording carries on after them', () => {
+    const recorder = new ReplayRecorder();
+    record(recorder, 20, (simulation, i) => {
+        if (i === 10) simulation.addPlanet(40, 0, 0, 0, 5e-12, 0);
+    });
+    
+    recorder.truncate(5);
+    assert.equal(recorder.getFrameCount(), 5);
+    assert.equal(recorder.tables.length, 1);
+    
+    const states = record(recorder, 3);
+    assert.equal(recorder.getFrameCount(), 8);
+    assert.deepEqual(Array.from(recorder.getState(7).x), states[2].x.map(Math.fround));
+});
+
+test('trails list the positions of each planet, newest first', () => {
+    const recorder = new ReplayRecorder();
+    const states = record(recorder, 10);
+    const planetIndex = Array.from(recorder.getState(9).kind).indexOf(BodyKind.PLANET);
+    const id = states[9].id[planetIndex];
+    
+    const trail = recorder.getTrails(9, 4).get(id);
+    assert.deepEqual(trail.map(point => point.x), [9, 8, 7, 6].map(frame => Math.fround(states[frame].x[planetIndex])));
+    
+    const interval = 2 * (states[1].elapsedTime - states[0].elapsedTime);
+    const spaced = recorder.getTrails(9, 3, interval).get(id);
+    assert.deepEqual(spaced.map(point => point.time), [9, 7, 5].map(frame => states[frame].elapsedTime));
+});
@@ -0,0 +1,94 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Diagnostics } from '../js/Diagnostics.js';
+import { Integrators } from '../js/Integrators.js';
+import { Scenarios, createScenario } from '../js/Scenarios.js';
+import { Simulation } from '../js/Simulation.js';
+
+// Largest relative energy error allowed over ENERGY_STEPS steps of the inner solar system, by integrator
+const ENERGY_TOLERANCES = {
+    euler: 5e-3,
+    verlet: 1e-4,
+    leapfrog: 1e-4,
+    rk4: 1e-6,
+    yoshida: 1e-6
+};
+const ENERGY_STEPS = 500;
+
+// Integrators that retrace a run with the time step reversed (up to rounding)
+const SYMPLECTIC_INTEGRATORS = ['euler', 'verlet', 'leapfrog', 'yoshida'];
+
+/**
+ * Load a preset scenario into a new simulation
+ * @param {string} id - Scenario ID
+ * @param {string} integrator - Integrator ID (the scenario's own if omitted)
+ * @returns {Simulation} Simulation
+ */
+function loadScenario(id, integrator) {
+    const simulation = new Simulation();
+    simulation.deserialize(createScenario(id));
+    if (integrator) {
+        simulation.setIntegrator(integrator);
+    }
+    return simulation;
+}
+
+test('every integrator is covered', () => {
+    assert.deepEqual(Object.keys(ENERGY_TOLERANCES).sort(), Object.keys(Integrators).sort());
+});
+
+for (const id of Object.keys(Scenarios)) {
+    test(`scenario "${id}" keeps all its bodies`, () => {
+        const simulation = loadScenario(id);
+        const count = simulation.state.count;
+        assert.ok(count > 0);
+        
+        for (let i = 0; i < 300; i++) {
+            simulation.step();
+        }
+        assert.equal(simulation.state.count, count);
+        assert.deepEqual(simulation.takeEvents(), []);
+    });
+}
+
+for (const [integrator, tolerance] of Object.entries(ENERGY_TOLERANCES)) {
+    test(`${integrator} keeps the energy error below ${tolerance}`, () => {
+        const simulation = loadScenario('innerSolarSystem', integrator);
+        const diagnostics = new Diagnostics();
+        diagnostics.update(simulation);
+        
+        let maxError = 0;
+        for (let i = 0; i < ENERGY_STEPS; i++) {
+            simulation.step();
+            diagnostics.update(simulation);
+            maxError = Math.max(maxError, Math.abs(diagnostics.relativeEnergyError));
+        }
+        assert.ok(maxError < tolerance, `relative energy error ${maxError}`);
+    });
+}
+
+for (const integrator of SYMPLECTIC_INTEGRATORS) {
+    test(`${integrator} retraces a run backward`, () => {
+        const simulation = loadScenario('innerSolarSystem', integrator);
+        const { state } = simulation;
+        const start = simulation.serialize().bodies;
+        
+        for (let i = 0; i < 300; i++) {
+            simulation.step();
+        }
+        simulation.setTimeFactor(-1);
+        for (let i = 0; i < 300; i++) {
+            simulation.step();
+        }
+        
+        for (const [index, body] of start.entries()) {
+            const speed = Math.hypot(body.vx, body.vy, body.vz);
+            for (const axis of ['x', 'y', 'z']) {
+                assert.ok(Math.abs(state[axis][index] - body[axis]) < 1e-9, `body ${body.id} ${axis}`);
+                assert.ok(Math.abs(state['v' + axis][index] - body['v' + axis]) <= 1e-9 * speed, `body ${body.id} v${axis}`);
+            }
+        }
+        assert.equal(simulation.simulatedTime, 0);
+    });
+}
@@ -0,0 +1,115 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ShareConstants } from '../js/Constants.js';
+import { createScenario } from '../js/Scenarios.js';
+import { Simulation } from '../js/Simulation.js';
+import { SNAPSHOT_FORMAT, SNAPSHOT_VERSION, readSnapshot, encodeSnapshot, decodeSnapshot } from '../js/Snapshot.js';
+
+/**
+ * Create a snapshot using every optional body field a share code keeps
+ * @returns {Object} Snapshot
+ */
+function createSharedSystem() {
+    const data = createScenario('binaryStar');
+    data.boundaryPolicy = 'wrap';
+    data.boundaryRadius = 77;
+    data.simulatedTime = -1234.5;
+    data.bodies[0].temperature = 3200;
+    data.bodies[0].name = 'Kepler-16 A';
+    data.bodies[1].pinned = true;
+    data.bodies[data.bodies.length - 1].name = 'ケプラー 16b';
+    return data;
+}
+
+/**
+ * Read a snapshot, leaving out what share codes do not keep (body IDs and trails)
+ * @param {Object} data - Snapshot
+ * @returns {Object} Validated snapshot
+ */
+function readShared(data) {
+    const snapshot = readSnapshot(data);
+    snapshot.bodies = snapshot.bodies.map(({ id, trail, ...body }) => body);
+    return snapshot;
+}
+
+test('a saved simulation continues exactly like the original', () => {
+    const original = new Simulation();
+    original.deserialize(createScenario('trojans'));
+    for (let i = 0; i < 50; i++) {
+        original.step();
+    }
+    
+    const restored = new Simulation();
+    restored.deserialize(JSON.parse(JSON.stringify(original.serialize())));
+    assert.deepEqual(restored.serialize(), original.serialize());
+    for (let i = 0; i < 50; i++) {
+        original.step();
+        restored.step();
+    }
+    assert.deepEqual(restored.serialize(), original.serialize());
+});
+
+test('missing optional values take their defaults', () => {
+    const snapshot = readSnapshot({
+        format: SNAPSHOT_FORMAT,
+        version: 1,
+        bodies: [{ kind: 'star', x: 0, y: 0 }, { kind: 'planet', x: 20, y: 0, trail: [[19, 1], [18, 2, 3]] }]
+    });
+    assert.equal(snapshot.version, SNAPSHOT_VERSION);
+    assert.deepEqual(snapshot.bodies.map(body => body.id), [1, 2]);
+    assert.deepEqual(snapshot.bodies[1].trail, [{ x: 19, y: 1, z: 0 }, { x: 18, y: 2, z: 3 }]);
+    assert.equal(snapshot.bodies[1].z, 0);
+    assert.equal(snapshot.bodies[1].pinned, 0);
+    assert.equal(snapshot.simulatedTime, 0);
+});
+
+test('invalid snapshots are rejected', () => {
+    const valid = createScenario('single');
+    const variants = [
+        [{ ...valid, format: 'other' }, /Not a gravity simulator snapshot/],
+        [{ ...valid, version: SNAPSHOT_VERSION + 1 }, /Unsupported snapshot version/],
+        [{ ...valid, bodies: undefined }, /no "bodies" array/],
+        [{ ...valid, integrator: 'magic' }, /Unknown integrator "magic"/],
+        [{ ...valid, boundaryRadius: 0 }, /invalid "boundaryRadius"/],
+        [{ ...valid, bodies: [{ kind: 'comet', x: 0, y: 0 }] }, /unknown kind "comet"/],
+        [{ ...valid, bodies: [{ kind: 'planet', x: 0, y: 0, mass: -1 }] }, /positive mass/],
+        [{ ...valid, bodies: [{ kind: 'planet', x: 0, y: 0, color: 'red' }] }, /invalid "color"/],
+        [{ ...valid, bodies: [{ id: 3, kind: 'planet', x: 0, y: 0 }, { id: 3, kind: 'planet', x: 1, y: 0 }] }, /duplicate "id"/]
+    ];
+    for (const [data, message] of variants) {
+        assert.throws(() => readSnapshot(data), message);
+    }
+});
+
+test('a share code restores the system exactly', () => {
+    const data = createSharedSystem();
+    assert.deepEqual(readShared(decodeSnapshot(encodeSnapshot(data))), readShared(data));
+});
+
+test('a share code keeps star temperatures and body names', () => {
+    const bodies = readSnapshot(decodeSnapshot(encodeSnapshot(createSharedSystem()))).bodies;
+    assert.equal(bodies[0].temperature, 3200);
+    assert.equal(bodies[0].name, 'Kepler-16 A');
+    assert.equal(bodies[bodies.length - 1].name, 'ケプラー 16b');
+    assert.equal(bodies[1].name, '');
+});
+
+test('systems too large for a link are refused', () => {
+    const data = createScenario('single');
+    for (let i = 0; i < 400; i++) {
+        data.bodies.push({ kind: 'planet', x: 30 + i, y: 0 });
+    }
+    assert.throws(() => encodeSnapshot(data), /too large to share/);
+    
+    data.bodies.length = 300;
+    assert.ok(encodeSnapshot(data).length <= ShareConstants.MAX_CODE_LENGTH);
+});
+
+test('malformed share codes are rejected', () => {
+    const code = encodeSnapshot(createSharedSystem());
+    assert.throws(() => decodeSnapshot(code.slice(0, -8)), /truncated/);
+    assert.throws(() => decodeSnapshot(code + 'AAAA'), /trailing data/);
+    assert.throws(() => decodeSnapshot('BQ'), /Unsupported scenario code version 5/);
+    assert.throws(() => decodeSnapshot('!'), /base64url/);
+});